@@ -13,10 +13,10 @@ const esmCode = `${source}\n//# sourceMappingURL=${esmFile}.map\n`;
 
 const cjsTransformed = source
   .replace(
-    "import { Vector3, Frustum, Matrix4 } from 'three';",
-    "const { Vector3, Frustum, Matrix4 } = require('three');"
+    /import\s*\{([^}]*)\}\s*from\s*'three';/,
+    (_, names) => `const {${names}} = require('three');`
   )
-  .replace(/export\s*\{\s*Sorcherer\s*\};\s*$/m, 'module.exports = { Sorcherer };');
+  .replace(/export\s*\{([^}]*)\};\s*$/m, (_, names) => `module.exports = {${names}};`);
 
 const cjsCode = `${cjsTransformed}\n//# sourceMappingURL=${cjsFile}.map\n`;
 
@@ -30,60 +30,435 @@ const mapFor = (file) =>
     mappings: ''
   });
 
-const dts = `import type { Camera, Object3D, Vector3 } from 'three';
+const dts = `import type { Camera, Intersection, Object3D, Vector3, Vector4 } from 'three';
+
+export type SorchererOcclusionMode = 'hide' | 'dim';
+export type SorchererDeclutterMode = 'nudge' | 'hide';
+export type SorchererOffscreenMode = 'hide' | 'edge';
+export type SorchererLeaderMode = 'line' | 'elbow';
+export type SorchererOrientation = 'screen' | 'billboard-roll' | 'plane';
+export type SorchererLeaderSide = 'auto' | 'top' | 'bottom' | 'left' | 'right';
+
+export interface SorchererOptions {
+  occlude?: SorchererOcclusionMode | null;
+  occluders?: Object3D[] | null;
+  manager?: SorchererManager;
+  priority?: number;
+  offscreen?: SorchererOffscreenMode;
+  edgeMargin?: number;
+  bone?: string;
+  instanceId?: number;
+  boxAnchor?: string | Vector3;
+  offsetSpace?: 'world' | 'local';
+  minDistance?: number;
+  maxDistance?: number;
+  fadeDistance?: number;
+  minScale?: number;
+  maxScale?: number;
+  lodTemplates?: SorchererLodTemplate[];
+  leader?: SorchererLeaderMode | boolean | null;
+  leaderSide?: SorchererLeaderSide;
+  orientation?: SorchererOrientation;
+  smoothing?: number;
+  transitions?: boolean;
+  tags?: string | string[];
+  cluster?: boolean | string;
+  plugins?: Array<SorchererPlugin | string> | string;
+  slot?: string | null;
+}
+
+export interface SorchererLodTemplate {
+  maxDistance?: number;
+  template: string;
+}
+
+export interface SorchererManagerOptions {
+  name?: string;
+  camera?: Camera;
+  renderer?: { domElement: any };
+  parent?: HTMLElement;
+}
 
 export interface SorchererBootstrapOptions {
   interval?: number;
   autoAttach?: boolean;
   autoRegister?: boolean;
+  live?: boolean;
+}
+
+export interface SorchererWatchOptions {
+  root?: Document | Element;
+  sceneSyncInterval?: number;
+}
+
+export type SorchererEventType =
+  | 'click'
+  | 'dblclick'
+  | 'pointerdown'
+  | 'pointerup'
+  | 'pointerenter'
+  | 'pointerleave'
+  | 'focus'
+  | 'blur'
+  | 'enter'
+  | 'leave';
+
+export interface SorchererEvent {
+  type: SorchererEventType;
+  instance: Sorcherer;
+  object: Object3D | null;
+  source?: 'overlay' | 'object';
+  originalEvent: Event | null;
+  clientX?: number;
+  clientY?: number;
+  intersection?: Intersection;
+}
+
+declare global {
+  interface HTMLElementTagNameMap {
+    'sorcherer-overlay': SorchererOverlayElement;
+  }
+}
+
+export type SorchererEventHandler = (event: SorchererEvent) => void;
+
+export interface SorchererPointerTrackingOptions {
+  domElement?: HTMLElement;
+  camera?: Camera;
+}
+
+export interface SorchererStats {
+  updated: number;
+  culled: number;
+  skipped: number;
+  deferred: number;
+  duration: number;
+}
+
+export interface SorchererOverlayData {
+  idm?: string;
+  point?: [number, number, number];
+  template?: string;
+  dynamicVars?: Record<string, any>;
+  offset?: [number, number, number] | string;
+  simulate3D?: boolean | string;
+  simulateRotation?: boolean | string;
+  autoCenter?: boolean | string;
+  scaleMultiplier?: number | string;
+  occlude?: SorchererOcclusionMode | boolean | null;
+  priority?: number | string;
+  offscreen?: SorchererOffscreenMode;
+  edgeMargin?: number | string;
+  bone?: string | null;
+  instanceId?: number | string | null;
+  boxAnchor?: [number, number, number] | string | null;
+  offsetSpace?: 'world' | 'local';
+  minDistance?: number | string;
+  maxDistance?: number | string | null;
+  fadeDistance?: number | string;
+  minScale?: number | string;
+  maxScale?: number | string | null;
+  lodTemplates?: SorchererLodTemplate[] | null;
+  leader?: SorchererLeaderMode | boolean | null;
+  leaderSide?: SorchererLeaderSide;
+  orientation?: SorchererOrientation;
+  smoothing?: number | string;
+  transitions?: boolean | string;
+  tags?: string[] | string;
+  cluster?: boolean | string;
+  plugins?: string[] | string;
+  slot?: string | null;
+}
+
+export interface SorchererData {
+  version: number;
+  overlays: SorchererOverlayData[];
+}
+
+export interface SorchererFromJSONOptions {
+  skipInvalid?: boolean;
+}
+
+export interface SorchererViewport {
+  x?: number;
+  y?: number;
+  width: number;
+  height: number;
+}
+
+export type SorchererViewportRect = Required<SorchererViewport> | Vector4;
+
+export type SorchererLayoutReason =
+  | 'disposed'
+  | 'overlay-hidden'
+  | 'hidden'
+  | 'layers'
+  | 'no-viewport'
+  | 'culled'
+  | 'out-of-range'
+  | 'behind-camera';
+
+export interface SorchererLayout {
+  name: string | null;
+  visible: boolean;
+  reason: SorchererLayoutReason | null;
+  x: number | null;
+  y: number | null;
+  scaleX: number;
+  scaleY: number;
+  rotation: number;
+  matrix: number[] | null;
+  zIndex: number | null;
+  opacity: number;
+  distance: number | null;
+  worldX: number | null;
+  worldY: number | null;
+  worldZ: number | null;
+  anchorX: number | null;
+  anchorY: number | null;
+  offscreen: boolean;
+  edgeAngle: number | null;
+  backface: boolean;
+  lodIndex: number;
+}
+
+export interface SorchererPlugin {
+  onCreate?(instance: Sorcherer): void;
+  onAttach?(instance: Sorcherer, template: string): void;
+  beforeBuffer?(instance: Sorcherer, camera: Camera): boolean | void;
+  computeTransform?(instance: Sorcherer, layout: SorchererLayout, camera: Camera): Partial<SorchererLayout> | void;
+  afterBuffer?(instance: Sorcherer, layout: SorchererLayout): void;
+  onCull?(instance: Sorcherer, reason: SorchererLayoutReason): void;
+  onDispose?(instance: Sorcherer): void;
+  [key: string]: any;
+}
+
+export interface SorchererOverlayElement extends HTMLElement {
+  readonly overlay: Sorcherer | null;
+}
+
+export interface SorchererQueryCriteria {
+  tag?: string | string[];
+  name?: string;
+  slot?: string | null;
+  visible?: boolean;
+  hidden?: boolean;
+  filter?: (instance: Sorcherer) => boolean;
+}
+
+export interface SorchererQuery extends Iterable<Sorcherer> {
+  readonly instances: Sorcherer[];
+  readonly size: number;
+  forEach(callback: (instance: Sorcherer, index: number) => void): this;
+  toArray(): Sorcherer[];
+  show(): this;
+  hide(): this;
+  setDynamicVar(varName: string, value: unknown): this;
+  setDynamicVars(values: Record<string, unknown>): this;
+  addTag(tag: string): this;
+  removeTag(tag: string): this;
+  dispose(): this;
+}
+
+export declare class SorchererManager {
+  name: string | null;
+  camera: Camera | null;
+  renderer: { domElement: any } | null;
+  parent: HTMLElement | null;
+  allLoadedElements: Set<Sorcherer>;
+  objectRegistry: Map<string, Object3D>;
+  instancesById: Record<string, Sorcherer>;
+  readonly elements: Record<string, Sorcherer>;
+  container: HTMLDivElement | null;
+  autoUpdateRunning: boolean;
+  interval: number;
+  occluders: Object3D[];
+  occlusionLayer: number | null;
+  occlusionBudget: number;
+  declutter: SorchererDeclutterMode | null;
+  declutterPadding: number;
+  declutterMaxShift: number;
+  declutterSmoothing: number;
+  cluster: boolean;
+  clusterRadius: number;
+  clusterMinSize: number;
+  clusterTemplate: string;
+  clusterOptions: SorchererOptions;
+  clusterExpandOnClick: boolean;
+  readonly clusters: Sorcherer[];
+  readonly debugging: boolean;
+  dirtyChecking: boolean;
+  updateBudget: number | null;
+  readonly stats: SorchererStats;
+  trackCanvas: boolean;
+  pointerPassthrough: boolean | null;
+  viewport: SorchererViewportRect | null;
+  arrayCameraMode: 'duplicate' | 'primary';
+  primaryView: number;
+  readonly live: boolean;
+  sceneSyncInterval: number;
+
+  constructor(options?: SorchererManagerOptions);
+
+  ensureContainerAttached(): void;
+  bufferAll(camera?: Camera, renderer?: { domElement: { clientWidth?: number; clientHeight?: number; width?: number; height?: number } }, viewport?: SorchererViewportRect | null): void;
+  mount(parent: HTMLElement): void;
+  autoSetup(camera?: Camera, renderer?: { domElement: any }, interval?: number): void;
+  stopAutoSetup(): void;
+  registerObject3D(object: Object3D): void;
+  unregisterObject3D(object: Object3D): void;
+  registerScene(scene: Object3D): void;
+  watch(scene?: Object3D | null, options?: SorchererWatchOptions): void;
+  unwatch(): void;
+  bootstrap(scene: Object3D, camera?: Camera, renderer?: { domElement: any }, options?: SorchererBootstrapOptions): void;
+  attachFromRealm(root?: Document | Element): void;
+  on(type: SorchererEventType, handler: SorchererEventHandler): () => void;
+  off(type: SorchererEventType, handler?: SorchererEventHandler): void;
+  enablePointerTracking(options?: SorchererPointerTrackingOptions): void;
+  disablePointerTracking(): void;
+  invalidate(): void;
+  computeLayouts(camera?: Camera, viewport?: SorchererViewport | null): Map<Sorcherer, SorchererLayout>;
+  query(criteria?: SorchererQueryCriteria): SorchererQuery;
+  get(name: string, slot?: string | null): Sorcherer | null;
+  slotsOf(name: string): Map<string | null, Sorcherer>;
+  disposeObject(name: string): void;
+  expandCluster(overlay: Sorcherer): void;
+  collapseClusters(): void;
+  debug(enabled?: boolean): void;
+  toJSON(): SorchererData;
+  fromJSON(data: SorchererData | SorchererOverlayData[] | string, options?: SorchererFromJSONOptions): Sorcherer[];
+  dispose(): void;
 }
 
 export declare class Sorcherer {
+  static defaultManager: SorchererManager;
   static allLoadedElements: Set<Sorcherer>;
   static objectRegistry: Map<string, Object3D>;
   static instancesById: Record<string, Sorcherer>;
   static readonly elements: Record<string, Sorcherer>;
   static defaultScaleMultiplier: number;
+  static readonly liveVariables: readonly string[];
+  static readonly eventTypes: readonly SorchererEventType[];
   static container: HTMLDivElement | null;
   static autoUpdateRunning: boolean;
+  static occluders: Object3D[];
+  static occlusionLayer: number | null;
+  static occlusionBudget: number;
+  static dirtyChecking: boolean;
+  static updateBudget: number | null;
+  static pointerPassthrough: boolean | null;
+  static readonly stats: SorchererStats;
+  static readonly pluginHooks: readonly string[];
+  static plugins: Record<string, SorchererPlugin>;
+  static debug(enabled?: boolean): void;
 
   object: Object3D | null;
+  manager: SorchererManager;
   offset: Vector3;
   simulate3D: boolean;
   simulateRotation: boolean;
   autoCenter: boolean;
   scaleMultiplier: number;
   template: string;
-  dynamicVars: Record<string, string>;
+  dynamicVars: Record<string, any>;
+  occlude: SorchererOcclusionMode | null;
+  occluders: Object3D[] | null;
+  readonly isOccluded: boolean;
+  priority: number;
+  readonly isDecluttered: boolean;
+  offscreen: SorchererOffscreenMode;
+  edgeMargin: number;
+  readonly isOffscreen: boolean;
+  readonly edgeAngle: number | null;
+  readonly anchorPoint: Vector3 | null;
+  bone: string | null;
+  instanceId: number | null;
+  boxAnchor: Vector3 | null;
+  offsetSpace: 'world' | 'local';
+  minDistance: number;
+  maxDistance: number;
+  fadeDistance: number;
+  minScale: number;
+  maxScale: number;
+  lodTemplates: Required<SorchererLodTemplate>[] | null;
+  leader: SorchererLeaderMode | null;
+  leaderSide: SorchererLeaderSide;
+  orientation: SorchererOrientation;
+  readonly isBackface: boolean;
+  readonly isHovered: boolean;
+  smoothing: number;
+  transitions: boolean;
+  readonly isVisible: boolean;
+  tags: Set<string>;
+  readonly hidden: boolean;
+  cluster: boolean | string;
+  readonly isClustered: boolean;
+  readonly isCluster: boolean;
+  readonly members: Sorcherer[] | null;
+  plugins: SorchererPlugin[];
+  readonly element: HTMLElement;
+  readonly slot: string | null;
 
   [key: string]: any;
 
   constructor(
-    object: Object3D,
+    object: Object3D | Vector3,
     offset?: Vector3,
     simulate3D?: boolean,
     simulateRotation?: boolean,
     autoCenter?: boolean,
-    scaleMultiplier?: number
+    scaleMultiplier?: number,
+    options?: SorchererOptions
   );
 
-  createSpan(): HTMLElement | { style: Record<string, string>; classList: { add(): void }; innerHTML: string; parentElement: null };
+  createSpan(): HTMLElement | { style: Record<string, string>; classList: { add(): void; remove(): void; toggle(): void; contains(): boolean }; innerHTML: string; parentElement: null };
   attach(innerHTML: string): void;
   renderDynamicVars(): void;
-  setDynamicVar(varName: string, value: string): void;
-  getDynamicVar(varName: string): string | undefined;
-  bufferInstance(camera: Camera, renderer: { domElement: { clientWidth?: number; clientHeight?: number; width?: number; height?: number } }): void;
+  setDynamicVar(varName: string, value: unknown): void;
+  setDynamicVars(values: Record<string, unknown>): void;
+  flushDynamicVars(): void;
+  getDynamicVar(varName: string): any;
+  hide(): void;
+  show(): void;
+  addTag(tag: string): void;
+  removeTag(tag: string): void;
+  hasTag(tag: string): boolean;
+  use(plugin: SorchererPlugin | string): () => void;
+  on(type: SorchererEventType, handler: SorchererEventHandler): () => void;
+  off(type: SorchererEventType, handler?: SorchererEventHandler): void;
+  bufferInstance(camera: Camera, renderer: { domElement: { clientWidth?: number; clientHeight?: number; width?: number; height?: number } }, viewport?: SorchererViewportRect | null): boolean;
+  computeLayout(camera: Camera, viewport: SorchererViewport | null): SorchererLayout;
+  invalidate(): void;
+  toJSON(): SorchererOverlayData;
   dispose(): void;
   attachClone(targetObject: Object3D, newName?: string): Sorcherer;
 
+  static registerFormatter(name: string, formatter: (value: any, ...args: string[]) => unknown): void;
+  static registerPlugin(name: string, plugin: SorchererPlugin): void;
+  static use(plugin: SorchererPlugin | string): () => void;
   static ensureContainerAttached(): void;
-  static bufferAll(camera: Camera, renderer: { domElement: { clientWidth?: number; clientHeight?: number; width?: number; height?: number } }): void;
+  static bufferAll(camera: Camera, renderer: { domElement: { clientWidth?: number; clientHeight?: number; width?: number; height?: number } }, viewport?: SorchererViewportRect | null): void;
   static autoSetup(camera: Camera, renderer: { domElement: any }, interval?: number): void;
   static stopAutoSetup(): void;
   static registerObject3D(object: Object3D): void;
+  static unregisterObject3D(object: Object3D): void;
   static registerScene(scene: Object3D): void;
+  static watch(scene?: Object3D | null, options?: SorchererWatchOptions): void;
+  static unwatch(): void;
   static bootstrap(scene: Object3D, camera: Camera, renderer: { domElement: any }, options?: SorchererBootstrapOptions): void;
   static attachFromRealm(root?: Document | Element): void;
+  static on(type: SorchererEventType, handler: SorchererEventHandler): () => void;
+  static off(type: SorchererEventType, handler?: SorchererEventHandler): void;
+  static enablePointerTracking(options?: SorchererPointerTrackingOptions): void;
+  static disablePointerTracking(): void;
+  static computeLayouts(camera?: Camera, viewport?: SorchererViewport | null): Map<Sorcherer, SorchererLayout>;
+  static defineElement(tagName?: string): (new () => SorchererOverlayElement) | null;
+  static query(criteria?: SorchererQueryCriteria): SorchererQuery;
+  static get(name: string, slot?: string | null): Sorcherer | null;
+  static slotsOf(name: string): Map<string | null, Sorcherer>;
+  static disposeObject(name: string): void;
+  static toJSON(): SorchererData;
+  static fromJSON(data: SorchererData | SorchererOverlayData[] | string, options?: SorchererFromJSONOptions): Sorcherer[];
 }
 `;
 
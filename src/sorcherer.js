@@ -13,264 +13,4715 @@
   width: 100%;
   height: 100%;
 }
+.sorcherer-container.sorcherer-passthrough {
+  pointer-events: none;
+}
+.magic-MinusOne.sorcherer-interactive {
+  pointer-events: auto;
+}
+realm,
+sorcherer-overlay {
+  display: none;
+}
+.magic-MinusOne {
+  opacity: var(--sorcherer-opacity, 1);
+}
+.magic-MinusOne.sorcherer-dimmed {
+  opacity: calc(var(--sorcherer-opacity, 1) * 0.35);
+}
+.sorcherer-leaders {
+  position: absolute;
+  top: 0;
+  left: 0;
+  width: 100%;
+  height: 100%;
+  overflow: visible;
+  pointer-events: none;
+}
+.sorcherer-leader {
+  fill: none;
+  stroke: currentColor;
+  stroke-width: 1;
+}
+.sorcherer-debug,
+.sorcherer-debug svg {
+  position: absolute;
+  top: 0;
+  left: 0;
+  width: 100%;
+  height: 100%;
+  overflow: visible;
+  pointer-events: none;
+}
+.sorcherer-debug-anchor {
+  fill: #3f3;
+}
+.sorcherer-debug-anchor.sorcherer-debug-hidden {
+  fill: #f44;
+}
+.sorcherer-debug-box {
+  fill: none;
+  stroke: #3f3;
+  stroke-dasharray: 3 2;
+}
+.sorcherer-debug-reason {
+  fill: #f44;
+  font: 10px monospace;
+}
+.sorcherer-debug-panel {
+  position: absolute;
+  top: 4px;
+  left: 4px;
+  padding: 4px 6px;
+  background: rgba(0, 0, 0, 0.75);
+  color: #fff;
+  font: 11px/1.4 monospace;
+  white-space: pre;
+}
 `;
     document.head.appendChild(style);
   }
 })();
 
-import { Vector3, Frustum, Matrix4 } from 'three';
+import { Vector3, Vector2, Vector4, Frustum, Matrix4, Raycaster, Object3D, Box3, Quaternion } from 'three';
 
-class Sorcherer {
-  // All overlay instances (stored in a Set)
-  static allLoadedElements = new Set();
-  // For frustum culling.
-  static frustum = new Frustum();
-  static matrix = new Matrix4();
-  // Container element for all overlays (null in non-DOM environments).
-  static container = (typeof document !== 'undefined')
-    ? document.createElement('div')
-    : null;
-  static autoUpdateRunning = false;
-  static _timeoutHandle = null;
-  static _containerAttachPending = false;
-  // Registry mapping Object3D names to objects.
-  static objectRegistry = new Map();
-  // Global dictionary mapping idm (i.e. Object3D name) to overlay instance.
-  static instancesById = {};
-  // Alias for instancesById.
-  static get elements() { return Sorcherer.instancesById; }
-  // Default scale multiplier (developers can change this via Sorcherer.defaultScaleMultiplier).
-  static defaultScaleMultiplier = 1;
-  static _tempWorldPos = new Vector3();
-  static _tempProjectedPos = new Vector3();
-  static _tempFrustumPos = new Vector3();
+const TEMPLATE_NAME = '@?[a-zA-Z0-9_]+(?:\\.[a-zA-Z0-9_]+)*|\\.(?:[a-zA-Z0-9_]+(?:\\.[a-zA-Z0-9_]+)*)?';
+const TEMPLATE_FILTER = '\\|[a-zA-Z_][a-zA-Z0-9_]*(?::[^$|:]*)*';
+const TEMPLATE_TAG = new RegExp(
+  `\\$(?:#(if|each)\\s+(!?)(${TEMPLATE_NAME})|\\/(if|each)|(else)|(${TEMPLATE_NAME})(?:=([^$|]+))?((?:${TEMPLATE_FILTER})*))\\$`,
+  'g'
+);
+// Placeholder markers used while binding a mounted template to its DOM nodes.
+const TEMPLATE_MARKER = /\uE000(\d+)\uE001/;
+const TEMPLATE_MARKER_SPLIT = /\uE000(\d+)\uE001/g;
+const HTML_ESCAPES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
+// Values that can stand in for a tag or attribute name.
+const HTML_NAME = /^[a-zA-Z_:][-a-zA-Z0-9_:.]*$/;
+const HTML_ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ' };
 
-  static ensureContainerAttached() {
-    if (typeof document === 'undefined' || !Sorcherer.container) return;
-    Sorcherer.container.classList.add('sorcherer-container');
+/**
+ * Parsed overlay template. Supported placeholders:
+ *   $name$ / $name=default$        HTML-escaped value (default used until the variable is set)
+ *   $name|fixed:2|upper$           formatter pipeline (see Sorcherer.registerFormatter)
+ *   $name|raw$                     unescaped HTML, for trusted values only
+ *   $#if name$ … $else$ … $/if$    conditional section ($#if !name$ negates)
+ *   $#each list$ … $/each$         repeated section; $.$ is the item, $.field$ a property, $@index$ its index
+ *   $@distance$, $@userData.hp$    live values filled in by the overlay while buffering (see Sorcherer.liveVariables)
+ * Names may be dot paths into a variable's value (e.g. $player.name$).
+ */
+class SorchererTemplate {
+  // Formatters available to `$name|formatter:arg$` pipelines.
+  static formatters = {
+    fixed: (value, digits = 0) => SorchererTemplate._formatNumber(value, (n) => n.toFixed(Number(digits) || 0)),
+    round: (value) => SorchererTemplate._formatNumber(value, (n) => String(Math.round(n))),
+    percent: (value, digits = 0) => SorchererTemplate._formatNumber(value, (n) => `${(n * 100).toFixed(Number(digits) || 0)}%`),
+    upper: (value) => String(value ?? '').toUpperCase(),
+    lower: (value) => String(value ?? '').toLowerCase()
+  };
 
-    if (Sorcherer.container.isConnected) return;
+  static _formatNumber(value, format) {
+    const number = Number(value);
+    return (value !== '' && value !== null && Number.isFinite(number)) ? format(number) : String(value ?? '');
+  }
 
-    if (document.body) {
-      document.body.appendChild(Sorcherer.container);
-      Sorcherer._containerAttachPending = false;
-      return;
-    }
+  static escapeHtml(value) {
+    return String(value ?? '').replace(/[&<>"']/g, (char) => HTML_ESCAPES[char]);
+  }
 
-    if (Sorcherer._containerAttachPending) return;
-    Sorcherer._containerAttachPending = true;
+  /**
+   * Advances the markup state of the template text (see _parse()) over `text`:
+   * 'text', 'open' (after `<`), 'tag' (between attributes), 'equals' (after `=`),
+   * 'unquoted' (in an unquoted attribute value), 'dquote' or 'squote'.
+   * @param {string} text
+   * @param {string} state
+   * @returns {string}
+   */
+  static _scanMarkup(text, state) {
+    for (const char of text) {
+      if (state === 'text') {
+        if (char === '<') state = 'open';
+      } else if (state === 'open') {
+        if (/[a-zA-Z/!?]/.test(char)) {
+          state = 'tag';
+        } else if (char !== '<') {
+          state = 'text';
+        }
+      } else if (state === 'tag') {
+        if (char === '>') {
+          state = 'text';
+        } else if (char === '=') {
+          state = 'equals';
+        }
+      } else if (state === 'equals') {
+        if (char === '"') {
+          state = 'dquote';
+        } else if (char === "'") {
+          state = 'squote';
+        } else if (char === '>') {
+          state = 'text';
+        } else if (!/\s/.test(char)) {
+          state = 'unquoted';
+        }
+      } else if (state === 'unquoted') {
+        if (char === '>') {
+          state = 'text';
+        } else if (/\s/.test(char)) {
+          state = 'tag';
+        }
+      } else if ((state === 'dquote' && char === '"') || (state === 'squote' && char === "'")) {
+        state = 'tag';
+      }
+    }
+    return state;
+  }
 
-    document.addEventListener('DOMContentLoaded', () => {
-      Sorcherer._containerAttachPending = false;
-      if (document.body && Sorcherer.container && !Sorcherer.container.isConnected) {
-        document.body.appendChild(Sorcherer.container);
+  // Defaults come from (already serialized) template HTML; decode them so escaping round-trips.
+  static _decodeHtml(value) {
+    return value.replace(/&(#x[0-9a-f]+|#[0-9]+|[a-z]+);/gi, (match, entity) => {
+      if (entity[0] === '#') {
+        const code = entity[1] === 'x' || entity[1] === 'X'
+          ? parseInt(entity.slice(2), 16)
+          : parseInt(entity.slice(1), 10);
+        return Number.isFinite(code) ? String.fromCodePoint(code) : match;
       }
-    }, { once: true });
+      const decoded = HTML_ENTITIES[entity.toLowerCase()];
+      return decoded !== undefined ? decoded : match;
+    });
   }
 
-  static _hideOverlay(instance) {
-    if (instance?._parentSpan?.style) {
-      instance._parentSpan.style.display = 'none';
+  static _parseName(name) {
+    if (name === '.') return { scope: 'item', path: [] };
+    if (name[0] === '.') return { scope: 'item', path: name.slice(1).split('.') };
+    if (name[0] === '@') return { scope: 'special', path: name.slice(1).split('.') };
+    return { scope: 'vars', path: name.split('.') };
+  }
+
+  static _isTruthy(value) {
+    if (Array.isArray(value)) return value.length > 0;
+    if (typeof value === 'string') {
+      const normalized = value.trim().toLowerCase();
+      return normalized !== '' && normalized !== 'false' && normalized !== '0';
     }
+    return Boolean(value) && !Number.isNaN(value);
   }
 
-  static _readBooleanAttribute(element, name) {
-    return (element.getAttribute(name) || '').trim().toLowerCase() === 'true';
+  /**
+   * @param {string} source - Template source.
+   */
+  constructor(source) {
+    this.source = String(source ?? '');
+    // Top-level variable names referenced by the template, mapped to their default value.
+    this.variables = new Map();
+    // Live (`$@name$`) paths referenced by the template, mapped to their split path.
+    this.liveVariables = new Map();
+    // Unknown formatter and rejected placeholder names already warned about.
+    this._warned = new Set();
+    this.nodes = this._parse(this.source);
+    // Set once mount() found a placeholder it cannot bind; render() is used from then on.
+    this.unbindable = false;
   }
 
-  static _parseVector3Attribute(element, name) {
-    if (!element.hasAttribute(name)) return new Vector3();
-    const raw = element.getAttribute(name);
-    if (!raw) return new Vector3();
+  _parse(source) {
+    const root = [];
+    // Open blocks, innermost last; `target` is the list new nodes are appended to.
+    const frames = [{ node: null, target: root }];
+    let cursor = 0;
+    // Where in the markup the source currently is, so placeholders know how to escape.
+    let markup = 'text';
 
-    const parts = raw.split(',').map((value) => parseFloat(value.trim()));
-    if (parts.length < 3 || parts.slice(0, 3).some((value) => Number.isNaN(value))) {
-      return new Vector3();
+    const pushText = (text) => {
+      if (!text) return;
+      frames[frames.length - 1].target.push({ type: 'text', value: text });
+      markup = SorchererTemplate._scanMarkup(text, markup);
+    };
+
+    for (const match of source.matchAll(TEMPLATE_TAG)) {
+      const [tag, blockType, negate, blockName, closeType, elseTag, varName, defaultValue, filterChain] = match;
+      const frame = frames[frames.length - 1];
+      pushText(source.slice(cursor, match.index));
+      cursor = match.index + tag.length;
+
+      if (blockType) {
+        const node = {
+          type: blockType,
+          negate: negate === '!',
+          ...SorchererTemplate._parseName(blockName),
+          body: [],
+          alternate: []
+        };
+        this._trackVariable(node);
+        frame.target.push(node);
+        frames.push({ node, target: node.body });
+      } else if (closeType) {
+        if (frame.node?.type === closeType) {
+          frames.pop();
+        } else {
+          pushText(tag);
+        }
+      } else if (elseTag && frame.node?.type === 'if' && frame.target === frame.node.body) {
+        frame.target = frame.node.alternate;
+      } else {
+        const filters = [];
+        let raw = false;
+        for (const part of (filterChain || '').split('|').slice(1)) {
+          const [name, ...args] = part.split(':');
+          if (name === 'raw') {
+            raw = true;
+          } else {
+            filters.push({ name, args });
+          }
+        }
+        const node = {
+          type: 'var',
+          ...SorchererTemplate._parseName(varName || elseTag),
+          defaultValue: defaultValue !== undefined ? SorchererTemplate._decodeHtml(defaultValue) : undefined,
+          filters,
+          raw,
+          context: SorchererTemplate._placeholderContexts[markup]
+        };
+        // The value continues a tag name or an unquoted attribute value.
+        if (markup === 'open') markup = 'tag';
+        if (markup === 'equals') markup = 'unquoted';
+        this._trackVariable(node);
+        frame.target.push(node);
+      }
     }
 
-    return new Vector3(parts[0], parts[1], parts[2]);
+    pushText(source.slice(cursor));
+    return root;
   }
 
-  static _parseNumberAttribute(element, name) {
-    if (!element.hasAttribute(name)) return undefined;
-    const raw = element.getAttribute(name);
-    if (raw == null) return undefined;
-    const value = parseFloat(raw);
-    return Number.isFinite(value) ? value : undefined;
+  // How a placeholder is escaped in each markup state (see _scanMarkup() and _formatVar()).
+  static _placeholderContexts = {
+    text: 'text', dquote: 'quoted', squote: 'quoted', equals: 'unquoted', unquoted: 'unquoted', open: 'name', tag: 'name'
+  };
+
+  _trackVariable(node) {
+    if (node.scope === 'special') {
+      if (node.path[0] !== 'index') this.liveVariables.set(node.path.join('.'), node.path);
+      return;
+    }
+    if (node.scope !== 'vars') return;
+    const name = node.path[0];
+    const ownDefault = (node.type === 'var' && node.path.length === 1) ? node.defaultValue : undefined;
+    if (!this.variables.has(name) || (this.variables.get(name) === undefined && ownDefault !== undefined)) {
+      this.variables.set(name, ownDefault);
+    }
   }
 
   /**
-   * @param {THREE.Object3D} object - The target Object3D.
-   * @param {THREE.Vector3} [offset=new Vector3()] - Optional offset for the overlay.
-   * @param {boolean} [simulate3D=false] - Whether to scale the overlay based on distance.
-   * @param {boolean} [simulateRotation=false] - Whether to rotate the overlay with the object.
-   * @param {boolean} [autoCenter=false] - Whether to auto-center the overlay relative to its computed screen position.
-   * @param {number} [scaleMultiplier] - Multiplier for distance-based scaling (defaults to Sorcherer.defaultScaleMultiplier).
+   * Looks up a placeholder's value in the render scope.
+   * @param {{scope: string, path: string[]}} node
+   * @param {{vars: Object, live?: Object, item?: *, index?: number}} scope
    */
-  constructor(object, offset = new Vector3(), simulate3D = false, simulateRotation = false, autoCenter = false, scaleMultiplier) {
-    this.object = object;
-    this.offset = (offset && typeof offset.clone === 'function') ? offset.clone() : offset;
-    this.simulate3D = simulate3D;
-    this.simulateRotation = simulateRotation;
-    this.autoCenter = autoCenter;
-    this.scaleMultiplier = (scaleMultiplier !== undefined) ? scaleMultiplier : Sorcherer.defaultScaleMultiplier;
-    this._parentSpan = this.createSpan();
-    this.template = '';
-    this.dynamicVars = {};
-    this._dynamicVarNames = new Set();
-    this._disposed = false;
-    this._removedListener = null;
+  _resolve(node, scope) {
+    if (node.scope === 'item') return SorchererTemplate._readPath(scope.item, node.path);
+    if (node.scope === 'special') {
+      return (node.path[0] === 'index' && 'index' in scope)
+        ? scope.index
+        : SorchererTemplate._readPath(scope.live, node.path);
+    }
+    return SorchererTemplate._readPath(scope.vars, node.path);
+  }
 
-    if (typeof document !== 'undefined' && Sorcherer.container) {
-      Sorcherer.ensureContainerAttached();
-      Sorcherer.container.appendChild(this._parentSpan);
-      Sorcherer.allLoadedElements.add(this);
+  static _readPath(value, path) {
+    for (const key of path) {
+      if (value == null) return undefined;
+      value = value[key];
     }
+    return value;
+  }
 
-    // Auto-remove overlay when the Object3D is removed from its parent.
-    if (this.object && typeof this.object.addEventListener === 'function') {
-      this._removedListener = (event) => {
-        if (event?.target === this.object) {
-          this.dispose();
+  /**
+   * Formats a variable placeholder as plain (unescaped) text.
+   */
+  _formatText(node, scope) {
+    let value = this._resolve(node, scope);
+    if (value === undefined && node.defaultValue !== undefined) value = node.defaultValue;
+
+    for (const { name, args } of node.filters) {
+      // Own properties only, so `|toString` or `|constructor` are not taken from Object.prototype.
+      const formatter = Object.prototype.hasOwnProperty.call(SorchererTemplate.formatters, name)
+        ? SorchererTemplate.formatters[name]
+        : undefined;
+      if (typeof formatter !== 'function') {
+        this._warnOnce(`formatter:${name}`, `Unknown template formatter "${name}".`);
+        continue;
+      }
+      value = formatter(value, ...args);
+    }
+
+    return (value == null) ? '' : String(value);
+  }
+
+  /**
+   * Formats a variable placeholder as HTML for render(). Escaping depends on where the
+   * placeholder sits: text and quoted attribute values are HTML-escaped, unquoted attribute
+   * values also get whitespace, `=` and backticks encoded, and in place of a tag or attribute
+   * name only valid names are written (anything else is dropped with a warning).
+   */
+  _formatVar(node, scope) {
+    const text = this._formatText(node, scope);
+    if (node.raw) return text;
+    if (node.context === 'name') {
+      if (!text || HTML_NAME.test(text)) return text;
+      this._warnOnce(`name:${node.path.join('.')}`, `Template value of "${node.path.join('.')}" is not a valid tag or attribute name and was left out.`);
+      return '';
+    }
+    const escaped = SorchererTemplate.escapeHtml(text);
+    return (node.context === 'unquoted')
+      ? escaped.replace(/[\s=`]/g, (char) => `&#${char.codePointAt(0)};`)
+      : escaped;
+  }
+
+  _warnOnce(key, message) {
+    if (this._warned.has(key)) return;
+    this._warned.add(key);
+    console.warn(`[Sorcherer] ${message}`);
+  }
+
+  /**
+   * Top-level variable names a node (and, for blocks, everything inside it) reads.
+   */
+  _collectDependencies(node, deps = new Set()) {
+    if (node.scope === 'vars') deps.add(node.path[0]);
+    if (node.scope === 'special' && node.path[0] !== 'index') deps.add(`@${node.path[0]}`);
+    for (const child of [...(node.body || []), ...(node.alternate || [])]) {
+      this._collectDependencies(child, deps);
+    }
+    return deps;
+  }
+
+  _renderNodes(nodes, scope) {
+    let output = '';
+    for (const node of nodes) {
+      if (node.type === 'text') {
+        output += node.value;
+      } else if (node.type === 'var') {
+        output += this._formatVar(node, scope);
+      } else if (node.type === 'if') {
+        const truthy = SorchererTemplate._isTruthy(this._resolve(node, scope));
+        output += this._renderNodes((truthy !== node.negate) ? node.body : node.alternate, scope);
+      } else if (node.type === 'each') {
+        const list = this._resolve(node, scope);
+        if (!list || typeof list[Symbol.iterator] !== 'function' || typeof list === 'string') continue;
+        let index = 0;
+        for (const item of list) {
+          output += this._renderNodes(node.body, { ...scope, item, index });
+          index++;
         }
-      };
-      this.object.addEventListener('removed', this._removedListener);
+      }
     }
+    return output;
   }
 
-  createSpan() {
-    if (typeof document === 'undefined') {
-      // Minimal stub for non-DOM environments.
-      return {
-        style: {},
-        classList: { add() {} },
-        innerHTML: '',
-        parentElement: null
-      };
+  /**
+   * Renders the template to an HTML string.
+   * @param {Object} vars - Variable values, keyed by name.
+   * @param {Object} [live] - Live values for `$@name$` placeholders.
+   * @returns {string}
+   */
+  render(vars, live) {
+    return this._renderNodes(this.nodes, { vars: vars || {}, live });
+  }
+
+  /**
+   * Builds the template's static markup inside `element` once and binds every
+   * placeholder to the text node, attribute or block region that displays it.
+   * Returns null when there is no DOM, or when a placeholder sits somewhere it
+   * cannot be bound (e.g. in place of an attribute name); callers then fall back
+   * to render(). The latter is remembered in `unbindable`.
+   * @param {HTMLElement} element - Element whose content is replaced.
+   * @returns {SorchererTemplateView|null}
+   */
+  mount(element) {
+    if (this.unbindable || typeof document === 'undefined' || !element || typeof element.querySelectorAll !== 'function') {
+      return null;
     }
-    const span = document.createElement('span');
-    span.classList.add('magic-MinusOne');
-    span.style.position = 'absolute';
-    span.style.display = 'none';
-    span.style.transformOrigin = 'top left';
-    return span;
+
+    const parts = [];
+    let html = '';
+    for (const node of this.nodes) {
+      if (node.type === 'text') {
+        html += node.value;
+      } else {
+        html += `\uE000${parts.length}\uE001`;
+        parts.push(node);
+      }
+    }
+
+    element.innerHTML = html;
+    const view = new SorchererTemplateView(this, element, parts);
+    if (view.bindings) return view;
+    this.unbindable = true;
+    return null;
   }
+}
 
-  _clearDynamicVarProperties() {
-    for (const varName of this._dynamicVarNames) {
-      delete this[varName];
+/**
+ * A template mounted into an element. Each binding remembers the last value it
+ * wrote, so update() only touches DOM nodes whose output actually changed.
+ */
+class SorchererTemplateView {
+  /**
+   * @param {SorchererTemplate} template
+   * @param {HTMLElement} element - Element holding the marker-annotated markup.
+   * @param {Object[]} parts - Placeholder nodes, indexed by marker id.
+   */
+  constructor(template, element, parts) {
+    this.template = template;
+    this.element = element;
+    this.parts = parts;
+    this.bindings = this._bind();
+  }
+
+  _bind() {
+    const bindings = [];
+    const found = new Set();
+    const nodes = [];
+    const walker = document.createTreeWalker(this.element, 1 | 4); // elements and text
+    while (walker.nextNode()) nodes.push(walker.currentNode);
+
+    const partFor = (id) => {
+      found.add(Number(id));
+      const part = this.parts[Number(id)];
+      return { part, deps: this.template._collectDependencies(part) };
+    };
+
+    for (const node of nodes) {
+      if (node.nodeType === 3) {
+        if (!TEMPLATE_MARKER.test(node.data)) continue;
+        const pieces = node.data.split(TEMPLATE_MARKER_SPLIT);
+        const fragment = document.createDocumentFragment();
+        pieces.forEach((piece, index) => {
+          if (index % 2 === 0) {
+            if (piece) fragment.appendChild(document.createTextNode(piece));
+            return;
+          }
+          const { part, deps } = partFor(piece);
+          if (part.type === 'var' && !part.raw) {
+            const text = document.createTextNode('');
+            fragment.appendChild(text);
+            bindings.push({ kind: 'text', node: text, part, deps, value: '' });
+          } else {
+            const start = document.createComment('');
+            const end = document.createComment('');
+            fragment.append(start, end);
+            bindings.push({ kind: 'html', start, end, part, deps, value: '' });
+          }
+        });
+        node.parentNode.replaceChild(fragment, node);
+        continue;
+      }
+
+      for (const attribute of [...node.attributes]) {
+        if (TEMPLATE_MARKER.test(attribute.name)) return null;
+        if (!TEMPLATE_MARKER.test(attribute.value)) continue;
+        const deps = new Set();
+        const segments = attribute.value.split(TEMPLATE_MARKER_SPLIT).map((piece, index) => {
+          if (index % 2 === 0) return piece;
+          const entry = partFor(piece);
+          entry.deps.forEach((dep) => deps.add(dep));
+          return entry.part;
+        });
+        bindings.push({ kind: 'attr', node, name: attribute.name, segments, deps, value: attribute.value });
+      }
     }
-    this._dynamicVarNames.clear();
+
+    return (found.size === this.parts.length) ? bindings : null;
   }
 
-  _defineDynamicVarAccessor(varName) {
-    if (this._dynamicVarNames.has(varName)) return;
-    this._dynamicVarNames.add(varName);
-    Object.defineProperty(this, varName, {
-      get: () => this.getDynamicVar(varName),
-      set: (value) => { this.setDynamicVar(varName, value); },
-      enumerable: true,
-      configurable: true
-    });
+  _attributeValue(segments, scope) {
+    return segments.map((segment) => {
+      if (typeof segment === 'string') return segment;
+      return segment.type === 'var'
+        ? this.template._formatText(segment, scope)
+        : SorchererTemplate._decodeHtml(this.template._renderNodes([segment], scope));
+    }).join('');
   }
 
   /**
-   * Attaches HTML content to the overlay.
-   * Dynamic variable placeholders follow the syntax:
-   *    $varName$  or  $varName=defaultValue$
-   *
-   * This method parses the template, stores dynamic variables, and renders the content.
-   * @param {string} innerHTML - The HTML content to display.
+   * Whether the bound nodes are still inside the element (i.e. nobody replaced its content).
    */
-  attach(innerHTML) {
-    this.template = String(innerHTML ?? '');
-    this.dynamicVars = {};
-    this._clearDynamicVarProperties();
+  isConnected() {
+    const first = this.bindings[0];
+    if (!first) return this.element.childNodes.length > 0 || !this.template.source;
+    return this.element.contains(first.kind === 'html' ? first.start : first.node);
+  }
 
-    const regex = /\$([a-zA-Z0-9_]+)(?:=([^$]+))?\$/g;
-    this.template.replace(regex, (match, varName, defaultVal) => {
-      if (!(varName in this.dynamicVars)) {
-        this.dynamicVars[varName] = (defaultVal !== undefined) ? defaultVal : '';
+  /**
+   * Re-evaluates the bindings that read any of `changed` (all bindings when omitted).
+   * @param {Object} vars - Current variable values.
+   * @param {Iterable<string>} [changed] - Names of variables that changed (live values as `@name`).
+   * @param {Object} [live] - Live values for `$@name$` placeholders.
+   */
+  update(vars, changed, live) {
+    const scope = { vars: vars || {}, live };
+    const changedNames = changed ? new Set(changed) : null;
+
+    for (const binding of this.bindings) {
+      if (changedNames && ![...binding.deps].some((dep) => changedNames.has(dep))) continue;
+
+      if (binding.kind === 'text') {
+        const value = this.template._formatText(binding.part, scope);
+        if (value !== binding.value) {
+          binding.value = value;
+          binding.node.data = value;
+        }
+      } else if (binding.kind === 'attr') {
+        const value = this._attributeValue(binding.segments, scope);
+        if (value !== binding.value) {
+          binding.value = value;
+          binding.node.setAttribute(binding.name, value);
+        }
+      } else {
+        const value = this.template._renderNodes([binding.part], scope);
+        if (value !== binding.value) {
+          binding.value = value;
+          const { start, end } = binding;
+          while (start.nextSibling && start.nextSibling !== end) {
+            start.parentNode.removeChild(start.nextSibling);
+          }
+          // <template> parsing accepts any context (table rows, list items, ...) and never runs scripts.
+          const holder = document.createElement('template');
+          holder.innerHTML = value;
+          end.parentNode.insertBefore(holder.content, end);
+        }
       }
-      this._defineDynamicVarAccessor(varName);
-      return match;
-    });
+    }
+  }
+}
 
-    this.renderDynamicVars();
-    this._parentSpan.style.display = 'block';
+/**
+ * Owns one overlay container, object registry, instance map and update loop,
+ * bound to a single camera/renderer pair. Create one per view (main view,
+ * minimap, picture-in-picture, ...); the static Sorcherer API drives
+ * Sorcherer.defaultManager.
+ */
+class SorchererManager {
+  static _raycaster = new Raycaster();
+  static _tempFrustumPos = new Vector3();
+  static _tempOcclusionPos = new Vector3();
+  static _tempOcclusionNdc = new Vector2();
+  static _tempProjectedPos = new Vector3();
+  static _svgNamespace = 'http://www.w3.org/2000/svg';
+  static _pointerRaycaster = new Raycaster();
+  static _tempClusterPos = new Vector3();
+  static _tempSubViewport = new Vector4();
+  static _tempViewFrustum = new Frustum();
+  static _tempPointerNdc = new Vector2();
+  // Live realm entries without a `manager` attribute, mapped to the manager that claimed them.
+  static _realmOwners = new WeakMap();
+  // Managers by name, for the `manager` attribute of <sorcherer-overlay>.
+  static _named = new Map();
+  // Connected <sorcherer-overlay> elements (see Sorcherer.defineElement()).
+  static _overlayElements = new Set();
+
+  /**
+   * @param {Object} [options]
+   * @param {string} [options.name] - Name matched against the `manager` attribute of <realm> elements.
+   * @param {THREE.Camera} [options.camera] - Camera this manager is bound to.
+   * @param {THREE.Renderer} [options.renderer] - Renderer this manager is bound to.
+   * @param {HTMLElement} [options.parent] - Element the overlay container is appended to (defaults to document.body).
+   */
+  constructor(options = {}) {
+    this.name = options.name || null;
+    this.camera = options.camera || null;
+    this.renderer = options.renderer || null;
+    this.parent = options.parent || null;
+    // All overlay instances owned by this manager (stored in a Set).
+    this.allLoadedElements = new Set();
+    // Registry mapping Object3D names to objects.
+    this.objectRegistry = new Map();
+    // Dictionary mapping idm (i.e. Object3D name) to overlay instance (of the default slot).
+    this.instancesById = {};
+    // Object names mapped to the overlays of their other slots, see get().
+    this._slots = new Map();
+    // Container element for this manager's overlays (null in non-DOM environments).
+    this.container = (typeof document !== 'undefined')
+      ? document.createElement('div')
+      : null;
+    // For frustum culling.
+    this.frustum = new Frustum();
+    this.matrix = new Matrix4();
+    this.autoUpdateRunning = false;
+    this.interval = 16;
+    this._loopId = 0;
+    this._rafHandle = null;
+    this._timeoutHandle = null;
+    this._containerAttachPending = false;
+    // Occlusion testing (opt-in per instance via `occlude`).
+    // Objects (searched recursively) that can hide an overlay's anchor, e.g. [scene].
+    this.occluders = [];
+    // Layer index the occlusion raycast is limited to (null = follow the camera's layers).
+    this.occlusionLayer = null;
+    // Maximum number of occlusion raycasts per bufferAll() pass (round-robin over the rest).
+    this.occlusionBudget = 32;
+    this._occlusionCursor = 0;
+    // Screen-space decluttering: null (off), 'nudge' (shift overlapping labels vertically) or 'hide'.
+    this.declutter = null;
+    // Minimum gap in pixels between decluttered overlay boxes.
+    this.declutterPadding = 4;
+    // Furthest a label is nudged from its anchor before it is hidden instead.
+    this.declutterMaxShift = 64;
+    // Fraction of the remaining nudge distance covered per pass (1 = snap).
+    this.declutterSmoothing = 0.35;
+    // Screen-space clustering (see _cluster()): merge overlays closer than clusterRadius into one.
+    this.cluster = false;
+    this.clusterRadius = 40;
+    // Fewest members a cluster needs; smaller groups stay separate overlays.
+    this.clusterMinSize = 2;
+    // Template of cluster overlays: $count$, $group$ and $#each members$ (name plus dynamic variables).
+    this.clusterTemplate = '<span class="sorcherer-cluster-count">$count$</span>';
+    // Constructor options of cluster overlays, e.g. { transitions: true }.
+    this.clusterOptions = {};
+    this.clusterExpandOnClick = true;
+    this._clusters = [];
+    this._expandedClusters = [];
+    // Debug inspector (see debug()): overlay gizmos, a statistics panel and realm warnings.
+    this.debugging = false;
+    this._debugLayer = null;
+    this._debugWarnings = new WeakMap();
+    // SVG layer holding the leader lines, created on first use.
+    this._leaderLayer = null;
+    // Event handlers registered with on(), keyed by event type.
+    this._listeners = new Map();
+    // Canvas listeners installed by enablePointerTracking().
+    this._pointerTracking = null;
+    // rAF handle of the loop easing overlays with `smoothing` (see _startMotion()).
+    this._motionHandle = null;
+    // Skip overlays whose anchor, settings, camera and viewport did not change since their last update.
+    this.dirtyChecking = false;
+    // Milliseconds per bufferAll() pass after which overlays with priority <= 0 keep their
+    // state until a later pass, least recently updated first (null = no limit).
+    this.updateBudget = null;
+    // Counters of the last bufferAll() pass.
+    this.stats = { updated: 0, culled: 0, skipped: 0, deferred: 0, duration: 0 };
+    this._pass = 0;
+    // Pass whose bounding boxes are cached while bufferAll() runs (see Sorcherer#_getWorldBox()).
+    this._boxPass = null;
+    this._view = { camera: null, plugins: 0, layers: 1, x: 0, y: 0, width: 0, height: 0, world: new Matrix4(), projection: new Matrix4() };
+    // Keep the container over the renderer's canvas wherever it sits on the page (see _measureCanvas()).
+    this.trackCanvas = true;
+    // Let pointer events through the container to the canvas; only interactive overlays take them.
+    // null = automatically, once pointer tracking or a pointer event handler is used.
+    this.pointerPassthrough = null;
+    this._pointerInUse = false;
+    // Part of the canvas bufferAll() lays overlays out in when none is passed (null = the whole canvas).
+    this.viewport = null;
+    // ArrayCamera handling (see _bufferViews()): 'duplicate' shows overlays in every sub-camera's
+    // viewport, 'primary' only in the sub-camera at index primaryView.
+    this.arrayCameraMode = 'duplicate';
+    this.primaryView = 0;
+    this._viewCount = 0;
+    this._trackedCanvas = null;
+    this._canvasListeners = null;
+    this._containerBox = null;
+    if (this.container) this._listenToContainer();
+    // Live mode (see watch()).
+    this.live = false;
+    this.sceneSyncInterval = 250;
+    this._observer = null;
+    this._watchedScene = null;
+    this._sceneListeners = new Map();
+    this._realmEntries = new Map();
+    // Overlays whose object left its parent while a scene is watched; kept until the next scene sync.
+    this._detachedOverlays = new Set();
+    this._lastSceneSync = 0;
+    if (this.name) SorchererManager._named.set(this.name, this);
+  }
+
+  // Alias for instancesById.
+  get elements() { return this.instancesById; }
+
+  // Overlays currently standing in for clustered overlays (see _cluster()).
+  get clusters() { return this._clusters.map((record) => record.overlay); }
+
+  /**
+   * Toggles `sorcherer-passthrough` on the container: as `pointerPassthrough` says when it
+   * is set, otherwise once pointer tracking or a pointer event handler has been used.
+   */
+  _updatePassthrough() {
+    if (typeof document === 'undefined' || !this.container) return;
+    const passthrough = (this.pointerPassthrough === null || this.pointerPassthrough === undefined)
+      ? this._pointerInUse
+      : Boolean(this.pointerPassthrough);
+    Sorcherer._toggleClass(this.container, 'sorcherer-passthrough', passthrough);
+  }
+
+  /**
+   * Notes that pointer events are in use, which turns on automatic passthrough.
+   */
+  _usePointer() {
+    if (this._pointerInUse) return;
+    this._pointerInUse = true;
+    this._updatePassthrough();
+  }
+
+  ensureContainerAttached() {
+    if (typeof document === 'undefined' || !this.container) return;
+    this.container.classList.add('sorcherer-container');
+    this._updatePassthrough();
+
+    if (this.container.isConnected) return;
+
+    const parent = this.parent || document.body;
+    if (parent) {
+      parent.appendChild(this.container);
+      this._containerAttachPending = false;
+      return;
+    }
+
+    if (this._containerAttachPending) return;
+    this._containerAttachPending = true;
+
+    document.addEventListener('DOMContentLoaded', () => {
+      this._containerAttachPending = false;
+      const readyParent = this.parent || document.body;
+      if (readyParent && this.container && !this.container.isConnected) {
+        readyParent.appendChild(this.container);
+      }
+    }, { once: true });
+  }
+
+  /**
+   * Moves the overlay container into another element, e.g. a positioned wrapper of the canvas.
+   * @param {HTMLElement} parent - The new parent element.
+   */
+  mount(parent) {
+    this.parent = parent || null;
+    if (this.container?.isConnected) this.container.remove();
+    this._containerBox = null;
+    this.ensureContainerAttached();
+  }
+
+  /**
+   * Reads the canvas size in container pixels. With `trackCanvas`, the container is first
+   * moved over the canvas's content box, so the canvas may sit anywhere on the page,
+   * inside scrolled elements or scaled by CSS transforms.
+   * @param {THREE.Renderer} renderer
+   * @returns {{x: number, y: number, width: number, height: number, scaleX: number, scaleY: number}|null}
+   */
+  _measureCanvas(renderer) {
+    const size = SorchererManager._readViewport(renderer);
+    if (!size) return null;
+    const canvas = { x: 0, y: 0, width: size.width, height: size.height, scaleX: 1, scaleY: 1 };
+
+    const domElement = renderer.domElement;
+    if (!this.trackCanvas || !this.container?.isConnected || typeof domElement.getBoundingClientRect !== 'function') {
+      this._untrackCanvas();
+      return canvas;
+    }
+    this._trackCanvas(domElement);
+
+    const rect = domElement.getBoundingClientRect();
+    if (!rect.width || !rect.height || !domElement.offsetWidth || !domElement.offsetHeight) return canvas;
+    canvas.scaleX = rect.width / domElement.offsetWidth;
+    canvas.scaleY = rect.height / domElement.offsetHeight;
+    canvas.width = size.width * canvas.scaleX;
+    canvas.height = size.height * canvas.scaleY;
+    this._placeContainer(
+      rect.left + (domElement.clientLeft || 0) * canvas.scaleX,
+      rect.top + (domElement.clientTop || 0) * canvas.scaleY,
+      canvas.width,
+      canvas.height
+    );
+    return canvas;
+  }
+
+  /**
+   * Moves and sizes the container to cover the given viewport-relative box. Works from
+   * the container's actual position, so it does not depend on its containing block.
+   */
+  _placeContainer(left, top, width, height) {
+    const container = this.container;
+    const current = container.getBoundingClientRect();
+    if (!this._containerBox) {
+      const style = (typeof getComputedStyle === 'function') ? getComputedStyle(container) : null;
+      this._containerBox = { left: parseFloat(style?.left) || 0, top: parseFloat(style?.top) || 0, width: -1, height: -1 };
+    }
+
+    const box = this._containerBox;
+    const nextLeft = box.left + left - current.left;
+    const nextTop = box.top + top - current.top;
+    const moved = (a, b) => Math.abs(a - b) > 0.01;
+    if (!moved(nextLeft, box.left) && !moved(nextTop, box.top) && !moved(width, box.width) && !moved(height, box.height)) return;
+
+    container.style.left = `${nextLeft}px`;
+    container.style.top = `${nextTop}px`;
+    container.style.width = `${width}px`;
+    container.style.height = `${height}px`;
+    this._containerBox = { left: nextLeft, top: nextTop, width, height };
+  }
+
+  /**
+   * Follows resizes of the canvas and scrolling, so the container keeps covering the canvas
+   * between bufferAll() passes.
+   * @param {HTMLCanvasElement} domElement
+   */
+  _trackCanvas(domElement) {
+    if (this._trackedCanvas === domElement) return;
+    this._untrackCanvas();
+    this._trackedCanvas = domElement;
+
+    const update = () => {
+      if (this._trackedCanvas) this._measureCanvas({ domElement: this._trackedCanvas });
+    };
+    const listeners = { update, resizeObserver: null };
+    if (typeof ResizeObserver === 'function') {
+      listeners.resizeObserver = new ResizeObserver(update);
+      listeners.resizeObserver.observe(domElement);
+    }
+    if (typeof window !== 'undefined') window.addEventListener('resize', update);
+    // Capturing catches scrolling of any ancestor, not only the document.
+    document.addEventListener('scroll', update, { capture: true, passive: true });
+    this._canvasListeners = listeners;
+  }
+
+  _untrackCanvas() {
+    const listeners = this._canvasListeners;
+    if (!listeners) return;
+    listeners.resizeObserver?.disconnect();
+    if (typeof window !== 'undefined') window.removeEventListener('resize', listeners.update);
+    document.removeEventListener('scroll', listeners.update, { capture: true });
+    this._canvasListeners = null;
+    this._trackedCanvas = null;
+    if (this.container) {
+      for (const property of ['left', 'top', 'width', 'height']) this.container.style[property] = '';
+    }
+    this._containerBox = null;
+  }
+
+  /**
+   * Resolves the area overlays are laid out in. `rect` is in canvas CSS pixels, either
+   * `{ x, y, width, height }` from the top-left corner or a Vector4 as passed to
+   * renderer.setViewport() (y from the bottom). Without `rect`, the whole canvas is used.
+   * @param {Object|THREE.Vector4|null} rect
+   * @param {Object|null} canvas - Result of _measureCanvas() (or _readViewport()).
+   * @returns {{x: number, y: number, width: number, height: number}|null} Area in container pixels.
+   */
+  static _resolveViewport(rect, canvas) {
+    if (!canvas) return null;
+    if (!rect) return { x: 0, y: 0, width: canvas.width, height: canvas.height };
+
+    const scaleX = canvas.scaleX || 1;
+    const scaleY = canvas.scaleY || 1;
+    const width = rect.isVector4 ? rect.z : rect.width;
+    const height = rect.isVector4 ? rect.w : rect.height;
+    const y = rect.isVector4 ? canvas.height / scaleY - rect.y - height : rect.y;
+    return {
+      x: (rect.x || 0) * scaleX,
+      y: (y || 0) * scaleY,
+      width: (width || 0) * scaleX,
+      height: (height || 0) * scaleY
+    };
+  }
+
+  /**
+   * Raycasts from the camera towards the instance's anchor and reports whether
+   * anything in its occluders (other than the anchor object itself) is in the way.
+   * @param {Sorcherer} instance
+   * @param {THREE.Camera} camera
+   * @returns {boolean}
+   */
+  _testOcclusion(instance, camera) {
+    const anchor = instance._getAnchorWorldPosition(SorchererManager._tempOcclusionPos);
+    const raycaster = SorchererManager._raycaster;
+
+    if (camera.isPerspectiveCamera || camera.isOrthographicCamera) {
+      const projected = SorchererManager._tempProjectedPos.copy(anchor).project(camera);
+      raycaster.setFromCamera(SorchererManager._tempOcclusionNdc.set(projected.x, projected.y), camera);
+    } else {
+      camera.getWorldPosition(raycaster.ray.origin);
+      raycaster.ray.direction.subVectors(anchor, raycaster.ray.origin).normalize();
+      raycaster.camera = camera;
+    }
+
+    const distance = raycaster.ray.origin.distanceTo(anchor);
+    if (!Number.isFinite(distance) || distance <= 0) return false;
+    raycaster.near = 0;
+    raycaster.far = distance * 0.999;
+
+    if (Number.isInteger(this.occlusionLayer)) {
+      raycaster.layers.set(this.occlusionLayer);
+    } else {
+      raycaster.layers.mask = camera.layers ? camera.layers.mask : 1;
+    }
+
+    const hits = raycaster.intersectObjects(this._occludersOf(instance).filter(Boolean), true);
+    return hits.some((hit) => (
+      !Sorcherer._isSameOrDescendant(hit.object, instance.object)
+      && Sorcherer._isVisibleInScene(hit.object)
+    ));
+  }
+
+  /**
+   * Returns the objects that can occlude an overlay: its own `occluders` if set,
+   * otherwise the manager's.
+   * @param {Sorcherer} instance
+   * @returns {THREE.Object3D[]}
+   */
+  _occludersOf(instance) {
+    const occluders = Array.isArray(instance.occluders) ? instance.occluders : this.occluders;
+    return Array.isArray(occluders) ? occluders : [];
+  }
+
+  /**
+   * Runs occlusion raycasts for overlays positioned this pass, spending at most
+   * `occlusionBudget` raycasts and continuing where the last pass stopped.
+   * Instances not tested this pass keep their previous state.
+   * @param {THREE.Camera} camera - The active camera.
+   * @param {Sorcherer[]} candidates - Instances with `occlude` set that are on screen.
+   */
+  _updateOcclusion(camera, candidates) {
+    // Overlays without any occluder can never be occluded and cost no raycast.
+    const tested = [];
+    for (const instance of candidates) {
+      if (this._occludersOf(instance).length) {
+        tested.push(instance);
+      } else if (instance.isOccluded) {
+        instance._setOccluded(false);
+      }
+    }
+    if (!tested.length) return;
+
+    const budget = Number.isFinite(this.occlusionBudget) && this.occlusionBudget > 0
+      ? Math.floor(this.occlusionBudget)
+      : tested.length;
+    const count = Math.min(Math.max(budget, 1), tested.length);
+    const start = this._occlusionCursor % tested.length;
+
+    for (let i = 0; i < count; i++) {
+      const instance = tested[(start + i) % tested.length];
+      const occluded = this._testOcclusion(instance, camera);
+      if (occluded !== instance.isOccluded) instance._setOccluded(occluded);
+    }
+
+    this._occlusionCursor = (start + count) % tested.length;
+  }
+
+  /**
+   * Updates all of this manager's overlays.
+   * Performs frustum culling and (for instances with `occlude` set) occlusion testing.
+   * @param {THREE.Camera} [camera=this.camera] - The active camera. For an ArrayCamera, overlays are laid
+   *   out in its sub-cameras' viewports (see arrayCameraMode) and `viewport` is only used for sub-cameras without one.
+   * @param {THREE.Renderer} [renderer=this.renderer] - The active renderer.
+   * @param {{x: number, y: number, width: number, height: number}|THREE.Vector4} [viewport=this.viewport] -
+   *   Part of the canvas the camera renders to, for renderer.setViewport() setups (see _resolveViewport()).
+   */
+  bufferAll(camera = this.camera, renderer = this.renderer, viewport = this.viewport) {
+    if (!camera || !renderer) return;
+    const start = Sorcherer._now();
+    this.ensureContainerAttached();
+
+    // An ArrayCamera is laid out through its primary sub-camera; the others get mirror spans.
+    let views = [];
+    if (camera.isArrayCamera && camera.cameras?.length) {
+      const cameras = camera.cameras;
+      const index = Math.min(cameras.length - 1, Math.max(0, Math.floor(this.primaryView) || 0));
+      if (this.arrayCameraMode !== 'primary') views = cameras.filter((_, other) => other !== index);
+      camera = cameras[index];
+      viewport = SorchererManager._subCameraRect(camera, renderer) || viewport;
+    }
+
+    if (this._watchedScene && Date.now() - this._lastSceneSync >= this.sceneSyncInterval) {
+      this._syncWatchedScene();
+    }
+
+    this.matrix.multiplyMatrices(camera.projectionMatrix, camera.matrixWorldInverse);
+    this.frustum.setFromProjectionMatrix(this.matrix);
+
+    // Read the viewport once: reading it per overlay would interleave layout reads with style writes.
+    const canvas = this._measureCanvas(renderer);
+    const area = SorchererManager._resolveViewport(viewport, canvas);
+    const viewChanged = this._updateView(camera, area);
+    const budget = (Number.isFinite(this.updateBudget) && this.updateBudget > 0) ? this.updateBudget : null;
+    const pass = ++this._pass;
+    this._boxPass = pass;
+    const stats = { updated: 0, culled: 0, skipped: 0, deferred: 0, duration: 0 };
+
+    const elements = [...this.allLoadedElements];
+    if (budget !== null) {
+      // Prioritized overlays first; the rest round-robin by when they were last updated.
+      elements.sort((a, b) => (
+        (Math.max(0, b.priority) - Math.max(0, a.priority)) || (a._bufferedPass - b._bufferedPass)
+      ));
+    }
+    let budgetedUpdates = 0;
+
+    const occlusionCandidates = [];
+    const positioned = [];
+    for (const element of elements) {
+      if (!element.object) {
+        Sorcherer._hideOverlay(element);
+        continue;
+      }
+
+      const worldPos = element._getAnchorBasePosition(SorchererManager._tempFrustumPos);
+      // Edge indicators stay visible off screen, so they skip the frustum test.
+      if (element.offscreen !== 'edge' && !this.frustum.containsPoint(worldPos)) {
+        Sorcherer._hideOverlay(element);
+        element._lastShown = null;
+        element._frame.reason = 'culled';
+        element._setCulled(true, 'culled');
+        stats.culled++;
+        continue;
+      }
+
+      let dirty = true;
+      if (this.dirtyChecking) {
+        element._captureState(worldPos);
+        dirty = viewChanged || element._lastShown === null || element._stateChanged();
+      }
+
+      let shown;
+      if (!dirty) {
+        stats.skipped++;
+        shown = element._restoreShown();
+      } else if (budget !== null && element.priority <= 0 && budgetedUpdates > 0
+        && element._lastShown !== null && Sorcherer._now() - start > budget) {
+        stats.deferred++;
+        shown = element._restoreShown();
+      } else {
+        if (element.priority <= 0) budgetedUpdates++;
+        shown = element._buffer(camera, renderer, area, worldPos);
+        element._lastShown = shown;
+        element._bufferedPass = pass;
+        element._commitState(this.dirtyChecking);
+        stats.updated++;
+      }
+
+      if (shown) {
+        positioned.push(element);
+        if (element.occlude && !element.isOffscreen) {
+          occlusionCandidates.push(element);
+        } else if (element.isOccluded) {
+          element._setOccluded(false);
+        }
+      }
+    }
+
+    this._updateOcclusion(camera, occlusionCandidates);
+    this._cluster(positioned.filter((element) => element._parentSpan.style.display !== 'none'), camera, renderer, area);
+    this._declutter(positioned.filter((element) => element._parentSpan.style.display !== 'none'));
+    this._updateLeaders(positioned);
+
+    // Class writes first, then a single style flush and the transition reads.
+    const leaving = [];
+    let entering = false;
+    for (const element of [...this.allLoadedElements, ...this.clusters]) {
+      const change = element._commitVisibility();
+      if (change === 'enter') entering = true;
+      if (change === 'leave') leaving.push(element);
+    }
+    // Style the entering class before its removal on the next frame, even outside rAF.
+    if (entering && this.container) void this.container.offsetWidth;
+    for (const element of leaving) element._scheduleLeave();
+    if (views.length || this._viewCount) this._bufferViews(views, renderer, canvas);
+
+    stats.duration = Sorcherer._now() - start;
+    this.stats = stats;
+    if (this.debugging) this._drawDebug();
+    this._boxPass = null;
+  }
+
+  /**
+   * Shows every overlay in the other sub-cameras of an ArrayCamera ('duplicate' mode) through
+   * a mirror span per view, or removes the mirror spans when `views` is empty. Projection and
+   * frustum culling are done per view; occlusion, decluttering and clustering are decided in
+   * the primary view and carried over, as is a plugin's beforeBuffer veto. Mirror spans copy the
+   * primary view's content, so `$@name$` values are those of the primary camera. Leader lines,
+   * smoothing and transitions are only shown in the primary view. Of the plugin hooks, only
+   * computeTransform runs per view (with that view's camera), as part of the layout; the
+   * others only run for the primary view.
+   * @param {THREE.Camera[]} views - Sub-cameras other than the primary one.
+   * @param {THREE.Renderer} renderer
+   * @param {Object|null} canvas - Result of _measureCanvas().
+   */
+  _bufferViews(views, renderer, canvas) {
+    const instances = [...this.allLoadedElements, ...this.clusters];
+    views.forEach((view, index) => {
+      const area = SorchererManager._resolveViewport(SorchererManager._subCameraRect(view, renderer), canvas);
+      const frustum = Sorcherer._frustumOf(view, SorchererManager._tempViewFrustum);
+      for (const instance of instances) instance._bufferView(index, view, area, frustum);
+    });
+    for (const instance of instances) instance._trimViews(views.length);
+    this._viewCount = views.length;
+  }
+
+  /**
+   * Viewport of an ArrayCamera sub-camera in canvas CSS pixels. Sub-camera viewports are
+   * in drawing-buffer pixels, so they are divided by the canvas's pixel ratio.
+   * @param {THREE.Camera} camera
+   * @param {THREE.Renderer} renderer
+   * @returns {THREE.Vector4|null} Null when the sub-camera has no viewport.
+   */
+  static _subCameraRect(camera, renderer) {
+    if (!camera.viewport?.isVector4) return null;
+    const domElement = renderer.domElement;
+    const cssWidth = domElement.clientWidth || domElement.width || 0;
+    const ratio = (cssWidth && domElement.width) ? domElement.width / cssWidth : 1;
+    return SorchererManager._tempSubViewport.copy(camera.viewport).divideScalar(ratio);
+  }
+
+  static _readViewport(renderer) {
+    const domElement = renderer?.domElement;
+    if (!domElement) return null;
+    return {
+      width: domElement.clientWidth || domElement.width || 0,
+      height: domElement.clientHeight || domElement.height || 0
+    };
+  }
+
+  /**
+   * Computes the layout of every overlay (see Sorcherer#computeLayout()) without touching
+   * the DOM, e.g. in Node or to drive a non-DOM renderer.
+   * @param {THREE.Camera} [camera=this.camera] - The camera to project with.
+   * @param {{x?: number, y?: number, width: number, height: number}} [viewport] - Viewport in pixels (defaults to the renderer's size).
+   * @returns {Map<Sorcherer, Object>} Layout per overlay.
+   */
+  computeLayouts(camera = this.camera, viewport = SorchererManager._readViewport(this.renderer)) {
+    const layouts = new Map();
+    if (!camera) return layouts;
+    const frustum = Sorcherer._frustumOf(camera, Sorcherer._tempFrustum);
+    for (const instance of this.allLoadedElements) {
+      layouts.set(instance, instance._computeLayout(camera, viewport, null, frustum, {}));
+    }
+    return layouts;
+  }
+
+  /**
+   * Remembers the camera matrices and viewport of this pass, and the global plugins.
+   * @returns {boolean} Whether any of them changed since the previous pass.
+   */
+  _updateView(camera, viewport) {
+    const view = this._view;
+    const x = viewport?.x || 0;
+    const y = viewport?.y || 0;
+    const width = viewport ? viewport.width : 0;
+    const height = viewport ? viewport.height : 0;
+    const layers = camera.layers ? camera.layers.mask : 1;
+    const changed = view.camera !== camera
+      || view.plugins !== Sorcherer._pluginsVersion
+      || view.layers !== layers
+      || view.x !== x
+      || view.y !== y
+      || view.width !== width
+      || view.height !== height
+      || !view.world.equals(camera.matrixWorld)
+      || !view.projection.equals(camera.projectionMatrix);
+    if (changed) {
+      view.camera = camera;
+      view.plugins = Sorcherer._pluginsVersion;
+      view.layers = layers;
+      view.x = x;
+      view.y = y;
+      view.width = width;
+      view.height = height;
+      view.world.copy(camera.matrixWorld);
+      view.projection.copy(camera.projectionMatrix);
+    }
+    return changed;
+  }
+
+  /**
+   * Finds overlays of this manager. Every given criterion must match.
+   * @param {Object} [criteria]
+   * @param {string|string[]} [criteria.tag] - Tag (or tags, all required) the overlay carries.
+   * @param {string} [criteria.name] - Name of the overlay's object.
+   * @param {string|null} [criteria.slot] - Slot of the overlay (null for the default slot).
+   * @param {boolean} [criteria.visible] - Whether the overlay was shown by the last bufferAll() pass.
+   * @param {boolean} [criteria.hidden] - Whether the overlay is hidden with hide().
+   * @param {(instance: Sorcherer) => boolean} [criteria.filter] - Custom predicate.
+   * @returns {SorchererQuery} The matched overlays, with bulk operations.
+   */
+  query(criteria = {}) {
+    const tags = (criteria.tag == null) ? [] : [].concat(criteria.tag);
+    const matches = [];
+    for (const instance of this.allLoadedElements) {
+      if (instance._disposed) continue;
+      if (!tags.every((tag) => instance.tags.has(tag))) continue;
+      if (criteria.name !== undefined && instance.object?.name !== criteria.name) continue;
+      if (criteria.slot !== undefined && instance.slot !== Sorcherer._normalizeSlot(criteria.slot)) continue;
+      if (criteria.visible !== undefined && instance.isVisible !== Boolean(criteria.visible)) continue;
+      if (criteria.hidden !== undefined && instance.hidden !== Boolean(criteria.hidden)) continue;
+      if (criteria.filter && !criteria.filter(instance)) continue;
+      matches.push(instance);
+    }
+    return new SorchererQuery(matches);
+  }
+
+  /**
+   * Makes the next bufferAll() pass update every overlay, e.g. after CSS changes that resize them.
+   */
+  invalidate() {
+    for (const instance of this.allLoadedElements) instance.invalidate();
+  }
+
+  /**
+   * Runs the frame loop easing overlays with `smoothing` towards their buffered layout,
+   * until every one of them has settled.
+   */
+  _startMotion() {
+    if (this._motionHandle !== null) return;
+    let last = null;
+    const step = (now) => {
+      const elapsed = last === null ? 16 : now - last;
+      last = now;
+      let moving = false;
+      for (const instance of [...this.allLoadedElements, ...this.clusters]) {
+        if (instance._motion && instance._stepMotion(elapsed)) moving = true;
+      }
+      this._motionHandle = moving ? requestAnimationFrame(step) : null;
+    };
+    this._motionHandle = requestAnimationFrame(step);
+  }
+
+  /**
+   * Returns the SVG element leader lines are drawn into, creating it inside the container.
+   * @returns {SVGSVGElement|null} Null in non-DOM environments.
+   */
+  _ensureLeaderLayer() {
+    if (this._leaderLayer || typeof document === 'undefined' || !this.container) return this._leaderLayer;
+    const layer = document.createElementNS(SorchererManager._svgNamespace, 'svg');
+    layer.setAttribute('class', 'sorcherer-leaders');
+    this.container.insertBefore(layer, this.container.firstChild);
+    this._leaderLayer = layer;
+    return layer;
+  }
+
+  /**
+   * Turns the debug inspector on or off. While it is on, each bufferAll() pass marks every
+   * projected anchor (red and labelled with the reason when the overlay is hidden), outlines
+   * the shown overlay boxes and shows a panel with overlay counts per reason and the pass time.
+   * Realm entries whose `idm` matches no registered object or whose attributes do not parse
+   * are reported with console warnings, for the entries already in the document and for
+   * those attached later.
+   * @param {boolean} [enabled=true]
+   */
+  debug(enabled = true) {
+    this.debugging = Boolean(enabled);
+    if (!this.debugging) {
+      this._debugLayer?.remove();
+      this._debugLayer = null;
+      this._debugWarnings = new WeakMap();
+      return;
+    }
+
+    if (typeof document === 'undefined') return;
+    document.querySelectorAll('realm').forEach((realmElement) => {
+      const realmManager = realmElement.getAttribute('manager');
+      if (realmManager && realmManager !== this.name) return;
+      realmElement.querySelectorAll('[idm]').forEach((el) => {
+        const idm = el.getAttribute('idm');
+        if (idm) this._debugRealmEntry(el, this.objectRegistry.get(idm));
+      });
+    });
+  }
+
+  /**
+   * Warns (once per distinct problem) about a realm entry that matches no registered object
+   * or has attributes that do not parse. Does nothing unless the debug inspector is on.
+   * @param {Element} el - Realm child carrying the `idm` attribute.
+   * @param {THREE.Object3D|null|undefined} object - The registered object `idm` resolves to.
+   */
+  _debugRealmEntry(el, object) {
+    if (!this.debugging) return;
+    const problems = Sorcherer._checkRealmAttributes(el);
+    if (!object) problems.unshift('matches no registered object (names are matched against object.name).');
+    const message = problems.map((problem) => `\n- ${problem}`).join('');
+    if (!message || this._debugWarnings.get(el) === message) return;
+    this._debugWarnings.set(el, message);
+    console.warn(`[Sorcherer] Realm entry idm="${el.getAttribute('idm')}":${message}`);
+  }
+
+  /**
+   * Returns the layer the debug inspector draws into, creating it on top of the overlays.
+   * @returns {HTMLDivElement|null} Null in non-DOM environments.
+   */
+  _ensureDebugLayer() {
+    if (typeof document === 'undefined' || !this.container) return null;
+    if (this._debugLayer?.parentElement === this.container) return this._debugLayer;
+    const layer = this._debugLayer || document.createElement('div');
+    if (!this._debugLayer) {
+      layer.className = 'sorcherer-debug';
+      layer.appendChild(document.createElementNS(SorchererManager._svgNamespace, 'svg'));
+      const panel = document.createElement('div');
+      panel.className = 'sorcherer-debug-panel';
+      layer.appendChild(panel);
+    }
+    this.container.appendChild(layer);
+    this._debugLayer = layer;
+    return layer;
+  }
+
+  /**
+   * Redraws the debug inspector (see debug()) for the pass that just ran.
+   */
+  _drawDebug() {
+    const layer = this._ensureDebugLayer();
+    if (!layer) return;
+
+    const reasons = new Map();
+    let visible = 0;
+    let markup = '';
+    for (const instance of this.allLoadedElements) {
+      const reason = SorchererManager._debugReasonOf(instance);
+      if (reason) {
+        reasons.set(reason, (reasons.get(reason) || 0) + 1);
+      } else {
+        visible++;
+        const box = instance._measureBox();
+        if (box) {
+          markup += `<rect class="sorcherer-debug-box" x="${box.left}" y="${box.top + instance._declutterOffsetY}"`
+            + ` width="${box.width}" height="${box.height}"/>`;
+        }
+      }
+
+      // Only layouts computed this pass (or unchanged since) have an anchor to mark.
+      const frame = instance._frame;
+      if (frame.reason !== null || frame.x === null || frame.x === undefined) continue;
+      const x = frame.anchorX ?? frame.x;
+      const y = frame.anchorY ?? frame.y;
+      markup += `<circle class="sorcherer-debug-anchor${reason ? ' sorcherer-debug-hidden' : ''}" cx="${x}" cy="${y}" r="3"/>`;
+      if (reason) markup += `<text class="sorcherer-debug-reason" x="${x + 5}" y="${y - 5}">${reason}</text>`;
+    }
+    layer.firstChild.innerHTML = markup;
+
+    const { stats } = this;
+    const lines = [
+      `Sorcherer${this.name ? ` "${this.name}"` : ''}`,
+      `overlays ${this.allLoadedElements.size}  visible ${visible}  hidden ${this.allLoadedElements.size - visible}`,
+      ...[...reasons].map(([reason, count]) => `  ${reason} ${count}`),
+      `updated ${stats.updated}  skipped ${stats.skipped}  deferred ${stats.deferred}`,
+      `bufferAll ${stats.duration.toFixed(2)} ms`
+    ];
+    if (this._clusters.length) lines.splice(-2, 0, `clusters ${this._clusters.length}`);
+    layer.lastChild.textContent = lines.join('\n');
+  }
+
+  /**
+   * Why an overlay is not shown after the last pass, for the debug inspector.
+   * @param {Sorcherer} instance
+   * @returns {string|null} A layout reason (see computeLayout()), 'occluded', 'decluttered',
+   *   'clustered', or null when it is shown.
+   */
+  static _debugReasonOf(instance) {
+    if (instance.isVisible) return null;
+    if (instance.isClustered) return 'clustered';
+    if (instance.isDecluttered) return 'decluttered';
+    if (instance.isOccluded && instance.occlude === 'hide') return 'occluded';
+    return instance._frame.reason || 'hidden';
+  }
+
+  /**
+   * Draws the leader lines of overlays that are shown this pass and hides the rest.
+   * Runs after decluttering so lines follow the nudged boxes.
+   * @param {Sorcherer[]} positioned - Overlays positioned this pass.
+   */
+  _updateLeaders(positioned) {
+    const shown = new Set(positioned);
+    const boxes = new Map();
+    // Measure every box before the first path write.
+    for (const instance of this.allLoadedElements) {
+      if (!instance.leader) {
+        if (instance._leaderPath) instance._removeLeader();
+        continue;
+      }
+      const visible = shown.has(instance)
+        && !instance.isOffscreen
+        && instance._parentSpan.style.display !== 'none';
+      boxes.set(instance, visible ? instance._measureBox() : null);
+    }
+    for (const [instance, box] of boxes) instance._drawLeader(box);
+  }
+
+  /**
+   * Resolves overlapping overlay boxes after projection. Overlays are placed in order
+   * of priority (then those already shown, then creation order), so the outcome does
+   * not flip between frames as distances change. In 'nudge' mode a colliding label
+   * keeps last pass's shift when it is still free, otherwise takes the nearest free
+   * vertical shift within declutterMaxShift; anything that cannot be placed is hidden.
+   * @param {Sorcherer[]} instances - Overlays positioned and shown this pass.
+   */
+  _declutter(instances) {
+    const mode = Sorcherer._normalizeDeclutterMode(this.declutter);
+    if (!mode) {
+      for (const instance of instances) {
+        if (instance._declutterOffsetY || instance.isDecluttered) {
+          instance._declutterOffsetY = 0;
+          instance._declutterTargetY = 0;
+          instance._setDecluttered(false);
+          instance._writeTransform();
+        }
+      }
+      return;
+    }
+
+    const padding = Number.isFinite(this.declutterPadding) ? Math.max(0, this.declutterPadding) : 0;
+    const maxShift = (mode === 'nudge' && Number.isFinite(this.declutterMaxShift))
+      ? Math.max(0, this.declutterMaxShift)
+      : 0;
+    const smoothing = Number.isFinite(this.declutterSmoothing)
+      ? Math.min(1, Math.max(0, this.declutterSmoothing))
+      : 1;
+
+    // Read pass: every transform of this bufferAll() has been written, so this lays out once.
+    const entries = instances.map((instance) => ({ instance, box: instance._measureBox() }));
+    entries.sort((a, b) => (
+      (b.instance.priority - a.instance.priority)
+      || (Number(a.instance.isDecluttered) - Number(b.instance.isDecluttered))
+      || (a.instance._order - b.instance._order)
+    ));
+
+    const placed = [];
+    const overlaps = (box, shiftY) => placed.some((other) => (
+      box.left < other.left + other.width + padding
+      && other.left < box.left + box.width + padding
+      && box.top + shiftY < other.top + other.height + padding
+      && other.top < box.top + shiftY + box.height + padding
+    ));
+
+    for (const { instance, box } of entries) {
+      if (!box) continue;
+
+      const shifts = [instance._declutterTargetY, 0];
+      const step = Math.max(1, (box.height + padding) / 2);
+      for (let shift = step; shift <= maxShift; shift += step) {
+        shifts.push(-shift, shift);
+      }
+
+      const shiftY = shifts.find((shift) => Math.abs(shift) <= maxShift && !overlaps(box, shift));
+      if (shiftY === undefined) {
+        instance._setDecluttered(true);
+        continue;
+      }
+
+      placed.push({ ...box, top: box.top + shiftY });
+      const wasDecluttered = instance.isDecluttered;
+      instance._declutterTargetY = shiftY;
+      instance._setDecluttered(false);
+
+      // Write pass: ease towards the chosen shift; labels that were hidden snap into place.
+      const current = instance._declutterOffsetY;
+      let next = wasDecluttered ? shiftY : current + (shiftY - current) * smoothing;
+      if (Math.abs(shiftY - next) < 0.5) next = shiftY;
+      if (next !== current) {
+        instance._declutterOffsetY = next;
+        instance._writeTransform();
+      }
+    }
+  }
+
+  /**
+   * Screen-space clustering: overlays closer than `clusterRadius` pixels (and with the same
+   * `cluster` group) are hidden and one cluster overlay, rendered from `clusterTemplate`,
+   * is shown at their centre instead. A cluster keeps its members while they stay within
+   * 1.5 × the radius of its centre, so membership does not flicker as the camera moves.
+   * Members of expanded clusters (see expandCluster()) are left alone.
+   * @param {Sorcherer[]} instances - Overlays shown by this pass.
+   * @param {THREE.Camera} camera
+   * @param {THREE.Renderer} renderer
+   * @param {Object|null} area - Viewport of the pass (see _resolveViewport()).
+   */
+  _cluster(instances, camera, renderer, area) {
+    const next = [];
+    if (this.cluster) {
+      const radius = Number.isFinite(this.clusterRadius) ? Math.max(0, this.clusterRadius) : 0;
+      const shown = new Set(instances);
+      const expanded = this._updateExpandedClusters(shown);
+      const candidates = new Set(instances.filter((instance) => (
+        instance.cluster !== false && !instance.isOffscreen && !expanded.has(instance)
+      )));
+      const groupOf = (instance) => ((typeof instance.cluster === 'string') ? instance.cluster : '');
+      const center = (members) => {
+        const point = { x: 0, y: 0 };
+        for (const member of members) {
+          point.x += member._layout.x / members.length;
+          point.y += member._layout.y / members.length;
+        }
+        return point;
+      };
+      const near = (instance, point, limit) => Math.hypot(instance._layout.x - point.x, instance._layout.y - point.y) <= limit;
+
+      // Existing clusters keep the members still close to their centre.
+      for (const record of this._clusters) {
+        const members = record.members.filter((member) => candidates.has(member) && groupOf(member) === record.group);
+        const kept = members.length ? center(members) : null;
+        record.members = members.filter((member) => near(member, kept, radius * 1.5));
+        record.center = record.members.length ? center(record.members) : null;
+        for (const member of record.members) candidates.delete(member);
+        next.push(record);
+      }
+
+      // The rest join the first cluster within the radius, or start one, in placement order.
+      const remaining = [...candidates].sort((a, b) => (b.priority - a.priority) || (a._order - b._order));
+      for (const instance of remaining) {
+        const group = groupOf(instance);
+        let record = next.find((candidate) => (
+          candidate.group === group && candidate.center && near(instance, candidate.center, radius)
+        ));
+        if (!record) {
+          record = { overlay: null, group, members: [], center: null };
+          next.push(record);
+        }
+        record.members.push(instance);
+        record.center = center(record.members);
+      }
+    }
+
+    const minSize = Math.max(2, Math.floor(this.clusterMinSize) || 2);
+    const clustered = new Set();
+    this._clusters = [];
+    for (const record of next) {
+      if (record.members.length < minSize) continue;
+      for (const member of record.members) {
+        clustered.add(member);
+        member._setClustered(true);
+      }
+      this._showCluster(record, camera, renderer, area);
+      this._clusters.push(record);
+    }
+    for (const record of next) {
+      if (record.overlay && !this._clusters.includes(record)) record.overlay.dispose();
+    }
+    for (const instance of this.allLoadedElements) {
+      if (instance.isClustered && !clustered.has(instance)) instance._setClustered(false);
+    }
+  }
+
+  /**
+   * Creates or updates the overlay of a cluster and positions it at its members' centre.
+   */
+  _showCluster(record, camera, renderer, area) {
+    let overlay = record.overlay;
+    if (!overlay || overlay._disposed) {
+      overlay = new Sorcherer(new Vector3(), undefined, false, false, true, undefined, {
+        ...this.clusterOptions,
+        manager: this
+      });
+      // Cluster overlays are driven by _cluster(), not by the regular update pass.
+      this.allLoadedElements.delete(overlay);
+      overlay.isCluster = true;
+      Sorcherer._toggleClass(overlay._parentSpan, 'sorcherer-cluster', true);
+      overlay.attach(this.clusterTemplate);
+      overlay.on('click', () => {
+        if (this.clusterExpandOnClick) this.expandCluster(overlay);
+      });
+      record.overlay = overlay;
+    }
+
+    const previous = overlay._clusterMembers || [];
+    if (previous.length !== record.members.length || previous.some((member, index) => member !== record.members[index])) {
+      overlay._clusterMembers = [...record.members];
+      overlay.setDynamicVars({
+        count: record.members.length,
+        group: record.group,
+        members: record.members.map((member) => ({ name: member.object?.name || '', ...member.dynamicVars }))
+      });
+      overlay.flushDynamicVars();
+    }
+
+    const point = overlay.anchorPoint.set(0, 0, 0);
+    for (const member of record.members) {
+      point.add(member._getAnchorWorldPosition(SorchererManager._tempClusterPos));
+    }
+    point.divideScalar(record.members.length);
+    overlay.priority = Math.max(...record.members.map((member) => member.priority));
+    overlay._buffer(camera, renderer, area, null);
+  }
+
+  /**
+   * Drops expanded clusters whose members were zoomed out to 3/4 of their spread at
+   * expansion (or are no longer shown).
+   * @param {Set<Sorcherer>} shown - Overlays shown by this pass.
+   * @returns {Set<Sorcherer>} Members of the clusters still expanded.
+   */
+  _updateExpandedClusters(shown) {
+    const members = new Set();
+    this._expandedClusters = this._expandedClusters.filter((expansion) => {
+      const visible = [...expansion.members].filter((member) => shown.has(member));
+      if (!visible.length || SorchererManager._spreadOf(visible) < expansion.spread * 0.75) return false;
+      for (const member of expansion.members) members.add(member);
+      return true;
+    });
+    return members;
+  }
+
+  /**
+   * Largest screen distance of the overlays from their centre, in pixels.
+   * @param {Sorcherer[]} instances
+   * @returns {number}
+   */
+  static _spreadOf(instances) {
+    const x = instances.reduce((sum, instance) => sum + instance._layout.x, 0) / instances.length;
+    const y = instances.reduce((sum, instance) => sum + instance._layout.y, 0) / instances.length;
+    return Math.max(...instances.map((instance) => Math.hypot(instance._layout.x - x, instance._layout.y - y)));
+  }
+
+  /**
+   * Shows the members of a cluster separately until the view is zoomed out past the point
+   * where they were expanded, or until collapseClusters(). Called when a cluster is clicked
+   * (unless `clusterExpandOnClick` is false).
+   * @param {Sorcherer} overlay - A cluster overlay (see `clusters`).
+   */
+  expandCluster(overlay) {
+    const index = this._clusters.findIndex((record) => record.overlay === overlay);
+    if (index === -1) return;
+    const [record] = this._clusters.splice(index, 1);
+    this._expandedClusters.push({ members: new Set(record.members), spread: SorchererManager._spreadOf(record.members) });
+    overlay.dispose();
+    for (const member of record.members) {
+      member._setClustered(false);
+      member._restoreShown();
+    }
+  }
+
+  /**
+   * Lets expanded clusters form again from the next bufferAll() pass on.
+   */
+  collapseClusters() {
+    this._expandedClusters = [];
+  }
+
+  /**
+   * Starts the auto-update loop. Calling it again while running rebinds the loop
+   * to the given camera/renderer (and interval) instead of starting a second loop.
+   * @param {THREE.Camera} [camera=this.camera] - The camera to bind to.
+   * @param {THREE.Renderer} [renderer=this.renderer] - The renderer to bind to.
+   * @param {number} [interval=16] - Minimum milliseconds between updates.
+   */
+  autoSetup(camera = this.camera, renderer = this.renderer, interval = 16) {
+    if (!camera || !renderer) return;
+
+    if (this.autoUpdateRunning && (camera !== this.camera || renderer !== this.renderer)) {
+      console.warn('[Sorcherer] autoSetup() called with a different camera/renderer while running; rebinding this manager. Use a separate SorchererManager to drive several views at once.');
+    }
+
+    this.camera = camera;
+    this.renderer = renderer;
+    this.interval = Number.isFinite(interval) ? Math.max(0, interval) : 16;
+    if (this.autoUpdateRunning) return;
+    this.autoUpdateRunning = true;
+
+    const loopId = ++this._loopId;
+    const isCurrent = () => this.autoUpdateRunning && this._loopId === loopId;
+    const useRaf = (typeof requestAnimationFrame === 'function');
+
+    if (useRaf) {
+      let lastTime = 0;
+      const loop = (time) => {
+        if (!isCurrent()) return;
+        if (!lastTime || time - lastTime >= this.interval) {
+          lastTime = time;
+          this.bufferAll(this.camera, this.renderer);
+        }
+        this._rafHandle = requestAnimationFrame(loop);
+      };
+      this._rafHandle = requestAnimationFrame(loop);
+    } else {
+      const loop = () => {
+        if (!isCurrent()) return;
+        this.bufferAll(this.camera, this.renderer);
+        this._timeoutHandle = setTimeout(loop, this.interval);
+      };
+      loop();
+    }
+  }
+
+  stopAutoSetup() {
+    this.autoUpdateRunning = false;
+    if (this._rafHandle !== null && typeof cancelAnimationFrame === 'function') {
+      cancelAnimationFrame(this._rafHandle);
+    }
+    this._rafHandle = null;
+    if (this._timeoutHandle) {
+      clearTimeout(this._timeoutHandle);
+      this._timeoutHandle = null;
+    }
+  }
+
+  /**
+   * Registers a Three.js Object3D using its name as the key.
+   * @param {THREE.Object3D} object - The object to register.
+   */
+  registerObject3D(object) {
+    if (object && object.name) {
+      this.objectRegistry.set(object.name, object);
+      if (this.live) this._attachPendingRealmEntries(object.name);
+      this._attachPendingElements(object);
+    }
+  }
+
+  /**
+   * Removes an object from the registry (if it is the one registered under its name).
+   * @param {THREE.Object3D} object - The object to unregister.
+   */
+  unregisterObject3D(object) {
+    if (object && object.name && this.objectRegistry.get(object.name) === object) {
+      this.objectRegistry.delete(object.name);
+    }
+  }
+
+  /**
+   * Convenience: register all named objects in a scene (or any Object3D subtree).
+   * @param {THREE.Object3D} scene - Root to traverse.
+   */
+  registerScene(scene) {
+    if (!scene || typeof scene.traverse !== 'function') return;
+    scene.traverse((obj) => {
+      if (obj && obj.name) {
+        this.registerObject3D(obj);
+      }
+    });
+  }
+
+  /**
+   * High-level convenience: register all named objects in a scene,
+   * attach overlays from <realm>, and start the auto-update loop.
+   *
+   * @param {THREE.Scene} scene
+   * @param {THREE.Camera} [camera=this.camera]
+   * @param {THREE.Renderer} [renderer=this.renderer]
+   * @param {Object} [options]
+   * @param {number} [options.interval=16]  Min ms between updates.
+   * @param {boolean} [options.autoAttach=true]  Call attachFromRealm().
+   * @param {boolean} [options.autoRegister=true]  Call registerScene().
+   * @param {boolean} [options.live=false]  Call watch() instead, keeping realms and registry live.
+   */
+  bootstrap(scene, camera = this.camera, renderer = this.renderer, options = {}) {
+    const {
+      interval = 16,
+      autoAttach = true,
+      autoRegister = true,
+      live = false,
+    } = options;
+
+    if (!camera || !renderer) {
+      console.warn('[Sorcherer] bootstrap() requires a camera and renderer.');
+      return;
+    }
+
+    if (live) {
+      this.watch(autoRegister ? scene : null);
+    } else if (autoRegister) {
+      this.registerScene(scene);
+    }
+
+    if (!live && autoAttach && typeof document !== 'undefined') {
+      this.attachFromRealm();
+    }
+
+    this.autoSetup(camera, renderer, interval);
+  }
+
+  /**
+   * Scans the DOM for <realm> tags and attaches their overlays to objects in this
+   * manager's registry. A realm with a `manager` attribute is only picked up by the
+   * manager with that name. See Sorcherer.attachFromRealm() for supported attributes.
+   *
+   * @param {Document|Element} [root=document] - Optional root node to search within.
+   */
+  attachFromRealm(root) {
+    if (typeof document === 'undefined') return;
+
+    const rootNode = root || document;
+    if (!rootNode || typeof rootNode.querySelectorAll !== 'function') return;
+
+    const realmElements = rootNode.querySelectorAll('realm');
+    if (!realmElements.length) return;
+
+    realmElements.forEach((realmElement) => {
+      const realmManager = realmElement.getAttribute('manager');
+      if (realmManager && realmManager !== this.name) return;
+
+      const elements = realmElement.querySelectorAll('[idm]');
+      if (this.live) {
+        elements.forEach((el) => this._syncRealmEntry(el));
+        return;
+      }
+
+      elements.forEach((el) => {
+        const idm = el.getAttribute('idm');
+        if (!idm) return;
+
+        const object = this.objectRegistry.get(idm);
+        this._debugRealmEntry(el, object);
+        if (!object) return;
+
+        this._createFromRealm(object, el);
+        el.remove();
+      });
+
+      if (realmElement.children.length === 0) {
+        realmElement.remove();
+      }
+    });
+  }
+
+  /**
+   * Creates the overlay described by a realm entry, replacing any overlay already
+   * registered under the object's name and slot.
+   * @param {THREE.Object3D} object
+   * @param {Element} el - Realm child carrying the `idm` attribute.
+   * @returns {Sorcherer}
+   */
+  _createFromRealm(object, el) {
+    return this._createOverlay(object, Sorcherer._readRealmOptions(el), el.innerHTML);
+  }
+
+  /**
+   * Creates an overlay from realm-style options (see Sorcherer._readRealmOptions()),
+   * replacing any overlay already registered under the object's name and slot.
+   * @param {THREE.Object3D|THREE.Vector3} object
+   * @param {Object} options
+   * @param {string} template - Used unless `options.lodTemplates` is set.
+   * @returns {Sorcherer}
+   */
+  _createOverlay(object, options, template) {
+    if (object.name) this._registered(object.name, Sorcherer._normalizeSlot(options.slot))?.dispose();
+
+    const instance = new Sorcherer(
+      object,
+      options.offset,
+      options.simulate3D,
+      options.simulateRotation,
+      options.autoCenter,
+      options.scaleMultiplier,
+      { ...options, manager: this }
+    );
+    instance.attach(instance.lodTemplates ? instance.lodTemplates[0].template : template);
+    this._registerOverlay(instance);
+    return instance;
+  }
+
+  /**
+   * Registers an overlay under its object's name and slot (see get()), disposing the
+   * overlay registered there before.
+   * @param {Sorcherer} instance
+   */
+  _registerOverlay(instance) {
+    const name = instance.object?.name;
+    if (!name) return;
+    const previous = this._registered(name, instance.slot);
+    if (previous && previous !== instance) previous.dispose();
+    if (instance.slot === null) {
+      this.instancesById[name] = instance;
+      return;
+    }
+    if (!this._slots.has(name)) this._slots.set(name, new Map());
+    this._slots.get(name).set(instance.slot, instance);
+  }
+
+  _unregisterOverlay(instance) {
+    const name = instance.object?.name;
+    if (!name || this._registered(name, instance.slot) !== instance) return;
+    if (instance.slot === null) {
+      delete this.instancesById[name];
+      return;
+    }
+    const slots = this._slots.get(name);
+    slots.delete(instance.slot);
+    if (!slots.size) this._slots.delete(name);
+  }
+
+  // The default slot is registered in instancesById, the others in _slots.
+  _registered(name, slot) {
+    return (slot === null) ? this.instancesById[name] || null : this._slots.get(name)?.get(slot) || null;
+  }
+
+  /**
+   * Looks up the overlay of an object by slot. Overlays from realm entries, elements,
+   * fromJSON() and attachClone() are registered; others are found by searching.
+   * @param {string} name - Name of the object.
+   * @param {string|null} [slot=null] - Slot of the overlay (null for the default slot).
+   * @returns {Sorcherer|null}
+   */
+  get(name, slot = null) {
+    const key = Sorcherer._normalizeSlot(slot);
+    const registered = this._registered(name, key);
+    if (registered && !registered._disposed) return registered;
+    for (const instance of this.allLoadedElements) {
+      if (instance.object?.name === name && instance.slot === key) return instance;
+    }
+    return null;
+  }
+
+  /**
+   * Returns every overlay of an object, by slot (null for the default slot).
+   * @param {string} name - Name of the object.
+   * @returns {Map<string|null, Sorcherer>}
+   */
+  slotsOf(name) {
+    const slots = new Map();
+    for (const instance of this.allLoadedElements) {
+      if (instance.object?.name === name && !slots.has(instance.slot)) slots.set(instance.slot, this.get(name, instance.slot));
+    }
+    return slots;
+  }
+
+  /**
+   * Disposes every overlay of an object, whatever its slot.
+   * @param {string} name - Name of the object.
+   */
+  disposeObject(name) {
+    this.query({ name }).dispose();
+  }
+
+  /**
+   * Serializes the overlays of this manager (see Sorcherer#toJSON()). Overlays whose
+   * object has no name cannot be matched again when loading and are skipped. So are
+   * overlays sharing an object name and slot with another, since loading keeps one
+   * overlay per slot: the registered one (see get()) is saved.
+   * @returns {{version: number, overlays: Object[]}}
+   */
+  toJSON() {
+    const overlays = [];
+    // Index in `overlays` of the entry saved for each object name and slot.
+    const saved = new Map();
+    let duplicates = 0;
+    for (const instance of this.allLoadedElements) {
+      if (instance._disposed) continue;
+      if (instance.anchorPoint) {
+        overlays.push(instance.toJSON());
+        continue;
+      }
+      const name = instance.object?.name;
+      if (!name) {
+        console.warn('[Sorcherer] toJSON() skipped an overlay whose object has no name.');
+        continue;
+      }
+      const key = JSON.stringify([name, instance.slot]);
+      if (!saved.has(key)) {
+        saved.set(key, overlays.length);
+        overlays.push(instance.toJSON());
+        continue;
+      }
+      duplicates++;
+      if (this._registered(name, instance.slot) === instance) overlays[saved.get(key)] = instance.toJSON();
+    }
+    if (duplicates) {
+      console.warn(`[Sorcherer] toJSON() skipped ${duplicates} overlay(s) sharing an object name and slot with another.`);
+    }
+    return { version: Sorcherer._jsonVersion, overlays };
+  }
+
+  /**
+   * Creates overlays from data produced by toJSON(). Entries are matched to registered
+   * objects by `idm` and read with the same semantics as realm attributes: attribute
+   * strings such as "0,1,0" or "true" are accepted as well as JSON numbers, booleans and arrays.
+   * The whole input is validated first. By default nothing is created if any entry is
+   * invalid; the thrown error lists every problem, also available as `error.errors`.
+   * Two entries for the same `idm` and slot are invalid, as one would replace the other.
+   *
+   * @param {Object|Object[]|string} data - Result of toJSON(), its `overlays` array, or JSON text.
+   * @param {Object} [options]
+   * @param {boolean} [options.skipInvalid=false] - Create the valid entries and warn about the others instead of throwing.
+   * @returns {Sorcherer[]} The created overlays.
+   */
+  fromJSON(data, options = {}) {
+    const errors = [];
+    if (typeof data === 'string') {
+      try {
+        data = JSON.parse(data);
+      } catch (error) {
+        errors.push(`data: ${error.message}`);
+        data = [];
+      }
+    }
+
+    let overlays = Array.isArray(data) ? data : data?.overlays;
+    if (!Array.isArray(overlays)) {
+      errors.push('data: expected { version, overlays: [...] } or an array of overlays.');
+      overlays = [];
+    } else if (!Array.isArray(data) && data.version !== undefined && data.version !== Sorcherer._jsonVersion) {
+      errors.push(`version: unsupported version ${JSON.stringify(data.version)}.`);
+    }
+
+    // Path of the first entry for each object name and slot.
+    const seen = new Map();
+    const entries = overlays.map((entry, index) => {
+      const path = `overlays[${index}]`;
+      const read = this._readJSONEntry(entry, path, errors);
+      if (!read || read.options.point) return read;
+      const key = JSON.stringify([read.options.idm, Sorcherer._normalizeSlot(read.options.slot)]);
+      if (seen.has(key)) {
+        errors.push(`${path}: same idm and slot as ${seen.get(key)}; only one overlay can use a slot.`);
+        return null;
+      }
+      seen.set(key, path);
+      return read;
+    });
+    if (errors.length) {
+      if (!options.skipInvalid) {
+        const error = new Error(`[Sorcherer] Invalid overlay data:\n${errors.map((message) => `- ${message}`).join('\n')}`);
+        error.errors = errors;
+        throw error;
+      }
+      for (const message of errors) console.warn(`[Sorcherer] fromJSON() skipped ${message}`);
+    }
+
+    return entries.filter(Boolean).map(({ object, options: entryOptions }) => {
+      const instance = this._createOverlay(object, entryOptions, entryOptions.template);
+      if (entryOptions.dynamicVars) {
+        instance.setDynamicVars(entryOptions.dynamicVars);
+        instance.flushDynamicVars();
+      }
+      return instance;
+    });
+  }
+
+  /**
+   * Validates one serialized overlay and resolves its target.
+   * @param {*} entry
+   * @param {string} path - Location of `entry` in the input, for error messages.
+   * @param {string[]} errors - Receives the problems found.
+   * @returns {{object: THREE.Object3D|THREE.Vector3, options: Object}|null} null when invalid.
+   */
+  _readJSONEntry(entry, path, errors) {
+    const count = errors.length;
+    const options = Sorcherer._readJSONOptions(entry, path, errors);
+    if (!options) return null;
+
+    let object = null;
+    if ((options.idm === undefined) === (options.point === undefined)) {
+      errors.push(`${path}: expected either "idm" or "point".`);
+    } else if (options.point) {
+      object = options.point;
+    } else {
+      object = this.objectRegistry.get(options.idm) || null;
+      if (!object) errors.push(`${path}.idm: no registered object named ${JSON.stringify(options.idm)}.`);
+    }
+    return (errors.length === count) ? { object, options } : null;
+  }
+
+  /**
+   * Opt-in live mode: keeps <realm> markup in the DOM and the registry in step with
+   * the scene. Realm entries added later are attached, removed ones are disposed,
+   * attribute edits are applied to the existing overlay and content edits replace
+   * its template. Only realm attributes are observed: attribute edits on an entry's
+   * inner markup are picked up with its next content change. Entries whose `idm` has
+   * no registered object stay pending until a named object with that name is added under `scene`.
+   *
+   * Scene changes are picked up from `childadded`/`childremoved` events where
+   * three.js dispatches them, and otherwise by re-scanning the scene at most every
+   * `sceneSyncInterval` milliseconds during bufferAll().
+   *
+   * @param {THREE.Object3D} [scene] - Root whose named descendants are registered and tracked.
+   * @param {Object} [options]
+   * @param {Document|Element} [options.root=document] - Node observed for <realm> changes.
+   * @param {number} [options.sceneSyncInterval=250] - Minimum ms between scene re-scans (0 = every pass, Infinity = never).
+   */
+  watch(scene, options = {}) {
+    this.unwatch();
+    this.live = true;
+    if (options.sceneSyncInterval !== undefined) this.sceneSyncInterval = options.sceneSyncInterval;
+
+    if (scene && typeof scene.traverse === 'function') {
+      this._watchedScene = scene;
+      this._watchSceneNode(scene);
+      this._lastSceneSync = Date.now();
+    }
+
+    if (typeof document === 'undefined') return;
+    const rootNode = options.root || document;
+    this.attachFromRealm(rootNode);
+
+    if (typeof MutationObserver === 'function') {
+      // Realm attributes in both spellings: HTML lowercases them, other documents keep camelCase.
+      const fields = Sorcherer._realmAttributeFields;
+      const attributeFilter = [...new Set(['idm', ...Object.keys(fields), ...Object.values(fields)])];
+      this._observer = new MutationObserver((records) => this._onRealmMutations(records));
+      this._observer.observe(rootNode, {
+        childList: true,
+        subtree: true,
+        attributes: true,
+        attributeFilter,
+        characterData: true
+      });
+    }
+  }
+
+  /**
+   * Leaves live mode. Existing overlays are kept but no longer follow their markup or the scene.
+   */
+  unwatch() {
+    if (this._observer) {
+      this._observer.disconnect();
+      this._observer = null;
+    }
+    for (const node of [...this._sceneListeners.keys()]) {
+      this._unhookSceneNode(node);
+    }
+    for (const el of this._realmEntries.keys()) {
+      if (SorchererManager._realmOwners.get(el) === this) SorchererManager._realmOwners.delete(el);
+    }
+    this._realmEntries.clear();
+    for (const instance of this._detachedOverlays) {
+      if (!Sorcherer._isSameOrDescendant(instance.object, this._watchedScene)) instance.dispose();
+    }
+    this._detachedOverlays.clear();
+    this._watchedScene = null;
+    this.live = false;
+  }
+
+  _hookSceneNode(node) {
+    if (this._sceneListeners.has(node) || typeof node.addEventListener !== 'function') return;
+    const listeners = {
+      added: (event) => { if (event.child) this._watchSceneNode(event.child); },
+      removed: (event) => { if (event.child) this._unwatchSceneNode(event.child); }
+    };
+    node.addEventListener('childadded', listeners.added);
+    node.addEventListener('childremoved', listeners.removed);
+    this._sceneListeners.set(node, listeners);
+  }
+
+  _unhookSceneNode(node) {
+    const listeners = this._sceneListeners.get(node);
+    if (!listeners) return;
+    node.removeEventListener('childadded', listeners.added);
+    node.removeEventListener('childremoved', listeners.removed);
+    this._sceneListeners.delete(node);
+  }
+
+  _watchSceneNode(root) {
+    root.traverse((node) => {
+      this._hookSceneNode(node);
+      if (node.name) this.registerObject3D(node);
+    });
+  }
+
+  _unwatchSceneNode(root) {
+    root.traverse((node) => {
+      this._unhookSceneNode(node);
+      this.unregisterObject3D(node);
+    });
+  }
+
+  /**
+   * Re-scans the watched scene for objects added or removed without events. Overlays whose
+   * object was removed since the last sync are disposed unless it is back under the scene,
+   * and realm entries whose overlay was disposed are re-created when their object is there.
+   */
+  _syncWatchedScene() {
+    const scene = this._watchedScene;
+    for (const instance of this._detachedOverlays) {
+      if (!Sorcherer._isSameOrDescendant(instance.object, scene)) instance.dispose();
+    }
+    this._detachedOverlays.clear();
+
+    const seen = new Set();
+    scene.traverse((node) => {
+      seen.add(node);
+      if (!this._sceneListeners.has(node)) {
+        this._hookSceneNode(node);
+        if (node.name) this.registerObject3D(node);
+      }
+    });
+    for (const node of [...this._sceneListeners.keys()]) {
+      if (!seen.has(node)) {
+        this._unhookSceneNode(node);
+        this.unregisterObject3D(node);
+      }
+    }
+    for (const [el, instance] of this._realmEntries) {
+      if (instance?._disposed && this.objectRegistry.has(el.getAttribute('idm'))) this._syncRealmEntry(el);
+    }
+    this._lastSceneSync = Date.now();
+  }
+
+  /**
+   * Whether `instance` lost its object to a removal that the next scene sync has yet to settle.
+   * @param {Sorcherer} instance
+   * @returns {boolean}
+   */
+  _isDetached(instance) {
+    return this._detachedOverlays.has(instance)
+      && !Sorcherer._isSameOrDescendant(instance.object, this._watchedScene);
+  }
+
+  _ownsRealmEntry(el) {
+    const realm = el.closest('realm');
+    if (!realm) return false;
+    const realmManager = realm.getAttribute('manager');
+    if (realmManager) return realmManager === this.name;
+    const owner = SorchererManager._realmOwners.get(el);
+    return !owner || owner === this;
+  }
+
+  /**
+   * Creates, updates or (when its object is missing) parks the overlay for a live realm entry.
+   * @param {Element} el - Realm child carrying the `idm` attribute.
+   */
+  _syncRealmEntry(el) {
+    if (!el.isConnected || !this._ownsRealmEntry(el)) return;
+    SorchererManager._realmOwners.set(el, this);
+
+    const idm = el.getAttribute('idm');
+    const object = idm ? this.objectRegistry.get(idm) : null;
+    this._debugRealmEntry(el, object);
+    let instance = this._realmEntries.get(el) || null;
+    if (instance && (instance._disposed || instance.object !== object)) {
+      if (!instance._disposed) instance.dispose();
+      instance = null;
+    }
+
+    if (!object) {
+      this._realmEntries.set(el, null);
+      return;
+    }
+
+    if (instance) {
+      instance._applyRealmOptions(Sorcherer._readRealmOptions(el));
+    } else {
+      this._realmEntries.set(el, this._createFromRealm(object, el));
+    }
+  }
+
+  _forgetRealmEntry(el) {
+    const instance = this._realmEntries.get(el);
+    if (instance && !instance._disposed) instance.dispose();
+    this._realmEntries.delete(el);
+    if (SorchererManager._realmOwners.get(el) === this) SorchererManager._realmOwners.delete(el);
+  }
+
+  _realmEntryOf(node) {
+    const element = (node.nodeType === 1) ? node : node.parentElement;
+    const entry = element ? element.closest('realm [idm]') : null;
+    return entry && this._realmEntries.has(entry) ? entry : null;
+  }
+
+  _onRealmMutations(records) {
+    const changedEntries = new Set();
+    const changedContent = new Set();
+
+    for (const record of records) {
+      // Overlay containers are rewritten while buffering; nothing in them is realm markup.
+      const target = (record.target.nodeType === 1) ? record.target : record.target.parentElement;
+      if (target?.closest('.sorcherer-container')) continue;
+
+      if (record.type === 'childList') {
+        for (const node of record.removedNodes) {
+          if (node.nodeType !== 1) continue;
+          for (const el of [...this._realmEntries.keys()]) {
+            if (node === el || node.contains(el)) this._forgetRealmEntry(el);
+          }
+        }
+        for (const node of record.addedNodes) {
+          if (node.nodeType !== 1) continue;
+          if (node.matches('realm [idm]')) changedEntries.add(node);
+          node.querySelectorAll('[idm]').forEach((el) => {
+            if (el.closest('realm')) changedEntries.add(el);
+          });
+        }
+      } else if (record.type === 'attributes' && record.target.nodeType === 1 && record.target.matches('realm [idm]')) {
+        changedEntries.add(record.target);
+        continue;
+      }
+
+      const entry = this._realmEntryOf(record.target);
+      if (entry) changedContent.add(entry);
+    }
+
+    for (const el of changedEntries) {
+      this._syncRealmEntry(el);
+    }
+    for (const el of changedContent) {
+      const instance = this._realmEntries.get(el);
+      if (!instance || instance._disposed) continue;
+      const options = Sorcherer._readRealmOptions(el);
+      if (options.lodTemplates) {
+        instance._applyRealmOptions(options);
+      } else if (instance.template !== el.innerHTML) {
+        instance._swapTemplate(el.innerHTML);
+      }
+    }
+  }
+
+  /**
+   * Attaches connected <sorcherer-overlay> elements of this manager that target `object`'s name.
+   * @param {THREE.Object3D} object
+   */
+  _attachPendingElements(object) {
+    for (const el of SorchererManager._overlayElements) {
+      if (el.getAttribute('idm') === object.name && SorchererManager._managerOf(el) === this
+        && el.overlay?.object !== object) {
+        SorchererManager._syncElement(el);
+      }
+    }
+  }
+
+  /**
+   * The manager a <sorcherer-overlay> element belongs to: the one named by its `manager`
+   * attribute, or the default manager. Null while no manager has that name.
+   * @param {Element} el
+   * @returns {SorchererManager|null}
+   */
+  static _managerOf(el) {
+    const name = el.getAttribute('manager');
+    return name ? (SorchererManager._named.get(name) || null) : Sorcherer.defaultManager;
+  }
+
+  /**
+   * Creates, updates or disposes the overlay of a <sorcherer-overlay> element to match its
+   * attributes. Elements whose object (or manager) does not exist yet stay pending until
+   * an object with that name is registered.
+   * @param {Element} el
+   */
+  static _syncElement(el) {
+    const manager = el.isConnected ? SorchererManager._managerOf(el) : null;
+    const idm = el.getAttribute('idm');
+    const object = (manager && idm) ? manager.objectRegistry.get(idm) : null;
+
+    let instance = el._overlay;
+    if (instance && (instance._disposed || instance.object !== object || instance.manager !== manager)) {
+      if (!instance._disposed) instance.dispose();
+      instance = null;
+    }
+    el._overlay = instance;
+    if (!object) return;
+
+    const options = Sorcherer._readElementOptions(el);
+    if (instance) {
+      instance._applyRealmOptions(options);
+    } else {
+      el._overlay = manager._createOverlay(object, options, el.innerHTML);
+    }
+  }
+
+  /**
+   * Follows content changes of a <sorcherer-overlay> element (its children are the template).
+   * @param {Element} el
+   */
+  static _refreshElementTemplate(el) {
+    const instance = el._overlay;
+    if (!instance || instance._disposed) return;
+    const options = Sorcherer._readElementOptions(el);
+    if (options.lodTemplates) {
+      instance._applyRealmOptions(options);
+    } else if (instance.template !== el.innerHTML) {
+      instance._swapTemplate(el.innerHTML);
+    }
+  }
+
+  _attachPendingRealmEntries(name) {
+    for (const [el, instance] of this._realmEntries) {
+      if ((!instance || instance._disposed) && el.getAttribute('idm') === name) {
+        this._syncRealmEntry(el);
+      }
+    }
+  }
+
+  /**
+   * Registers a handler for events of every overlay of this manager (see Sorcherer#on()).
+   * @param {string} type - One of Sorcherer.eventTypes.
+   * @param {(event: Object) => void} handler
+   * @returns {() => void} Function removing the handler again.
+   */
+  on(type, handler) {
+    Sorcherer._addListener(this._listeners, type, handler);
+    if (!Sorcherer._lifecycleEvents.includes(type)) this._usePointer();
+    for (const instance of this.allLoadedElements) instance._updateInteractive();
+    return () => this.off(type, handler);
+  }
+
+  /**
+   * Removes a handler registered with on(); without `handler`, removes all handlers of `type`.
+   * @param {string} type
+   * @param {(event: Object) => void} [handler]
+   */
+  off(type, handler) {
+    Sorcherer._removeListener(this._listeners, type, handler);
+    for (const instance of this.allLoadedElements) instance._updateInteractive();
+  }
+
+  /**
+   * Forwards DOM events of overlay spans to their instances through listeners delegated
+   * on the container (pointerover/out and focusin/out become enter/leave and focus/blur).
+   */
+  _listenToContainer() {
+    const container = this.container;
+    if (typeof container.addEventListener !== 'function') return;
+    const ownerOf = (node) => {
+      for (let el = node; el && el !== container; el = el.parentNode) {
+        const instance = Sorcherer._spanInstances.get(el);
+        if (instance) return instance;
+      }
+      return null;
+    };
+    const detailOf = (event) => ({
+      source: 'overlay',
+      originalEvent: event,
+      clientX: event.clientX,
+      clientY: event.clientY
+    });
+
+    for (const type of ['click', 'dblclick', 'pointerdown', 'pointerup']) {
+      container.addEventListener(type, (event) => {
+        ownerOf(event.target)?._emit(type, detailOf(event));
+      });
+    }
+    const crossing = (domType, hovered) => {
+      container.addEventListener(domType, (event) => {
+        const instance = ownerOf(event.target);
+        if (instance && ownerOf(event.relatedTarget) !== instance) {
+          instance._setHovered('overlay', hovered, detailOf(event));
+        }
+      });
+    };
+    crossing('pointerover', true);
+    crossing('pointerout', false);
+    const focusing = (domType, type) => {
+      container.addEventListener(domType, (event) => {
+        const instance = ownerOf(event.target);
+        if (instance && ownerOf(event.relatedTarget) !== instance) {
+          instance._emit(type, { source: 'overlay', originalEvent: event });
+        }
+      });
+    };
+    focusing('focusin', 'focus');
+    focusing('focusout', 'blur');
+  }
+
+  /**
+   * Raycasts pointer events on the canvas against the objects of this manager's overlays,
+   * so hovering or clicking a mesh toggles `sorcherer-hovered` on its label and emits
+   * pointerenter/pointerleave/click with `source: 'object'`. Meshes in `occluders`
+   * block the objects behind them. Clicks ending a drag (orbit controls) are ignored.
+   * Unless `pointerPassthrough` is set, this also lets pointer events through the container.
+   * @param {Object} [options]
+   * @param {HTMLElement} [options.domElement=renderer.domElement] - Element receiving the pointer events.
+   * @param {THREE.Camera} [options.camera] - Camera to raycast from (defaults to the manager's camera).
+   */
+  enablePointerTracking(options = {}) {
+    this.disablePointerTracking();
+    const domElement = options.domElement || this.renderer?.domElement;
+    if (!domElement || typeof domElement.addEventListener !== 'function') return;
+
+    const state = { domElement, camera: options.camera || null, hovered: null, downX: 0, downY: 0, listeners: {} };
+    state.listeners.pointermove = (event) => {
+      this._setPointerHover(state, this._pickObjectAt(state, event), event);
+    };
+    state.listeners.pointerleave = (event) => {
+      this._setPointerHover(state, null, event);
+    };
+    state.listeners.pointerdown = (event) => {
+      state.downX = event.clientX;
+      state.downY = event.clientY;
+    };
+    state.listeners.click = (event) => {
+      if (Math.hypot(event.clientX - state.downX, event.clientY - state.downY) > 5) return;
+      const pick = this._pickObjectAt(state, event);
+      pick?.instance._emit('click', {
+        source: 'object',
+        originalEvent: event,
+        clientX: event.clientX,
+        clientY: event.clientY,
+        intersection: pick.intersection
+      });
+    };
+    for (const [type, listener] of Object.entries(state.listeners)) {
+      domElement.addEventListener(type, listener);
+    }
+    this._pointerTracking = state;
+    this._usePointer();
+  }
+
+  disablePointerTracking() {
+    const state = this._pointerTracking;
+    if (!state) return;
+    for (const [type, listener] of Object.entries(state.listeners)) {
+      state.domElement.removeEventListener(type, listener);
+    }
+    this._setPointerHover(state, null, null);
+    this._pointerTracking = null;
+  }
+
+  /**
+   * Finds the overlay whose object is the first visible hit under the pointer.
+   * @returns {{instance: Sorcherer, intersection: Object}|null}
+   */
+  _pickObjectAt(state, event) {
+    const camera = state.camera || this.camera;
+    const rect = state.domElement.getBoundingClientRect?.();
+    if (!camera || !rect || !rect.width || !rect.height) return null;
+
+    const owners = new Map();
+    for (const instance of this.allLoadedElements) {
+      if (!instance.object || instance.anchorPoint) continue;
+      if (!owners.has(instance.object)) owners.set(instance.object, []);
+      owners.get(instance.object).push(instance);
+    }
+    if (!owners.size) return null;
+
+    // Within the viewport of the last pass (the whole canvas unless bufferAll() was given one).
+    const view = this._view.width && this._view.height ? this._view : { x: 0, y: 0, width: rect.width, height: rect.height };
+    const x = event.clientX - rect.left - view.x;
+    const y = event.clientY - rect.top - view.y;
+    if (x < 0 || y < 0 || x > view.width || y > view.height) return null;
+
+    const raycaster = SorchererManager._pointerRaycaster;
+    raycaster.setFromCamera(SorchererManager._tempPointerNdc.set(
+      (x / view.width) * 2 - 1,
+      -(y / view.height) * 2 + 1
+    ), camera);
+    raycaster.layers.mask = camera.layers ? camera.layers.mask : 1;
+
+    const targets = [...owners.keys(), ...(Array.isArray(this.occluders) ? this.occluders.filter(Boolean) : [])];
+    for (const hit of raycaster.intersectObjects(targets, true)) {
+      if (!Sorcherer._isVisibleInScene(hit.object)) continue;
+      for (let node = hit.object; node; node = node.parent) {
+        const instance = owners.get(node)?.find((candidate) => (
+          candidate.instanceId === null || candidate.instanceId === hit.instanceId
+        ));
+        if (instance) return { instance, intersection: hit };
+      }
+      return null;
+    }
+    return null;
+  }
+
+  _setPointerHover(state, pick, event) {
+    const next = pick?.instance || null;
+    if (next === state.hovered) return;
+    const detail = {
+      source: 'object',
+      originalEvent: event,
+      clientX: event?.clientX,
+      clientY: event?.clientY
+    };
+    if (state.hovered && !state.hovered._disposed) state.hovered._setHovered('object', false, detail);
+    state.hovered = next;
+    if (next) next._setHovered('object', true, { ...detail, intersection: pick.intersection });
+  }
+
+  /**
+   * Stops the update loop, disposes every overlay and detaches the container.
+   */
+  dispose() {
+    this.stopAutoSetup();
+    this.unwatch();
+    this.disablePointerTracking();
+    this._untrackCanvas();
+    if (this._motionHandle !== null && typeof cancelAnimationFrame === 'function') {
+      cancelAnimationFrame(this._motionHandle);
+    }
+    this._motionHandle = null;
+    for (const instance of [...this.allLoadedElements, ...this.clusters]) {
+      instance.dispose();
+    }
+    this._clusters = [];
+    this._expandedClusters = [];
+    if (this.container?.parentElement) {
+      this.container.parentElement.removeChild(this.container);
+    }
+    this.objectRegistry.clear();
+    this.instancesById = {};
+    this._slots.clear();
+    if (SorchererManager._named.get(this.name) === this) SorchererManager._named.delete(this.name);
+  }
+}
+
+/**
+ * Overlays matched by SorchererManager#query(). Iterable; the bulk operations apply to
+ * every match and return the query for chaining.
+ */
+class SorchererQuery {
+  /**
+   * @param {Sorcherer[]} instances
+   */
+  constructor(instances) {
+    this.instances = instances;
+  }
+
+  get size() { return this.instances.length; }
+
+  [Symbol.iterator]() {
+    return this.instances[Symbol.iterator]();
+  }
+
+  forEach(callback) {
+    this.instances.forEach(callback);
+    return this;
+  }
+
+  toArray() {
+    return [...this.instances];
+  }
+
+  show() {
+    return this.forEach((instance) => instance.show());
+  }
+
+  hide() {
+    return this.forEach((instance) => instance.hide());
+  }
+
+  setDynamicVar(varName, value) {
+    return this.forEach((instance) => instance.setDynamicVar(varName, value));
+  }
+
+  setDynamicVars(values) {
+    return this.forEach((instance) => instance.setDynamicVars(values));
+  }
+
+  addTag(tag) {
+    return this.forEach((instance) => instance.addTag(tag));
+  }
+
+  removeTag(tag) {
+    return this.forEach((instance) => instance.removeTag(tag));
+  }
+
+  dispose() {
+    return this.forEach((instance) => instance.dispose());
+  }
+}
+
+class Sorcherer {
+  // Manager behind the static API (owns the shared container, registry and loop).
+  static defaultManager = new SorchererManager({ name: 'default' });
+  // All overlay instances of the default manager (stored in a Set)
+  static get allLoadedElements() { return Sorcherer.defaultManager.allLoadedElements; }
+  static set allLoadedElements(value) { Sorcherer.defaultManager.allLoadedElements = value; }
+  // For frustum culling.
+  static get frustum() { return Sorcherer.defaultManager.frustum; }
+  static set frustum(value) { Sorcherer.defaultManager.frustum = value; }
+  static get matrix() { return Sorcherer.defaultManager.matrix; }
+  static set matrix(value) { Sorcherer.defaultManager.matrix = value; }
+  // Container element for the default manager's overlays (null in non-DOM environments).
+  static get container() { return Sorcherer.defaultManager.container; }
+  static set container(value) { Sorcherer.defaultManager.container = value; }
+  static get autoUpdateRunning() { return Sorcherer.defaultManager.autoUpdateRunning; }
+  static set autoUpdateRunning(value) { Sorcherer.defaultManager.autoUpdateRunning = value; }
+  // Registry mapping Object3D names to objects.
+  static get objectRegistry() { return Sorcherer.defaultManager.objectRegistry; }
+  static set objectRegistry(value) { Sorcherer.defaultManager.objectRegistry = value; }
+  // Global dictionary mapping idm (i.e. Object3D name) to overlay instance.
+  static get instancesById() { return Sorcherer.defaultManager.instancesById; }
+  static set instancesById(value) { Sorcherer.defaultManager.instancesById = value; }
+  // Alias for instancesById.
+  static get elements() { return Sorcherer.instancesById; }
+  // Occlusion settings of the default manager.
+  static get occluders() { return Sorcherer.defaultManager.occluders; }
+  static set occluders(value) { Sorcherer.defaultManager.occluders = value; }
+  static get occlusionLayer() { return Sorcherer.defaultManager.occlusionLayer; }
+  static set occlusionLayer(value) { Sorcherer.defaultManager.occlusionLayer = value; }
+  static get occlusionBudget() { return Sorcherer.defaultManager.occlusionBudget; }
+  static set occlusionBudget(value) { Sorcherer.defaultManager.occlusionBudget = value; }
+  // Performance settings and counters of the default manager.
+  static get dirtyChecking() { return Sorcherer.defaultManager.dirtyChecking; }
+  static set dirtyChecking(value) { Sorcherer.defaultManager.dirtyChecking = value; }
+  static get updateBudget() { return Sorcherer.defaultManager.updateBudget; }
+  static set updateBudget(value) { Sorcherer.defaultManager.updateBudget = value; }
+  static get pointerPassthrough() { return Sorcherer.defaultManager.pointerPassthrough; }
+  static set pointerPassthrough(value) { Sorcherer.defaultManager.pointerPassthrough = value; }
+  static get stats() { return Sorcherer.defaultManager.stats; }
+
+  /**
+   * Turns the default manager's debug inspector on or off (see SorchererManager#debug()).
+   * @param {boolean} [enabled=true]
+   */
+  static debug(enabled = true) {
+    Sorcherer.defaultManager.debug(enabled);
+  }
+
+  // Names available as live `$@name$` template placeholders, filled in by bufferInstance().
+  static liveVariables = Object.freeze([
+    'distance', 'screenX', 'screenY', 'worldX', 'worldY', 'worldZ', 'edgeAngle', 'name', 'userData'
+  ]);
+  // Event types accepted by on()/off().
+  static eventTypes = Object.freeze([
+    'click', 'dblclick', 'pointerdown', 'pointerup', 'pointerenter', 'pointerleave', 'focus', 'blur',
+    'enter', 'leave'
+  ]);
+  // Hooks a plugin may implement (see registerPlugin()).
+  static pluginHooks = Object.freeze([
+    'onCreate', 'onAttach', 'beforeBuffer', 'computeTransform', 'afterBuffer', 'onCull', 'onDispose'
+  ]);
+  // Plugins registered by name, usable from the `plugins` option and realm attribute.
+  static plugins = {};
+  // Plugins installed with Sorcherer.use(), applied to every overlay.
+  static _globalPlugins = [];
+  // Bumped by use() and its uninstall, so every manager updates all overlays on its next pass.
+  static _pluginsVersion = 0;
+  // Event types that do not make an overlay interactive.
+  static _lifecycleEvents = ['enter', 'leave'];
+  static _reducedMotionQuery = null;
+  // Overlay spans mapped to their instances, for delegated DOM events.
+  static _spanInstances = new WeakMap();
+  // Default scale multiplier (developers can change this via Sorcherer.defaultScaleMultiplier).
+  static defaultScaleMultiplier = 1;
+  static _tempWorldPos = new Vector3();
+  static _tempProjectedPos = new Vector3();
+  static _tempViewPos = new Vector3();
+  static _tempAnchorMatrix = new Matrix4();
+  static _tempInstanceMatrix = new Matrix4();
+  static _tempAnchorQuat = new Quaternion();
+  static _tempDecomposePos = new Vector3();
+  static _tempDecomposeScale = new Vector3();
+  static _tempLocalOffset = new Vector3();
+  static _tempLeaderPos = new Vector3();
+  static _tempViewProjection = new Matrix4();
+  static _tempBasePos = new Vector3();
+  static _tempFrustum = new Frustum();
+  static _tempFrustumMatrix = new Matrix4();
+  static _tempStateMatrix = new Matrix4();
+  static _tempClipAnchor = new Vector4();
+  static _tempClipU = new Vector4();
+  static _tempClipV = new Vector4();
+  static _tempScreenU = new Vector2();
+  static _tempScreenV = new Vector2();
+  static _nextOrder = 0;
+  static _jsonVersion = 1;
+  // Kebab-case <sorcherer-overlay> attributes for the realm attributes whose names differ.
+  static _elementAttributes = {
+    simulate3D: 'simulate3d', simulateRotation: 'simulate-rotation', autoCenter: 'auto-center',
+    scaleMultiplier: 'scale-multiplier', edgeMargin: 'edge-margin', instanceId: 'instance-id',
+    boxAnchor: 'box-anchor', offsetSpace: 'offset-space', minDistance: 'min-distance',
+    maxDistance: 'max-distance', fadeDistance: 'fade-distance', minScale: 'min-scale',
+    maxScale: 'max-scale', leaderSide: 'leader-side'
+  };
+  // Serialized overlay fields (see toJSON()) with the value kind accepted by fromJSON(); arrays list allowed values.
+  static _jsonFields = {
+    idm: 'string', point: 'vector', template: 'string', dynamicVars: 'object',
+    offset: 'vector', simulate3D: 'boolean', simulateRotation: 'boolean', autoCenter: 'boolean',
+    scaleMultiplier: 'number', occlude: ['hide', 'dim', true, false], priority: 'number',
+    offscreen: ['hide', 'edge'], edgeMargin: 'number', bone: 'string', instanceId: 'integer',
+    boxAnchor: 'boxAnchor', offsetSpace: ['world', 'local'], minDistance: 'number', maxDistance: 'number',
+    fadeDistance: 'number', minScale: 'number', maxScale: 'number', lodTemplates: 'lodTemplates',
+    leader: ['line', 'elbow', true, false], leaderSide: ['auto', 'top', 'bottom', 'left', 'right'],
+    orientation: ['screen', 'billboard-roll', 'plane'], smoothing: 'number', transitions: 'boolean',
+    tags: 'tags', cluster: 'cluster', plugins: 'tags', slot: 'string'
+  };
+  static _jsonExpected = {
+    string: 'a string',
+    object: 'an object',
+    vector: 'an "x,y,z" list, [x, y, z] or { x, y, z }',
+    boolean: 'true or false',
+    number: 'a finite number',
+    integer: 'an integer',
+    boxAnchor: 'a box anchor keyword, "x,y,z" fractions or [x, y, z]',
+    lodTemplates: 'an array of { maxDistance?, template }',
+    tags: 'a comma-separated list or an array of strings',
+    cluster: 'true, false or a group name'
+  };
+  // Realm attributes checked by _checkRealmAttributes(), by their lowercased (HTML) name.
+  static _realmAttributeFields = Object.fromEntries(Object.keys(Sorcherer._jsonFields)
+    .filter((field) => !['idm', 'point', 'template', 'dynamicVars', 'lodTemplates'].includes(field))
+    .map((field) => [field.toLowerCase(), field]));
+  // Option values toJSON() leaves out because the constructor falls back to them.
+  static _jsonDefaults = {
+    occlude: null, priority: 0, offscreen: 'hide', edgeMargin: 16, bone: null, instanceId: null,
+    boxAnchor: null, offsetSpace: 'world', minDistance: 0, maxDistance: Infinity, fadeDistance: 0,
+    minScale: 0, maxScale: Infinity, lodTemplates: null, leader: null, leaderSide: 'auto',
+    orientation: 'screen', smoothing: 0, transitions: false, cluster: true, slot: null
+  };
+
+  static ensureContainerAttached() {
+    Sorcherer.defaultManager.ensureContainerAttached();
+  }
+
+  static _hideOverlay(instance) {
+    Sorcherer._setDisplay(instance, 'none');
+  }
+
+  // Only writes when the value differs: style writes invalidate styles even when unchanged.
+  static _setDisplay(instance, display) {
+    const style = instance?._parentSpan?.style;
+    if (style && style.display !== display) style.display = display;
+  }
+
+  static _frustumOf(camera, target) {
+    return target.setFromProjectionMatrix(
+      Sorcherer._tempFrustumMatrix.multiplyMatrices(camera.projectionMatrix, camera.matrixWorldInverse)
+    );
+  }
+
+  static _now() {
+    return (typeof performance !== 'undefined' && typeof performance.now === 'function')
+      ? performance.now()
+      : Date.now();
+  }
+
+  static _toggleClass(span, className, enabled) {
+    if (span?.classList && typeof span.classList.toggle === 'function') {
+      span.classList.toggle(className, Boolean(enabled));
+    }
+  }
+
+  static _normalizeOcclusionMode(mode) {
+    if (mode === true) return 'hide';
+    const value = String(mode ?? '').trim().toLowerCase();
+    return (value === 'hide' || value === 'dim') ? value : null;
+  }
+
+  static _normalizeOffscreenMode(mode) {
+    return String(mode ?? '').trim().toLowerCase() === 'edge' ? 'edge' : 'hide';
+  }
+
+  static _normalizeOffsetSpace(space) {
+    return String(space ?? '').trim().toLowerCase() === 'local' ? 'local' : 'world';
+  }
+
+  /**
+   * Parses a bounding-box anchor into per-axis fractions (0 = min, 1 = max).
+   * Accepts keywords joined by '-' (top/bottom, left/right, front/back, center/middle),
+   * an "x,y,z" fraction list, or a Vector3. Returns null for anything else.
+   * @param {string|THREE.Vector3} value
+   * @returns {THREE.Vector3|null}
+   */
+  static _parseBoxAnchor(value) {
+    if (value?.isVector3) return value.clone();
+    const raw = String(value ?? '').trim().toLowerCase();
+    if (!raw) return null;
+
+    if (raw.includes(',')) {
+      const parts = raw.split(',').map((part) => parseFloat(part.trim()));
+      return (parts.length >= 3 && parts.slice(0, 3).every(Number.isFinite))
+        ? new Vector3(parts[0], parts[1], parts[2])
+        : null;
+    }
+
+    const fractions = new Vector3(0.5, 0.5, 0.5);
+    const axes = {
+      top: ['y', 1], bottom: ['y', 0],
+      left: ['x', 0], right: ['x', 1],
+      front: ['z', 1], back: ['z', 0],
+      center: null, middle: null
+    };
+    for (const token of raw.split('-')) {
+      if (!(token in axes)) return null;
+      if (axes[token]) fractions[axes[token][0]] = axes[token][1];
+    }
+    return fractions;
+  }
+
+  static _addListener(listeners, type, handler) {
+    if (!Sorcherer.eventTypes.includes(type)) {
+      throw new Error(`[Sorcherer] Unknown event type "${type}".`);
+    }
+    if (typeof handler !== 'function') {
+      throw new TypeError(`[Sorcherer] Handler for "${type}" must be a function.`);
+    }
+    if (!listeners.has(type)) listeners.set(type, new Set());
+    listeners.get(type).add(handler);
+  }
+
+  static _removeListener(listeners, type, handler) {
+    const handlers = listeners.get(type);
+    if (!handlers) return;
+    if (handler) {
+      handlers.delete(handler);
+    } else {
+      handlers.clear();
+    }
+    if (!handlers.size) listeners.delete(type);
+  }
+
+  static _prefersReducedMotion() {
+    if (typeof window === 'undefined' || typeof window.matchMedia !== 'function') return false;
+    Sorcherer._reducedMotionQuery ??= window.matchMedia('(prefers-reduced-motion: reduce)');
+    return Sorcherer._reducedMotionQuery.matches;
+  }
+
+  /**
+   * Longest CSS transition or animation (duration plus delay) of `element`, in milliseconds.
+   * @param {Element} element
+   * @returns {number}
+   */
+  static _transitionDuration(element) {
+    if (typeof getComputedStyle !== 'function') return 0;
+    const style = getComputedStyle(element);
+    const toMs = (value) => {
+      const number = parseFloat(value);
+      if (!Number.isFinite(number)) return 0;
+      return String(value).trim().endsWith('ms') ? number : number * 1000;
+    };
+    const longest = (durations, delays) => {
+      const delayList = String(delays || '0s').split(',');
+      return Math.max(0, ...String(durations || '0s').split(',').map((duration, index) => (
+        toMs(duration) + toMs(delayList[index % delayList.length])
+      )));
+    };
+    return Math.max(
+      longest(style.transitionDuration, style.transitionDelay),
+      longest(style.animationDuration, style.animationDelay)
+    );
+  }
+
+  static _normalizeLeaderMode(mode) {
+    if (mode === true) return 'line';
+    const value = String(mode ?? '').trim().toLowerCase();
+    return (value === 'line' || value === 'elbow') ? value : null;
+  }
+
+  static _normalizeLeaderSide(side) {
+    const value = String(side ?? '').trim().toLowerCase();
+    return ['top', 'bottom', 'left', 'right'].includes(value) ? value : 'auto';
+  }
+
+  static _normalizeOrientation(mode) {
+    const value = String(mode ?? '').trim().toLowerCase();
+    return (value === 'billboard-roll' || value === 'plane') ? value : 'screen';
+  }
+
+  static _normalizeDeclutterMode(mode) {
+    if (mode === true) return 'nudge';
+    const value = String(mode ?? '').trim().toLowerCase();
+    return (value === 'nudge' || value === 'hide') ? value : null;
+  }
+
+  /**
+   * Parses tags from a comma- or space-separated list, an array or a Set.
+   * @param {string|Iterable<string>|null} value
+   * @returns {Set<string>}
+   */
+  static _parseTags(value) {
+    const list = (typeof value === 'string') ? value.split(/[\s,]+/) : Array.from(value ?? [], String);
+    return new Set(list.map((tag) => tag.trim()).filter(Boolean));
+  }
+
+  static _normalizeSlot(slot) {
+    return String(slot ?? '').trim() || null;
+  }
+
+  static _normalizeClusterGroup(group) {
+    if (group === false) return false;
+    const value = String(group ?? '').trim();
+    if (value.toLowerCase() === 'false') return false;
+    return (value && value.toLowerCase() !== 'true') ? value : true;
+  }
+
+  static _isVisibleInScene(object) {
+    for (let node = object; node; node = node.parent) {
+      if (!node.visible) return false;
+    }
+    return true;
+  }
+
+  static _isSameOrDescendant(object, ancestor) {
+    for (let node = object; node; node = node.parent) {
+      if (node === ancestor) return true;
+    }
+    return false;
+  }
+
+  /**
+   * Lists the attributes of a realm entry that do not parse, and so silently fall back to
+   * their defaults (see the debug inspector).
+   * @param {Element} el - Realm child carrying the `idm` attribute.
+   * @returns {string[]}
+   */
+  static _checkRealmAttributes(el) {
+    const problems = [];
+    for (const { name, value } of Array.from(el.attributes || [])) {
+      const field = Sorcherer._realmAttributeFields[name.toLowerCase()];
+      if (!field) continue;
+      const kind = Sorcherer._jsonFields[field];
+      // Empty values mean "default", except for booleans, which need "true".
+      if (!value.trim() && kind !== 'boolean') continue;
+
+      // Realm entries only accept the names of modes; "true" does not enable them.
+      const allowed = Array.isArray(kind) ? kind.filter((mode) => mode !== true).map(String) : null;
+      const valid = allowed
+        ? allowed.includes(value.trim().toLowerCase())
+        : Sorcherer._parseJSONValue(kind, value) !== undefined;
+      if (valid) continue;
+
+      const expected = allowed
+        ? `one of ${allowed.map((mode) => `"${mode}"`).join(', ')}`
+        : Sorcherer._jsonExpected[kind];
+      problems.push(`${name}="${value}" is not ${expected}; the default is used.`);
+    }
+    return problems;
+  }
+
+  static _readBooleanAttribute(element, name) {
+    return (element.getAttribute(name) || '').trim().toLowerCase() === 'true';
+  }
+
+  static _parseVector3Attribute(element, name) {
+    if (!element.hasAttribute(name)) return new Vector3();
+    const raw = element.getAttribute(name);
+    if (!raw) return new Vector3();
+
+    const parts = raw.split(',').map((value) => parseFloat(value.trim()));
+    if (parts.length < 3 || parts.slice(0, 3).some((value) => Number.isNaN(value))) {
+      return new Vector3();
+    }
+
+    return new Vector3(parts[0], parts[1], parts[2]);
+  }
+
+  static _parseNumberAttribute(element, name) {
+    if (!element.hasAttribute(name)) return undefined;
+    const raw = element.getAttribute(name);
+    if (raw == null) return undefined;
+    const value = parseFloat(raw);
+    return Number.isFinite(value) ? value : undefined;
+  }
+
+  /**
+   * Reads the overlay settings of a realm entry (see attachFromRealm()).
+   * @param {Element} el - Realm child carrying the `idm` attribute.
+   * @returns {Object} Options accepted by the constructor, plus the positional settings.
+   */
+  static _readRealmOptions(el) {
+    return {
+      offset: Sorcherer._parseVector3Attribute(el, 'offset'),
+      simulate3D: Sorcherer._readBooleanAttribute(el, 'simulate3D'),
+      simulateRotation: Sorcherer._readBooleanAttribute(el, 'simulateRotation'),
+      autoCenter: Sorcherer._readBooleanAttribute(el, 'autoCenter'),
+      scaleMultiplier: Sorcherer._parseNumberAttribute(el, 'scaleMultiplier'),
+      occlude: Sorcherer._normalizeOcclusionMode(el.getAttribute('occlude')),
+      priority: Sorcherer._parseNumberAttribute(el, 'priority'),
+      offscreen: Sorcherer._normalizeOffscreenMode(el.getAttribute('offscreen')),
+      edgeMargin: Sorcherer._parseNumberAttribute(el, 'edgeMargin'),
+      bone: el.getAttribute('bone') || null,
+      instanceId: Sorcherer._parseNumberAttribute(el, 'instanceId'),
+      boxAnchor: el.getAttribute('boxAnchor'),
+      offsetSpace: el.getAttribute('offsetSpace'),
+      minDistance: Sorcherer._parseNumberAttribute(el, 'minDistance'),
+      maxDistance: Sorcherer._parseNumberAttribute(el, 'maxDistance'),
+      fadeDistance: Sorcherer._parseNumberAttribute(el, 'fadeDistance'),
+      minScale: Sorcherer._parseNumberAttribute(el, 'minScale'),
+      maxScale: Sorcherer._parseNumberAttribute(el, 'maxScale'),
+      lodTemplates: Sorcherer._readLodTemplates(el),
+      leader: el.getAttribute('leader'),
+      leaderSide: el.getAttribute('leaderSide'),
+      orientation: el.getAttribute('orientation'),
+      smoothing: Sorcherer._parseNumberAttribute(el, 'smoothing'),
+      transitions: Sorcherer._readBooleanAttribute(el, 'transitions'),
+      tags: el.getAttribute('tags'),
+      cluster: el.getAttribute('cluster'),
+      plugins: el.getAttribute('plugins'),
+      slot: el.getAttribute('slot')
+    };
+  }
+
+  /**
+   * Reads the settings of a <sorcherer-overlay> element with the semantics of realm attributes.
+   * Attribute names are kebab-case (`auto-center`, `max-distance`), though the realm's names
+   * (`autoCenter`) work too. Boolean attributes are on when present unless set to "false",
+   * and a bare `leader` or `occlude` means "line" or "hide".
+   * @param {Element} el
+   * @returns {Object} See _readRealmOptions().
+   */
+  static _readElementOptions(el) {
+    const attributeOf = (name) => {
+      const kebab = Sorcherer._elementAttributes[name];
+      if (kebab && el.hasAttribute(kebab)) return kebab;
+      return el.hasAttribute(name) ? name : null;
+    };
+    const presence = {
+      simulate3D: 'true', simulateRotation: 'true', autoCenter: 'true', transitions: 'true',
+      leader: 'line', occlude: 'hide'
+    };
+    return Sorcherer._readRealmOptions({
+      children: el.children,
+      hasAttribute: (name) => attributeOf(name) !== null,
+      getAttribute: (name) => {
+        const attribute = attributeOf(name);
+        if (attribute === null) return null;
+        const value = el.getAttribute(attribute);
+        return (value === '' && presence[name]) ? presence[name] : value;
+      }
+    });
+  }
+
+  /**
+   * Validates a serialized overlay (see toJSON()) and converts it to the options returned by
+   * _readRealmOptions(), plus `idm`, `point`, `template` and `dynamicVars`. Null values mean "default".
+   * @param {*} entry
+   * @param {string} path - Location of `entry` in the input, for error messages.
+   * @param {string[]} errors - Receives the problems found.
+   * @returns {Object|null} null when `entry` is not an object.
+   */
+  static _readJSONOptions(entry, path, errors) {
+    if (!entry || typeof entry !== 'object' || Array.isArray(entry)) {
+      errors.push(`${path}: expected an object.`);
+      return null;
+    }
+
+    const options = { offset: new Vector3(), simulate3D: false, simulateRotation: false, autoCenter: false };
+    for (const [key, value] of Object.entries(entry)) {
+      const kind = Sorcherer._jsonFields[key];
+      if (!kind) {
+        errors.push(`${path}.${key}: unknown field.`);
+        continue;
+      }
+      if (value == null) continue;
+
+      const parsed = Sorcherer._parseJSONValue(kind, value);
+      if (parsed === undefined) {
+        const expected = Array.isArray(kind)
+          ? `one of ${kind.map((allowed) => JSON.stringify(allowed)).join(', ')}`
+          : Sorcherer._jsonExpected[kind];
+        errors.push(`${path}.${key}: expected ${expected}, got ${JSON.stringify(value)}.`);
+        continue;
+      }
+      options[key] = parsed;
+    }
+    return options;
+  }
+
+  /**
+   * Parses one serialized value of the given kind (see Sorcherer._jsonFields).
+   * @param {string|Array} kind
+   * @param {*} value - Not null.
+   * @returns {*} The parsed value, or undefined when it is malformed.
+   */
+  static _parseJSONValue(kind, value) {
+    if (Array.isArray(kind)) {
+      const normalized = (typeof value === 'string') ? value.trim().toLowerCase() : value;
+      return kind.includes(normalized) ? normalized : undefined;
+    }
+
+    switch (kind) {
+      case 'string':
+        return (typeof value === 'string') ? value : undefined;
+      case 'object':
+        return (typeof value === 'object' && !Array.isArray(value)) ? value : undefined;
+      case 'vector':
+        return Sorcherer._parseVector3(value) ?? undefined;
+      case 'boolean': {
+        if (typeof value === 'boolean') return value;
+        const raw = String(value).trim().toLowerCase();
+        return (raw === 'true' || raw === 'false') ? raw === 'true' : undefined;
+      }
+      case 'number':
+      case 'integer': {
+        const number = (typeof value === 'string' && value.trim()) ? Number(value) : value;
+        if (typeof number !== 'number' || !Number.isFinite(number)) return undefined;
+        return (kind === 'integer' && !Number.isInteger(number)) ? undefined : number;
+      }
+      case 'boxAnchor':
+        return (typeof value === 'string' ? Sorcherer._parseBoxAnchor(value) : Sorcherer._parseVector3(value)) ?? undefined;
+      case 'cluster':
+        return (typeof value === 'boolean' || (typeof value === 'string' && value.trim()))
+          ? Sorcherer._normalizeClusterGroup(value)
+          : undefined;
+      case 'tags':
+        return (typeof value === 'string' || (Array.isArray(value) && value.every((tag) => typeof tag === 'string')))
+          ? [...Sorcherer._parseTags(value)]
+          : undefined;
+      case 'lodTemplates': {
+        if (!Array.isArray(value) || !value.length) return undefined;
+        const variants = value.map((variant) => {
+          if (!variant || typeof variant.template !== 'string') return null;
+          if (variant.maxDistance == null) return { template: variant.template };
+          const maxDistance = Sorcherer._parseJSONValue('number', variant.maxDistance);
+          return (maxDistance === undefined) ? null : { maxDistance, template: variant.template };
+        });
+        return variants.includes(null) ? undefined : variants;
+      }
+      default:
+        return undefined;
+    }
+  }
+
+  /**
+   * Strictly parses an "x,y,z" list, an [x, y, z] array or an { x, y, z } object.
+   * @param {*} value
+   * @returns {THREE.Vector3|null} null unless `value` holds exactly three finite numbers.
+   */
+  static _parseVector3(value) {
+    let parts;
+    if (value?.isVector3) return value.clone();
+    if (typeof value === 'string') {
+      parts = value.split(',').map((part) => (part.trim() ? Number(part) : NaN));
+    } else if (Array.isArray(value)) {
+      parts = value;
+    } else if (value && typeof value === 'object') {
+      parts = [value.x, value.y, value.z];
+    } else {
+      return null;
+    }
+    return (parts.length === 3 && parts.every((part) => typeof part === 'number' && Number.isFinite(part)))
+      ? new Vector3(parts[0], parts[1], parts[2])
+      : null;
+  }
+
+  /**
+   * Reads distance-keyed template variants from `<template maxDistance="…">` children
+   * of a realm entry. A <template> without maxDistance covers every distance beyond the others.
+   * @param {Element} el - Realm child carrying the `idm` attribute.
+   * @returns {{maxDistance: number, template: string}[]|null}
+   */
+  static _readLodTemplates(el) {
+    const templates = Array.from(el.children || []).filter((child) => child.tagName === 'TEMPLATE');
+    if (!templates.length) return null;
+    return templates.map((child) => ({
+      maxDistance: Sorcherer._parseNumberAttribute(child, 'maxDistance')
+        ?? Sorcherer._parseNumberAttribute(child, 'max-distance')
+        ?? Infinity,
+      template: child.innerHTML
+    }));
+  }
+
+  /**
+   * Normalizes LOD template variants: drops invalid entries and sorts them by maxDistance.
+   * @param {{maxDistance?: number, template: string}[]} variants
+   * @returns {{maxDistance: number, template: string}[]|null}
+   */
+  static _normalizeLodTemplates(variants) {
+    if (!Array.isArray(variants)) return null;
+    const normalized = variants
+      .filter((variant) => variant && variant.template != null)
+      .map((variant) => ({
+        maxDistance: (typeof variant.maxDistance === 'number' && !Number.isNaN(variant.maxDistance))
+          ? variant.maxDistance
+          : Infinity,
+        template: String(variant.template)
+      }))
+      .sort((a, b) => a.maxDistance - b.maxDistance);
+    return normalized.length ? normalized : null;
+  }
+
+  /**
+   * @param {THREE.Object3D|THREE.Vector3} object - The target Object3D, or a world-space point to pin the overlay to
+   *   (the overlay follows later changes to that vector).
+   * @param {THREE.Vector3} [offset=new Vector3()] - Optional offset for the overlay.
+   * @param {boolean} [simulate3D=false] - Whether to scale the overlay based on distance.
+   * @param {boolean} [simulateRotation=false] - Whether to rotate the overlay with the object's local Z rotation
+   *   (see options.orientation for rotation that follows world transforms).
+   * @param {boolean} [autoCenter=false] - Whether to auto-center the overlay relative to its computed screen position.
+   * @param {number} [scaleMultiplier] - Multiplier for distance-based scaling (defaults to Sorcherer.defaultScaleMultiplier).
+   * @param {Object} [options]
+   * @param {'hide'|'dim'|null} [options.occlude=null] - Hide or dim the overlay while its anchor is behind one of its occluders.
+   * @param {THREE.Object3D[]} [options.occluders] - Objects that can occlude this overlay, instead of the manager's occluders.
+   * @param {SorchererManager} [options.manager=Sorcherer.defaultManager] - Manager that owns and updates this overlay.
+   * @param {number} [options.priority=0] - Higher priority overlays win when the manager declutters overlapping labels.
+   * @param {'hide'|'edge'} [options.offscreen='hide'] - 'edge' clamps off-screen overlays to the viewport edge instead of hiding them.
+   * @param {number} [options.edgeMargin=16] - Distance in pixels kept from the viewport edge in 'edge' mode.
+   * @param {string} [options.bone] - Anchor to the bone (or any descendant) with this name instead of the object's origin.
+   * @param {number} [options.instanceId] - Anchor to this instance of an InstancedMesh.
+   * @param {string|THREE.Vector3} [options.boxAnchor] - Anchor to a point of the object's world bounding box:
+   *   a keyword such as 'top-center' or 'bottom-left-front', or per-axis fractions (0 = min, 1 = max).
+   *   With instanceId it is the instance's box; it is ignored for bone anchors.
+   * @param {'world'|'local'} [options.offsetSpace='world'] - 'local' rotates the offset with the anchor.
+   * @param {number} [options.minDistance=0] - Hide the overlay when the camera is closer than this.
+   * @param {number} [options.maxDistance=Infinity] - Hide the overlay when the camera is farther than this.
+   * @param {number} [options.fadeDistance=0] - Width of the opacity fade band just inside min/maxDistance.
+   * @param {number} [options.minScale=0] - Lower clamp for the simulate3D scale.
+   * @param {number} [options.maxScale=Infinity] - Upper clamp for the simulate3D scale.
+   * @param {{maxDistance?: number, template: string}[]} [options.lodTemplates] - Template variants, each used up
+   *   to its maxDistance (omit it on the farthest); swapped automatically while buffering.
+   * @param {'line'|'elbow'|boolean} [options.leader] - Draw a leader line from the anchor to the overlay box.
+   * @param {'auto'|'top'|'bottom'|'left'|'right'} [options.leaderSide='auto'] - Side of the box the leader
+   *   attaches to; 'auto' picks the side facing the anchor.
+   * @param {'screen'|'billboard-roll'|'plane'} [options.orientation='screen'] - 'billboard-roll' rolls the overlay
+   *   with the anchor's projected world up axis; 'plane' glues it to the anchor's local XY plane via matrix3d.
+   * @param {number} [options.smoothing=0] - Time constant in ms for easing position, scale and rotation towards
+   *   each buffered state every animation frame (0 = snap).
+   * @param {boolean} [options.transitions=false] - Toggle `sorcherer-entering` / `sorcherer-leaving` when the overlay
+   *   is shown or hidden, hiding it only after the leave transition has finished.
+   * @param {string|string[]} [options.tags] - Tags for SorchererManager#query(), as an array or a comma-separated list.
+   * @param {boolean|string} [options.cluster=true] - With the manager's `cluster` on: false keeps the overlay out of
+   *   clusters, a string only clusters it with overlays of the same group.
+   * @param {Array<string|Object>|string} [options.plugins] - Plugins of this overlay, as plugin objects or
+   *   names registered with Sorcherer.registerPlugin() (see Sorcherer.pluginHooks).
+   * @param {string} [options.slot] - Slot of the overlay when its object has several (see Sorcherer.get()).
+   */
+  constructor(object, offset = new Vector3(), simulate3D = false, simulateRotation = false, autoCenter = false, scaleMultiplier, options = {}) {
+    // The default only covers a missing argument, not an explicit null.
+    options = options ?? {};
+    // A bare point is wrapped in a detached Object3D so visibility, culling and disposal work unchanged.
+    this.anchorPoint = object?.isVector3 ? object : null;
+    this.object = this.anchorPoint ? new Object3D() : object;
+    this.manager = options.manager || Sorcherer.defaultManager;
+    this.offset = (offset && typeof offset.clone === 'function') ? offset.clone() : offset;
+    this.simulate3D = simulate3D;
+    this.simulateRotation = simulateRotation;
+    this.autoCenter = autoCenter;
+    this.scaleMultiplier = (scaleMultiplier !== undefined) ? scaleMultiplier : Sorcherer.defaultScaleMultiplier;
+    this._parentSpan = this.createSpan();
+    this.template = '';
+    this._compiledTemplate = null;
+    this._templateView = null;
+    this._pendingVarNames = new Set();
+    this._pendingVarsHandle = null;
+    this._liveValues = {};
+    this._liveSnapshot = new Map();
+    this.dynamicVars = {};
+    this._dynamicVarNames = new Set();
+    this._disposed = false;
+    this._removedListener = null;
+    this.occlude = Sorcherer._normalizeOcclusionMode(options.occlude);
+    this.occluders = Array.isArray(options.occluders) ? options.occluders : null;
+    this.isOccluded = false;
+    this.priority = Number.isFinite(options.priority) ? options.priority : 0;
+    this.offscreen = Sorcherer._normalizeOffscreenMode(options.offscreen);
+    this.edgeMargin = Number.isFinite(options.edgeMargin) ? options.edgeMargin : 16;
+    this.isOffscreen = false;
+    this.edgeAngle = null;
+    this.isDecluttered = false;
+    this._order = Sorcherer._nextOrder++;
+    this._layout = { x: 0, y: 0, scaleX: 1, scaleY: 1, rotation: 0, matrix: null };
+    // Reused result of _computeLayout() while buffering.
+    this._frame = {};
+    this._declutterOffsetY = 0;
+    this._declutterTargetY = 0;
+    this._opacity = 1;
+    this._listeners = new Map();
+    this._hoverSources = new Set();
+    this.isHovered = false;
+    this._anchorScreen = { x: 0, y: 0 };
+    this._leaderPath = null;
+    this.leader = Sorcherer._normalizeLeaderMode(options.leader);
+    this.leaderSide = Sorcherer._normalizeLeaderSide(options.leaderSide);
+    this.orientation = Sorcherer._normalizeOrientation(options.orientation);
+    this.smoothing = Number.isFinite(options.smoothing) ? Math.max(0, options.smoothing) : 0;
+    this.transitions = Boolean(options.transitions);
+    // Visibility as of the last bufferAll() pass (see _commitVisibility()).
+    this.isVisible = false;
+    // Change detection (see SorchererManager#dirtyChecking): result of the last update, inputs it used.
+    this._lastShown = null;
+    this._bufferedPass = 0;
+    this._state = [];
+    this._nextState = [];
+    this._size = null;
+    this._transform = '';
+    this._motion = null;
+    this._enterHandle = null;
+    this._leaveTimer = null;
+    this.isBackface = false;
+    // Slot of the overlay among those of its object (null for the default slot), see get().
+    this.slot = Sorcherer._normalizeSlot(options.slot);
+    // Labels for query(), e.g. ['enemy', 'quest'].
+    this.tags = Sorcherer._parseTags(options.tags);
+    // Hidden with hide() regardless of the object's visibility.
+    this.hidden = false;
+    // Clustering group: true (default group), a group name, or false to never cluster.
+    this.cluster = Sorcherer._normalizeClusterGroup(options.cluster);
+    this.isClustered = false;
+    // Set on the overlays standing in for a cluster, with the overlays they replace.
+    this.isCluster = false;
+    this._clusterMembers = null;
+    this._rollAngle = 0;
+    // Mirror spans for the extra views of an ArrayCamera (see SorchererManager#_bufferViews()).
+    this._views = [];
+    this._contentVersion = 0;
+    this.bone = options.bone || null;
+    this.instanceId = Number.isInteger(options.instanceId) ? options.instanceId : null;
+    this.boxAnchor = Sorcherer._parseBoxAnchor(options.boxAnchor);
+    this.offsetSpace = Sorcherer._normalizeOffsetSpace(options.offsetSpace);
+    this._boneTarget = null;
+    this._worldBox = null;
+    this._worldBoxPass = null;
+    this._warnBoxAnchorBone();
+    // Plugins of this overlay, on top of those installed with Sorcherer.use().
+    this.plugins = Sorcherer._resolvePlugins(options.plugins);
+    // Whether onCull already ran for the current hidden stretch (see _setCulled()).
+    this._culled = false;
+    this._applyLodOptions(options);
+
+    Sorcherer._spanInstances.set(this._parentSpan, this);
+    this._updateInteractive();
+
+    if (typeof document !== 'undefined' && this.manager.container) {
+      this.manager.ensureContainerAttached();
+      this.manager.container.appendChild(this._parentSpan);
+    }
+    this.manager.allLoadedElements.add(this);
+
+    // Auto-remove overlay when the Object3D is removed from its parent. Under a watched
+    // scene the object may only be moving, so the manager's next scene sync decides.
+    if (this.object && typeof this.object.addEventListener === 'function') {
+      this._removedListener = (event) => {
+        if (event?.target !== this.object) return;
+        if (this.manager._watchedScene) {
+          this.manager._detachedOverlays.add(this);
+        } else {
+          this.dispose();
+        }
+      };
+      this.object.addEventListener('removed', this._removedListener);
+    }
+    this._runPlugins('onCreate');
+  }
+
+  /**
+   * Applies settings read from a realm entry to this (already created) overlay.
+   * @param {Object} options - Result of Sorcherer._readRealmOptions().
+   */
+  _applyRealmOptions(options) {
+    this.offset = options.offset;
+    this.simulate3D = options.simulate3D;
+    this.simulateRotation = options.simulateRotation;
+    this.autoCenter = options.autoCenter;
+    this.scaleMultiplier = (options.scaleMultiplier !== undefined) ? options.scaleMultiplier : Sorcherer.defaultScaleMultiplier;
+    this.occlude = Sorcherer._normalizeOcclusionMode(options.occlude);
+    if (!this.occlude && this.isOccluded) this._setOccluded(false);
+    this.priority = Number.isFinite(options.priority) ? options.priority : 0;
+    this.offscreen = Sorcherer._normalizeOffscreenMode(options.offscreen);
+    this.edgeMargin = Number.isFinite(options.edgeMargin) ? options.edgeMargin : 16;
+    this.bone = options.bone || null;
+    this.instanceId = Number.isInteger(options.instanceId) ? options.instanceId : null;
+    this.boxAnchor = Sorcherer._parseBoxAnchor(options.boxAnchor);
+    this.offsetSpace = Sorcherer._normalizeOffsetSpace(options.offsetSpace);
+    this._boneTarget = null;
+    this._worldBoxPass = null;
+    this._warnBoxAnchorBone();
+    this._applyLodOptions(options);
+    this.leader = Sorcherer._normalizeLeaderMode(options.leader);
+    this.leaderSide = Sorcherer._normalizeLeaderSide(options.leaderSide);
+    this.orientation = Sorcherer._normalizeOrientation(options.orientation);
+    this.smoothing = Number.isFinite(options.smoothing) ? Math.max(0, options.smoothing) : 0;
+    this.transitions = Boolean(options.transitions);
+    this.tags = Sorcherer._parseTags(options.tags);
+    this.cluster = Sorcherer._normalizeClusterGroup(options.cluster);
+    this.plugins = Sorcherer._resolvePlugins(options.plugins);
+    const slot = Sorcherer._normalizeSlot(options.slot);
+    if (slot !== this.slot) {
+      this.manager._unregisterOverlay(this);
+      this.slot = slot;
+      this.manager._registerOverlay(this);
+    }
+    this.invalidate();
+  }
+
+  /**
+   * Sets the distance-based LOD settings (visible range, fade band, scale clamp and template variants).
+   * @param {Object} options - Constructor-style options.
+   */
+  _applyLodOptions(options) {
+    this.minDistance = Number.isFinite(options.minDistance) ? Math.max(0, options.minDistance) : 0;
+    this.maxDistance = (typeof options.maxDistance === 'number' && options.maxDistance > 0) ? options.maxDistance : Infinity;
+    this.fadeDistance = Number.isFinite(options.fadeDistance) ? Math.max(0, options.fadeDistance) : 0;
+    this.minScale = Number.isFinite(options.minScale) ? Math.max(0, options.minScale) : 0;
+    this.maxScale = (typeof options.maxScale === 'number' && options.maxScale > 0) ? options.maxScale : Infinity;
+    this.lodTemplates = Sorcherer._normalizeLodTemplates(options.lodTemplates);
+    this._lodIndex = -1;
+  }
+
+  /**
+   * Swaps the template (LOD variant or edited realm content) while keeping the current
+   * variable and live values. Unlike attach(), this renders once and does not run onAttach.
+   * @param {string} innerHTML - The new template.
+   */
+  _swapTemplate(innerHTML) {
+    this.template = String(innerHTML ?? '');
+    this._compiledTemplate = new SorchererTemplate(this.template);
+    this._templateView = null;
+    for (const [varName, defaultVal] of this._compiledTemplate.variables) {
+      if (!(varName in this.dynamicVars)) {
+        this.dynamicVars[varName] = (defaultVal !== undefined) ? defaultVal : '';
+      }
+      this._defineDynamicVarAccessor(varName);
+    }
+    this._renderDynamicVars(null);
+    this.invalidate();
+  }
+
+  /**
+   * Opacity for the LOD visible range: 1 inside it, ramping to 0 across `fadeDistance`
+   * just inside minDistance/maxDistance, 0 outside.
+   * @param {number} distance - Camera-to-anchor distance.
+   * @returns {number}
+   */
+  _computeLodOpacity(distance) {
+    if (distance < this.minDistance || distance > this.maxDistance) return 0;
+    if (!this.fadeDistance) return 1;
+    const nearFade = (distance - this.minDistance) / this.fadeDistance;
+    const farFade = (this.maxDistance - distance) / this.fadeDistance;
+    return Math.min(1, this.minDistance > 0 ? nearFade : 1, farFade);
+  }
+
+  /**
+   * Picks the LOD template variant for `distance`. A variant is left only once the
+   * distance is 5% past its boundary, so labels do not flicker at the threshold.
+   * @param {number} distance - Camera-to-anchor distance.
+   * @returns {number} Index into lodTemplates (-1 without variants).
+   */
+  _selectLodIndex(distance) {
+    const variants = this.lodTemplates;
+    if (!variants) return -1;
+
+    let index = variants.findIndex((variant) => distance <= variant.maxDistance);
+    if (index === -1) index = variants.length - 1;
+
+    const current = this._lodIndex;
+    if (current !== -1 && index !== current) {
+      const lower = current > 0 ? variants[current - 1].maxDistance : 0;
+      const upper = variants[current].maxDistance;
+      if (distance > lower * 0.95 && distance <= upper * 1.05) index = current;
+    }
+    return index;
+  }
+
+  /**
+   * Switches to the LOD template variant at `index`.
+   * @param {number} index - Result of _selectLodIndex().
+   */
+  _applyLodIndex(index) {
+    if (index === -1 || index === this._lodIndex) return;
+    this._lodIndex = index;
+    const { template } = this.lodTemplates[index];
+    if (this.template !== template) this._swapTemplate(template);
+  }
+
+  // The overlay's DOM element (a stub outside the browser), e.g. for plugins.
+  get element() { return this._parentSpan; }
+
+  // The overlays a cluster overlay stands in for (null on other overlays).
+  get members() { return this._clusterMembers; }
+
+  createSpan() {
+    if (typeof document === 'undefined') {
+      // Minimal stub for non-DOM environments.
+      return {
+        style: {},
+        classList: { add() {}, remove() {}, toggle() {}, contains() { return false; } },
+        innerHTML: '',
+        parentElement: null
+      };
+    }
+    const span = document.createElement('span');
+    span.classList.add('magic-MinusOne');
+    span.style.position = 'absolute';
+    span.style.display = 'none';
+    span.style.transformOrigin = 'top left';
+    return span;
+  }
+
+  _clearDynamicVarProperties() {
+    for (const varName of this._dynamicVarNames) {
+      delete this[varName];
+    }
+    this._dynamicVarNames.clear();
+  }
+
+  _defineDynamicVarAccessor(varName) {
+    if (this._dynamicVarNames.has(varName)) return;
+    // Names taken by the overlay itself (such as `members` in cluster templates) stay
+    // reachable through getDynamicVar()/setDynamicVar() only.
+    if (varName in this) return;
+    this._dynamicVarNames.add(varName);
+    Object.defineProperty(this, varName, {
+      get: () => this.getDynamicVar(varName),
+      set: (value) => { this.setDynamicVar(varName, value); },
+      enumerable: true,
+      configurable: true
+    });
+  }
+
+  /**
+   * Attaches HTML content to the overlay.
+   * Dynamic variable placeholders follow the syntax:
+   *    $varName$  or  $varName=defaultValue$
+   * optionally followed by formatters ($varName|fixed:2$, $varName|raw$ for unescaped HTML),
+   * plus $#if varName$ … $else$ … $/if$ and $#each varName$ … $/each$ blocks.
+   * Values are HTML-escaped unless marked raw.
+   *
+   * This method parses the template, stores dynamic variables, and renders the content.
+   * @param {string} innerHTML - The HTML content to display.
+   */
+  attach(innerHTML) {
+    this.template = String(innerHTML ?? '');
+    this.dynamicVars = {};
+    this._clearDynamicVarProperties();
+
+    this._compiledTemplate = new SorchererTemplate(this.template);
+    this._templateView = null;
+    this._pendingVarNames.clear();
+    this._liveSnapshot.clear();
+    for (const [varName, defaultVal] of this._compiledTemplate.variables) {
+      if (!(varName in this.dynamicVars)) {
+        this.dynamicVars[varName] = (defaultVal !== undefined) ? defaultVal : '';
+      }
+      this._defineDynamicVarAccessor(varName);
+    }
+
+    this.renderDynamicVars();
+    Sorcherer._setDisplay(this, 'block');
+    this.invalidate();
+    this._runPlugins('onAttach', this.template);
+  }
+
+  /**
+   * Renders the overlay content by replacing placeholders with current dynamic variable values.
+   * The template's markup is built once; later renders only patch the text nodes,
+   * attributes and blocks whose values changed.
+   */
+  renderDynamicVars() {
+    this._renderDynamicVars(null);
+  }
+
+  _renderDynamicVars(changed) {
+    if (!this._compiledTemplate || this._compiledTemplate.source !== this.template) {
+      this._compiledTemplate = new SorchererTemplate(this.template);
+      this._templateView = null;
+    }
+
+    if (this._templateView && !this._templateView.isConnected()) {
+      this._templateView = null;
+    }
+    if (!this._templateView && !this._compiledTemplate.unbindable) {
+      this._templateView = this._compiledTemplate.mount(this._parentSpan);
+      changed = null;
+    }
+
+    if (this._templateView) {
+      this._templateView.update(this.dynamicVars, changed, this._liveValues);
+    } else {
+      this._parentSpan.innerHTML = this._compiledTemplate.render(this.dynamicVars, this._liveValues);
+    }
+    this._size = null;
+    this._contentVersion++;
+  }
+
+  /**
+   * Refreshes the live values behind `$@name$` placeholders (see Sorcherer.liveVariables)
+   * and re-renders only the ones whose value changed since the last pass.
+   * @param {number} distance - Camera-to-anchor distance.
+   * @param {THREE.Vector3} anchor - Anchor world position.
+   */
+  _updateLiveVars(distance, anchor) {
+    const template = this._compiledTemplate;
+    if (!template || !template.liveVariables.size) return;
+
+    const live = this._liveValues;
+    live.distance = distance;
+    live.screenX = this._layout.x;
+    live.screenY = this._layout.y;
+    live.worldX = anchor.x;
+    live.worldY = anchor.y;
+    live.worldZ = anchor.z;
+    live.edgeAngle = this.edgeAngle;
+    live.name = this.object.name;
+    live.userData = this.object.userData;
+
+    const changed = new Set();
+    for (const [key, path] of template.liveVariables) {
+      const value = SorchererTemplate._readPath(live, path);
+      if (!this._liveSnapshot.has(key) || !Object.is(this._liveSnapshot.get(key), value)) {
+        this._liveSnapshot.set(key, value);
+        changed.add(`@${path[0]}`);
+      }
+    }
+
+    if (changed.size) this._renderDynamicVars(changed);
+  }
+
+  /**
+   * Sets several dynamic variables and applies them together on the next frame
+   * (or the next bufferInstance() pass, whichever comes first).
+   * Call flushDynamicVars() to apply them immediately.
+   * @param {Object<string, *>} values - Variable values keyed by name.
+   */
+  setDynamicVars(values) {
+    if (!values || typeof values !== 'object') return;
+    for (const [varName, value] of Object.entries(values)) {
+      this.dynamicVars[varName] = value;
+      this._pendingVarNames.add(varName);
+    }
+
+    if (this._pendingVarsHandle !== null) return;
+    if (typeof requestAnimationFrame === 'function') {
+      this._pendingVarsHandle = requestAnimationFrame(() => {
+        this._pendingVarsHandle = null;
+        this.flushDynamicVars();
+      });
+    } else {
+      this.flushDynamicVars();
+    }
+  }
+
+  /**
+   * Applies variable changes queued by setDynamicVars() right away.
+   */
+  flushDynamicVars() {
+    if (this._pendingVarsHandle !== null && typeof cancelAnimationFrame === 'function') {
+      cancelAnimationFrame(this._pendingVarsHandle);
+    }
+    this._pendingVarsHandle = null;
+    if (!this._pendingVarNames.size || this._disposed) return;
+
+    const changed = [...this._pendingVarNames];
+    this._pendingVarNames.clear();
+    this._renderDynamicVars(changed);
+  }
+
+  /**
+   * Sets the value of a dynamic variable and re-renders the overlay.
+   * Values are HTML-escaped when rendered unless the placeholder uses the `raw` formatter;
+   * arrays feed $#each$ blocks.
+   * @param {string} varName - The variable name.
+   * @param {*} value - The new value.
+   */
+  setDynamicVar(varName, value) {
+    this.dynamicVars[varName] = value;
+    this._pendingVarNames.delete(varName);
+    this._renderDynamicVars([varName]);
+  }
+
+  /**
+   * Gets the current value of a dynamic variable.
+   * @param {string} varName - The variable name.
+   * @returns {string} The value.
+   */
+  getDynamicVar(varName) {
+    return this.dynamicVars[varName];
+  }
+
+  /**
+   * Hides the overlay from the next update on, whatever the visibility of its object.
+   */
+  hide() {
+    if (this.hidden) return;
+    this.hidden = true;
+    this.invalidate();
+  }
+
+  /**
+   * Undoes hide(). The overlay still follows the visibility of its object.
+   */
+  show() {
+    if (!this.hidden) return;
+    this.hidden = false;
+    this.invalidate();
+  }
+
+  /**
+   * Adds a tag (see SorchererManager#query()).
+   * @param {string} tag
+   */
+  addTag(tag) {
+    for (const name of Sorcherer._parseTags(tag)) this.tags.add(name);
+  }
+
+  /**
+   * Removes a tag.
+   * @param {string} tag
+   */
+  removeTag(tag) {
+    for (const name of Sorcherer._parseTags(tag)) this.tags.delete(name);
+  }
+
+  /**
+   * @param {string} tag
+   * @returns {boolean} Whether the overlay carries `tag`.
+   */
+  hasTag(tag) {
+    return this.tags.has(tag);
+  }
+
+  /**
+   * Registers an event handler. Handlers receive `{ type, instance, object, source, originalEvent,
+   * clientX, clientY }`, where `source` is 'overlay' for events on the overlay element and
+   * 'object' for events picked on the canvas by enablePointerTracking() (which adds `intersection`).
+   * pointerenter/pointerleave follow the combined hover state of overlay and object.
+   * Overlays with handlers (or whose manager has handlers) receive pointer events.
+   * @param {string} type - One of Sorcherer.eventTypes.
+   * @param {(event: Object) => void} handler
+   * @returns {() => void} Function removing the handler again.
+   */
+  on(type, handler) {
+    Sorcherer._addListener(this._listeners, type, handler);
+    this._updateInteractive();
+    return () => this.off(type, handler);
+  }
+
+  /**
+   * Removes a handler registered with on(); without `handler`, removes all handlers of `type`.
+   * @param {string} type
+   * @param {(event: Object) => void} [handler]
+   */
+  off(type, handler) {
+    Sorcherer._removeListener(this._listeners, type, handler);
+    this._updateInteractive();
+  }
+
+  /**
+   * Calls this overlay's handlers, then its manager's, for `type`.
+   * @param {string} type
+   * @param {Object} detail - Extra event fields (source, originalEvent, pointer position, ...).
+   */
+  _emit(type, detail) {
+    const event = { type, instance: this, object: this.object, ...detail };
+    for (const listeners of [this._listeners, this.manager._listeners]) {
+      const handlers = listeners.get(type);
+      if (!handlers) continue;
+      for (const handler of [...handlers]) handler(event);
+    }
+  }
+
+  _updateInteractive() {
+    const hasPointerHandlers = (listeners) => [...listeners.keys()].some((type) => (
+      !Sorcherer._lifecycleEvents.includes(type)
+    ));
+    const interactive = hasPointerHandlers(this._listeners) || hasPointerHandlers(this.manager._listeners);
+    Sorcherer._toggleClass(this._parentSpan, 'sorcherer-interactive', interactive);
+    if (interactive) this.manager._usePointer();
+  }
+
+  /**
+   * Tracks hover per source ('overlay' or 'object'), toggling `sorcherer-hovered` and
+   * emitting pointerenter/pointerleave when the combined state changes.
+   * @param {'overlay'|'object'} source
+   * @param {boolean} hovered
+   * @param {Object} detail - Passed on to the emitted event.
+   */
+  _setHovered(source, hovered, detail) {
+    if (hovered) {
+      this._hoverSources.add(source);
+    } else {
+      this._hoverSources.delete(source);
+    }
+    const isHovered = this._hoverSources.size > 0;
+    if (isHovered === this.isHovered) return;
+    this.isHovered = isHovered;
+    Sorcherer._toggleClass(this._parentSpan, 'sorcherer-hovered', isHovered);
+    this._emit(isHovered ? 'pointerenter' : 'pointerleave', detail);
+  }
+
+  /**
+   * Resolves the bone named by `bone`, searching the object's hierarchy and skeleton.
+   * @returns {THREE.Object3D|null}
+   */
+  _resolveBone() {
+    if (!this.bone) return null;
+    if (this._boneTarget?.name === this.bone && Sorcherer._isSameOrDescendant(this._boneTarget, this.object)) {
+      return this._boneTarget;
+    }
+
+    let bone = this.object.getObjectByName?.(this.bone) || null;
+    if (!bone) {
+      this.object.traverse?.((node) => {
+        if (!bone && node.skeleton) {
+          bone = node.skeleton.bones.find((candidate) => candidate.name === this.bone) || null;
+        }
+      });
+    }
+    this._boneTarget = bone;
+    return bone;
+  }
+
+  /**
+   * Writes the world matrix of the anchor's frame (object, bone or instance) into `target`.
+   * @param {THREE.Matrix4} target
+   * @returns {THREE.Matrix4} `target`.
+   */
+  _getAnchorMatrix(target) {
+    if (this.anchorPoint) return target.makeTranslation(this.anchorPoint.x, this.anchorPoint.y, this.anchorPoint.z);
+
+    const frame = this._resolveBone() || this.object;
+    frame.updateWorldMatrix(true, false);
+
+    if (this.instanceId !== null && this.object.isInstancedMesh && this.instanceId < this.object.count) {
+      this.object.getMatrixAt(this.instanceId, Sorcherer._tempInstanceMatrix);
+      return target.multiplyMatrices(this.object.matrixWorld, Sorcherer._tempInstanceMatrix);
+    }
+    return target.copy(frame.matrixWorld);
+  }
+
+  /**
+   * A bone has no extent of its own, so `boxAnchor` does not apply to bone anchors.
+   */
+  _warnBoxAnchorBone() {
+    if (this.boxAnchor && this.bone) {
+      console.warn(`[Sorcherer] boxAnchor is ignored for overlays anchored to a bone ("${this.bone}").`);
+    }
+  }
+
+  /**
+   * Returns the world bounding box `boxAnchor` refers to: that of the instance for
+   * `instanceId`, otherwise that of the object and its descendants. While bufferAll()
+   * runs, it is computed once per pass.
+   * @returns {THREE.Box3}
+   */
+  _getWorldBox() {
+    const pass = this.manager._boxPass;
+    if (pass !== null && this._worldBoxPass === pass) return this._worldBox;
+
+    const box = this._worldBox || (this._worldBox = new Box3());
+    if (this.instanceId !== null && this.object.isInstancedMesh && this.instanceId < this.object.count) {
+      const geometry = this.object.geometry;
+      if (!geometry.boundingBox) geometry.computeBoundingBox();
+      box.copy(geometry.boundingBox).applyMatrix4(this._getAnchorMatrix(Sorcherer._tempAnchorMatrix));
+    } else {
+      box.setFromObject(this.object);
+    }
+    this._worldBoxPass = pass;
+    return box;
+  }
+
+  /**
+   * Writes the anchor point before the offset is applied into `target`: the bounding-box
+   * point for `boxAnchor`, otherwise the origin of the anchor frame.
+   * @param {THREE.Vector3} target - Vector receiving the result.
+   * @returns {THREE.Vector3} `target`.
+   */
+  _getAnchorBasePosition(target) {
+    if (this.boxAnchor && !this.anchorPoint && !this.bone) {
+      const box = this._getWorldBox();
+      if (!box.isEmpty()) {
+        return target.set(
+          box.min.x + (box.max.x - box.min.x) * this.boxAnchor.x,
+          box.min.y + (box.max.y - box.min.y) * this.boxAnchor.y,
+          box.min.z + (box.max.z - box.min.z) * this.boxAnchor.z
+        );
+      }
+    }
+    return target.setFromMatrixPosition(this._getAnchorMatrix(Sorcherer._tempAnchorMatrix));
+  }
+
+  /**
+   * Writes the overlay's anchor (anchor point plus offset) into `target`.
+   * @param {THREE.Vector3} target - Vector receiving the result.
+   * @param {THREE.Vector3} [basePosition] - Result of _getAnchorBasePosition() when already known.
+   * @returns {THREE.Vector3} `target`.
+   */
+  _getAnchorWorldPosition(target, basePosition) {
+    if (basePosition) {
+      target.copy(basePosition);
+    } else {
+      this._getAnchorBasePosition(target);
+    }
+    if (!this.offset) return target;
+
+    if (this.offsetSpace === 'local') {
+      this._getAnchorMatrix(Sorcherer._tempAnchorMatrix).decompose(
+        Sorcherer._tempDecomposePos,
+        Sorcherer._tempAnchorQuat,
+        Sorcherer._tempDecomposeScale
+      );
+      return target.add(Sorcherer._tempLocalOffset.copy(this.offset).applyQuaternion(Sorcherer._tempAnchorQuat));
+    }
+    return target.add(this.offset);
+  }
+
+  /**
+   * Updates the occlusion state, toggling the `sorcherer-occluded` (and, in dim mode,
+   * `sorcherer-dimmed`) classes and hiding the overlay in hide mode.
+   * @param {boolean} occluded - Whether the anchor is hidden behind an occluder.
+   */
+  _setOccluded(occluded) {
+    this.isOccluded = occluded;
+    Sorcherer._toggleClass(this._parentSpan, 'sorcherer-occluded', occluded);
+    Sorcherer._toggleClass(this._parentSpan, 'sorcherer-dimmed', occluded && this.occlude === 'dim');
+    Sorcherer._setDisplay(this, (occluded && this.occlude === 'hide') ? 'none' : 'block');
+  }
+
+  /**
+   * Builds the CSS transform from the last computed layout plus the declutter nudge.
+   */
+  _writeTransform() {
+    const layout = this._layout;
+    // While smoothing, the eased copy of the layout is written instead.
+    this._setTransform(this._composeTransform(layout.matrix ? layout : (this._motion || layout)));
+  }
+
+  /**
+   * Builds the CSS transform that places the overlay as described by `layout`.
+   * @param {{x: number, y: number, scaleX: number, scaleY: number, rotation: number, matrix?: number[]|null}} layout
+   * @returns {string}
+   */
+  _composeTransform(layout) {
+    if (layout.matrix) {
+      let transform = `translate(0px, ${this._declutterOffsetY}px) matrix3d(${layout.matrix.join(', ')})`;
+      if (this.autoCenter) transform += ' translate(-50%, -50%)';
+      return transform;
+    }
+
+    let transform = `translate(${layout.x}px, ${layout.y + this._declutterOffsetY}px)`;
+    if (this.autoCenter) {
+      //Change To Offset Instead Direct Translate.
+      transform += ' translate(-50%, -50%)';
+    }
+    if (this.simulate3D) {
+      transform += ` scale(${layout.scaleX}, ${layout.scaleY})`;
+    }
+    if (this.simulateRotation || this.orientation === 'billboard-roll') {
+      transform += ` rotate(${layout.rotation}deg)`;
+    }
+    return transform;
+  }
+
+  /**
+   * Positions the mirror span of this overlay for an extra ArrayCamera view, creating it
+   * on first use. It copies the overlay's content and classes, and is shown when the
+   * overlay's anchor is in that view and the overlay is not occluded, decluttered,
+   * clustered, hidden or vetoed by a plugin.
+   * @param {number} index - Index of the view among the extra views.
+   * @param {THREE.Camera} camera - Sub-camera of the view.
+   * @param {Object|null} area - Viewport of the view in container pixels.
+   * @param {THREE.Frustum} frustum - Frustum of the sub-camera.
+   */
+  _bufferView(index, camera, area, frustum) {
+    let view = this._views[index];
+    if (!view) {
+      const span = this.createSpan();
+      if (this.manager.container) this.manager.container.appendChild(span);
+      Sorcherer._spanInstances.set(span, this);
+      view = { span, layout: {}, version: -1, transform: '', opacity: 1 };
+      this._views[index] = view;
+    }
+
+    const layout = this._computeLayout(camera, area, null, frustum, view.layout);
+    const span = view.span;
+    // A beforeBuffer veto in the primary view hides the overlay in every view.
+    const shown = layout.visible && this._frame.reason !== 'plugin' && !this.isClustered && !this.isDecluttered
+      && !(this.isOccluded && this.occlude === 'hide');
+    if (!shown) {
+      if (span.style.display !== 'none') span.style.display = 'none';
+      return;
+    }
+
+    if (view.version !== this._contentVersion) {
+      span.innerHTML = this._parentSpan.innerHTML;
+      view.version = this._contentVersion;
+    }
+    const classes = String(this._parentSpan.className || '').split(/\s+/).filter((name) => (
+      name && !['sorcherer-offscreen', 'sorcherer-entering', 'sorcherer-leaving'].includes(name)
+    ));
+    classes.push('sorcherer-view');
+    if (layout.offscreen) classes.push('sorcherer-offscreen');
+    const className = classes.join(' ');
+    if (span.className !== className) span.className = className;
+
+    const style = span.style;
+    if (typeof style.setProperty === 'function') {
+      if (layout.opacity !== view.opacity) {
+        view.opacity = layout.opacity;
+        if (layout.opacity < 1) {
+          style.setProperty('--sorcherer-opacity', String(layout.opacity));
+        } else {
+          style.removeProperty('--sorcherer-opacity');
+        }
+      }
+      if (layout.offscreen) {
+        style.setProperty('--sorcherer-edge-angle', `${layout.edgeAngle}deg`);
+      } else {
+        style.removeProperty('--sorcherer-edge-angle');
+      }
+    }
+    const transform = this._composeTransform(layout);
+    if (view.transform !== transform) {
+      view.transform = transform;
+      style.transform = transform;
+    }
+    const zIndex = String(layout.zIndex);
+    if (style.zIndex !== zIndex) style.zIndex = zIndex;
+    if (style.display !== 'block') style.display = 'block';
+  }
+
+  /**
+   * Removes the mirror spans of views beyond the first `count` (see _bufferView()).
+   * @param {number} count
+   */
+  _trimViews(count) {
+    for (const { span } of this._views.splice(count)) {
+      if (span.parentElement) span.parentElement.removeChild(span);
+      Sorcherer._spanInstances.delete(span);
+    }
+  }
+
+  _setTransform(transform) {
+    if (transform === this._transform) return;
+    this._transform = transform;
+    this._parentSpan.style.transform = transform;
+  }
+
+  /**
+   * Computes the 'billboard-roll' rotation or the 'plane' matrix3d into `layout`.
+   * Both work in homogeneous clip space, so perspective and orthographic cameras
+   * (including camera roll) are handled alike.
+   * @param {THREE.Camera} camera - The active camera.
+   * @param {THREE.Vector3} anchor - World position of the overlay (offset included).
+   * @param {number} widthHalf - Half the viewport width in pixels.
+   * @param {number} heightHalf - Half the viewport height in pixels.
+   * @param {Object} layout - Layout result being computed.
+   */
+  _orient(camera, anchor, widthHalf, heightHalf, layout) {
+    const viewProjection = Sorcherer._tempViewProjection.multiplyMatrices(camera.projectionMatrix, camera.matrixWorldInverse);
+    const clipAnchor = Sorcherer._tempClipAnchor.set(anchor.x, anchor.y, anchor.z, 1).applyMatrix4(viewProjection);
+    if (!(clipAnchor.w > 0)) return;
+
+    this._getAnchorMatrix(Sorcherer._tempAnchorMatrix).decompose(
+      Sorcherer._tempDecomposePos,
+      Sorcherer._tempAnchorQuat,
+      Sorcherer._tempDecomposeScale
+    );
+    const quaternion = Sorcherer._tempAnchorQuat;
+    const axis = Sorcherer._tempLocalOffset;
+
+    // Screen-space (y down) derivative of the projection along a world direction, per unit.
+    const project = (clip, target) => target.set(
+      widthHalf * (clip.x - clipAnchor.x * clip.w / clipAnchor.w) / clipAnchor.w,
+      -heightHalf * (clip.y - clipAnchor.y * clip.w / clipAnchor.w) / clipAnchor.w
+    );
+
+    if (this.orientation === 'billboard-roll') {
+      axis.set(0, 1, 0).applyQuaternion(quaternion);
+      const clipUp = Sorcherer._tempClipU.set(axis.x, axis.y, axis.z, 0).applyMatrix4(viewProjection);
+      const up = project(clipUp, Sorcherer._tempScreenU);
+      // Keep the last angle while the up axis points (almost) straight at the camera.
+      layout.rotation = up.lengthSq() > 1e-8 ? Math.atan2(up.x, -up.y) * (180 / Math.PI) : this._rollAngle;
+      return;
+    }
+
+    // 'plane': one CSS pixel spans scaleMultiplier / 100 world units along the local X and -Y axes.
+    const unit = (Number.isFinite(this.scaleMultiplier) ? this.scaleMultiplier : Sorcherer.defaultScaleMultiplier) / 100;
+    axis.set(unit, 0, 0).applyQuaternion(quaternion);
+    const clipU = Sorcherer._tempClipU.set(axis.x, axis.y, axis.z, 0).applyMatrix4(viewProjection);
+    axis.set(0, -unit, 0).applyQuaternion(quaternion);
+    const clipV = Sorcherer._tempClipV.set(axis.x, axis.y, axis.z, 0).applyMatrix4(viewProjection);
+
+    // Maps element pixels (u, v) to homogeneous screen pixels; the browser divides by w.
+    const w = clipAnchor.w;
+    const screen = (clip) => [
+      widthHalf * (clip.x + clip.w) / w,
+      heightHalf * (clip.w - clip.y) / w,
+      clip.w / w
+    ];
+    const [ux, uy, uw] = screen(clipU);
+    const [vx, vy, vw] = screen(clipV);
+    const [ax, ay] = screen(clipAnchor);
+    layout.matrix = [
+      ux, uy, 0, uw,
+      vx, vy, 0, vw,
+      0, 0, 1, 0,
+      ax, ay, 0, 1
+    ];
+    layout.scaleX = project(clipU, Sorcherer._tempScreenU).length();
+    layout.scaleY = project(clipV, Sorcherer._tempScreenV).length();
+
+    // The local +Z axis facing away from the camera means the overlay is seen from behind.
+    axis.set(0, 0, 1).applyQuaternion(quaternion);
+    const toCamera = camera.isOrthographicCamera
+      ? Sorcherer._tempViewPos.set(0, 0, 1).transformDirection(camera.matrixWorld)
+      : Sorcherer._tempViewPos.setFromMatrixPosition(camera.matrixWorld).sub(anchor);
+    layout.backface = axis.dot(toCamera) < 0;
+  }
+
+  /**
+   * Starts easing towards the freshly buffered layout. Overlays snap while they were
+   * hidden, in 'plane' orientation, or when reduced motion is preferred.
+   */
+  _updateMotion() {
+    const layout = this._layout;
+    if (!this.smoothing || layout.matrix
+      || typeof requestAnimationFrame !== 'function' || Sorcherer._prefersReducedMotion()) {
+      this._motion = null;
+      return;
+    }
+    if (!this._motion || !this.isVisible) {
+      this._motion = { x: layout.x, y: layout.y, scaleX: layout.scaleX, scaleY: layout.scaleY, rotation: layout.rotation };
+      return;
+    }
+    this.manager._startMotion();
+  }
+
+  /**
+   * Moves the eased layout towards the buffered one by `elapsed` ms and writes the transform.
+   * @param {number} elapsed - Milliseconds since the previous step.
+   * @returns {boolean} Whether the overlay is still moving.
+   */
+  _stepMotion(elapsed) {
+    const target = this._layout;
+    const motion = this._motion;
+    const alpha = 1 - Math.exp(-Math.max(0, elapsed) / this.smoothing);
+    let moving = false;
+    for (const key of ['x', 'y', 'scaleX', 'scaleY', 'rotation']) {
+      let delta = target[key] - motion[key];
+      // Rotate the short way round.
+      if (key === 'rotation') delta = ((delta % 360) + 540) % 360 - 180;
+      const epsilon = (key === 'scaleX' || key === 'scaleY') ? 1e-4 : 0.05;
+      if (Math.abs(delta) <= epsilon) {
+        motion[key] = target[key];
+      } else {
+        motion[key] += delta * alpha;
+        moving = true;
+      }
+    }
+    this._writeTransform();
+    return moving;
+  }
+
+  _animatesTransitions() {
+    return this.transitions && typeof document !== 'undefined' && !Sorcherer._prefersReducedMotion();
+  }
+
+  /**
+   * Settles the visibility decided during a bufferAll() pass: emits `enter` / `leave` and,
+   * with `transitions`, runs the entering/leaving classes. A leaving overlay stays displayed
+   * until its transition has finished.
+   */
+  _commitVisibility() {
+    const visible = this._parentSpan.style.display !== 'none';
+    if (visible === this.isVisible) {
+      if (!visible && this._leaveTimer !== null) Sorcherer._setDisplay(this, 'block');
+      return null;
+    }
+
+    this.isVisible = visible;
+    let change = null;
+    if (visible) {
+      this._finishLeave();
+      if (this._animatesTransitions() && this._startEnter()) change = 'enter';
+      this._emit('enter', { originalEvent: null });
+    } else {
+      this._cancelEnter();
+      if (this._animatesTransitions()) {
+        this._startLeave();
+        change = 'leave';
+      }
+      this._emit('leave', { originalEvent: null });
+    }
+    return change;
+  }
+
+  /**
+   * Adds `sorcherer-entering` and removes it again on the next frame.
+   * @returns {boolean} Whether the class was added.
+   */
+  _startEnter() {
+    if (typeof requestAnimationFrame !== 'function') return false;
+    const span = this._parentSpan;
+    span.classList.add('sorcherer-entering');
+    this._enterHandle = requestAnimationFrame(() => {
+      this._enterHandle = null;
+      span.classList.remove('sorcherer-entering');
+    });
+    return true;
+  }
+
+  _cancelEnter() {
+    if (this._enterHandle !== null && typeof cancelAnimationFrame === 'function') {
+      cancelAnimationFrame(this._enterHandle);
+    }
+    this._enterHandle = null;
+    Sorcherer._toggleClass(this._parentSpan, 'sorcherer-entering', false);
+  }
+
+  _startLeave() {
+    Sorcherer._setDisplay(this, 'block');
+    this._parentSpan.classList.add('sorcherer-leaving');
+  }
+
+  /**
+   * Hides the overlay once its leave transition has finished; called after every
+   * class write of the pass so the transition durations are read in one go.
+   */
+  _scheduleLeave() {
+    if (this.isVisible || this._disposed) return;
+    const duration = Sorcherer._transitionDuration(this._parentSpan);
+    if (!duration) {
+      this._finishLeave();
+      return;
+    }
+    this._leaveTimer = setTimeout(() => this._finishLeave(), duration);
+  }
+
+  /**
+   * Ends (or cancels) a leave transition; the overlay is hidden unless it was shown again meanwhile.
+   */
+  _finishLeave() {
+    if (this._leaveTimer !== null) {
+      clearTimeout(this._leaveTimer);
+      this._leaveTimer = null;
+    }
+    Sorcherer._toggleClass(this._parentSpan, 'sorcherer-leaving', false);
+    if (!this.isVisible) Sorcherer._hideOverlay(this);
+  }
+
+  /**
+   * Makes the next bufferAll() pass update this overlay even if nothing it tracks changed.
+   */
+  invalidate() {
+    this._lastShown = null;
+    this._size = null;
+  }
+
+  /**
+   * Records the inputs of the layout into `_nextState` for _stateChanged().
+   * @param {THREE.Vector3} base - Anchor position before the offset.
+   */
+  _captureState(base) {
+    const state = this._nextState;
+    const offset = this.offset;
+    const object = this.object;
+    state.length = 0;
+    state.push(
+      base.x, base.y, base.z, offset?.x, offset?.y, offset?.z,
+      this.simulate3D, this.simulateRotation, this.autoCenter, this.scaleMultiplier, this.orientation,
+      this.offscreen, this.edgeMargin, this.minDistance, this.maxDistance, this.fadeDistance,
+      this.minScale, this.maxScale, this.lodTemplates, this.leader, this.leaderSide, this.smoothing,
+      this.template, this.hidden, Sorcherer._isVisibleInScene(object), this.manager._isDetached(this),
+      object.layers?.mask, object.count, object.rotation?.z, this.occlude, this.occluders
+    );
+    // Plugins can veto or move the overlay, so adding or removing one counts as a change.
+    state.push(this.plugins.length, ...this.plugins);
+    if (this.orientation !== 'screen' || this.offsetSpace === 'local') {
+      state.push(...this._getAnchorMatrix(Sorcherer._tempStateMatrix).elements);
+    }
+  }
+
+  /**
+   * Compares the captured state with the one of the last update. Templates reading
+   * `$@name$` or `$@userData…$` always count as changed, since those change freely.
+   * @returns {boolean}
+   */
+  _stateChanged() {
+    const live = this._compiledTemplate?.liveVariables;
+    if (live?.size) {
+      for (const path of live.values()) {
+        if (path[0] === 'userData' || path[0] === 'name') return true;
+      }
+    }
+    const previous = this._state;
+    const next = this._nextState;
+    if (previous.length !== next.length) return true;
+    for (let i = 0; i < next.length; i++) {
+      if (!Object.is(previous[i], next[i])) return true;
+    }
+    return false;
+  }
+
+  /**
+   * Keeps the captured state after an update (or forgets it when it was not captured).
+   * @param {boolean} captured - Whether _captureState() ran for this update.
+   */
+  _commitState(captured) {
+    if (!captured) {
+      this._state.length = 0;
+      return;
+    }
+    const previous = this._state;
+    this._state = this._nextState;
+    this._nextState = previous;
+  }
+
+  /**
+   * Re-applies the outcome of the last update for a skipped or deferred overlay.
+   * @returns {boolean} Whether the overlay is positioned.
+   */
+  _restoreShown() {
+    if (this._lastShown) {
+      Sorcherer._setDisplay(this, (this.isOccluded && this.occlude === 'hide') ? 'none' : 'block');
+    }
+    return Boolean(this._lastShown);
+  }
+
+  _setBackface(backface) {
+    this.isBackface = backface;
+    Sorcherer._toggleClass(this._parentSpan, 'sorcherer-backface', backface);
+  }
+
+  /**
+   * Measures the overlay's screen-space box (before any declutter nudge).
+   * Rotation is ignored. Returns null when the span has no measurable size.
+   * @returns {{left: number, top: number, width: number, height: number}|null}
+   */
+  _measureBox() {
+    // With dirty checking the size is cached until the content changes (or invalidate()).
+    let size = this._size;
+    if (!size || !this.manager.dirtyChecking) {
+      const measuredWidth = this._parentSpan.offsetWidth;
+      const measuredHeight = this._parentSpan.offsetHeight;
+      if (!measuredWidth || !measuredHeight) return null;
+      size = { width: measuredWidth, height: measuredHeight };
+      this._size = this.manager.dirtyChecking ? size : null;
+    }
+    const { width, height } = size;
+
+    const { x, y, scaleX, scaleY } = this._layout;
+    return {
+      left: this.autoCenter ? x - width / 2 : x,
+      top: this.autoCenter ? y - height / 2 : y,
+      width: width * scaleX,
+      height: height * scaleY
+    };
+  }
+
+  /**
+   * Updates the edge-indicator state: toggles `sorcherer-offscreen` and publishes the
+   * direction towards the anchor as `edgeAngle` and the `--sorcherer-edge-angle` CSS variable.
+   * @param {boolean} offscreen - Whether the overlay is clamped to the viewport edge.
+   * @param {number} [angle] - Direction in degrees, clockwise from screen right.
+   */
+  _setOffscreen(offscreen, angle) {
+    if (offscreen === this.isOffscreen && (!offscreen || angle === this.edgeAngle)) return;
+    this.isOffscreen = offscreen;
+    this.edgeAngle = offscreen ? angle : null;
+    Sorcherer._toggleClass(this._parentSpan, 'sorcherer-offscreen', offscreen);
+    const style = this._parentSpan.style;
+    if (typeof style.setProperty === 'function') {
+      if (offscreen) {
+        style.setProperty('--sorcherer-edge-angle', `${angle}deg`);
+      } else {
+        style.removeProperty('--sorcherer-edge-angle');
+      }
+    }
+  }
+
+  /**
+   * Hides the overlay while a cluster stands in for it, toggling `sorcherer-clustered`.
+   * @param {boolean} clustered - Whether the overlay is a member of a cluster.
+   */
+  _setClustered(clustered) {
+    this.isClustered = clustered;
+    Sorcherer._toggleClass(this._parentSpan, 'sorcherer-clustered', clustered);
+    if (clustered) Sorcherer._hideOverlay(this);
+  }
+
+  /**
+   * Hides or re-shows the overlay after the declutter pass, toggling `sorcherer-decluttered`.
+   * @param {boolean} decluttered - Whether a higher-priority overlay took its place.
+   */
+  _setDecluttered(decluttered) {
+    this.isDecluttered = decluttered;
+    Sorcherer._toggleClass(this._parentSpan, 'sorcherer-decluttered', decluttered);
+    if (decluttered) Sorcherer._hideOverlay(this);
+  }
+
+  /**
+   * Draws the leader line from the projected anchor to `box` (nudge included), or hides it.
+   * Nothing is drawn while the anchor lies inside the box.
+   * @param {{left: number, top: number, width: number, height: number}|null} box - From _measureBox().
+   */
+  _drawLeader(box) {
+    let path = this._leaderPath;
+    if (!box) {
+      if (path) path.style.display = 'none';
+      return;
+    }
+
+    const { x: ax, y: ay } = this._anchorScreen;
+    const top = box.top + this._declutterOffsetY;
+    const inside = ax >= box.left && ax <= box.left + box.width && ay >= top && ay <= top + box.height;
+    if (inside) {
+      if (path) path.style.display = 'none';
+      return;
+    }
+
+    if (!path) {
+      const layer = this.manager._ensureLeaderLayer();
+      if (!layer) return;
+      path = document.createElementNS(SorchererManager._svgNamespace, 'path');
+      layer.appendChild(path);
+      this._leaderPath = path;
+    }
+
+    const centerX = box.left + box.width / 2;
+    const centerY = top + box.height / 2;
+    let side = this.leaderSide;
+    if (side === 'auto') {
+      const dx = (ax - centerX) / (box.width || 1);
+      const dy = (ay - centerY) / (box.height || 1);
+      if (Math.abs(dx) > Math.abs(dy)) {
+        side = dx < 0 ? 'left' : 'right';
+      } else {
+        side = dy < 0 ? 'top' : 'bottom';
+      }
+    }
+
+    const px = side === 'left' ? box.left : side === 'right' ? box.left + box.width : centerX;
+    const py = side === 'top' ? top : side === 'bottom' ? top + box.height : centerY;
+    let d = `M${ax},${ay}`;
+    if (this.leader === 'elbow') {
+      // The last segment runs straight into the chosen side.
+      d += (side === 'left' || side === 'right') ? ` L${ax},${py}` : ` L${px},${ay}`;
+    }
+    d += ` L${px},${py}`;
+
+    path.setAttribute('d', d);
+    path.setAttribute('class', `sorcherer-leader sorcherer-leader-${this.leader} sorcherer-leader-${side}`);
+    path.style.opacity = this._opacity < 1 ? String(this._opacity) : '';
+    path.style.display = '';
+  }
+
+  _removeLeader() {
+    if (this._leaderPath?.parentNode) {
+      this._leaderPath.parentNode.removeChild(this._leaderPath);
+    }
+    this._leaderPath = null;
+  }
+
+  /**
+   * Updates the overlay's position, scaling (based on distance), and rotation.
+   * @param {THREE.Camera} camera - The active camera.
+   * @param {THREE.Renderer} renderer - The active renderer.
+   * @param {{x: number, y: number, width: number, height: number}|THREE.Vector4} [viewport] - Part of the canvas
+   *   the camera renders to (see SorchererManager#bufferAll()).
+   * @returns {boolean} Whether the overlay was positioned (false when it was hidden).
+   */
+  bufferInstance(camera, renderer, viewport) {
+    if (!renderer?.domElement) return false;
+    return this._buffer(camera, renderer, SorchererManager._resolveViewport(viewport, this.manager._measureCanvas(renderer)), null);
   }
 
   /**
-   * Renders the overlay content by replacing placeholders with current dynamic variable values.
+   * bufferInstance() with values bufferAll() already has for this pass.
+   * @param {THREE.Camera} camera
+   * @param {THREE.Renderer} renderer
+   * @param {{x: number, y: number, width: number, height: number}|null} viewport - Area in container pixels
+   *   (the whole canvas when null).
+   * @param {THREE.Vector3|null} basePosition - Anchor position before the offset (computed when null).
+   * @returns {boolean}
    */
-  renderDynamicVars() {
-    const rendered = this.template.replace(/\$([a-zA-Z0-9_]+)(?:=[^$]+)?\$/g, (match, varName) => {
-      return (this.dynamicVars[varName] !== undefined) ? this.dynamicVars[varName] : '';
-    });
-    this._parentSpan.innerHTML = rendered;
+  _buffer(camera, renderer, viewport, basePosition) {
+    if (!this.object || !camera || !renderer?.domElement) return false;
+    if (this._pendingVarNames.size) this.flushDynamicVars();
+    if (this._runPlugins('beforeBuffer', camera).includes(false)) {
+      this._frame.reason = 'plugin';
+      Sorcherer._hideOverlay(this);
+      return false;
+    }
+
+    const size = viewport || SorchererManager._readViewport(renderer);
+    const layout = this._computeLayout(camera, size, basePosition, null, this._frame);
+    const shown = this._applyLayout(layout);
+    this._setCulled(!shown, layout.reason);
+    this._runPlugins('afterBuffer', layout);
+    return shown;
   }
 
   /**
-   * Sets the value of a dynamic variable and re-renders the overlay.
-   * @param {string} varName - The variable name.
-   * @param {string} value - The new value.
+   * Tracks whether culling or the layout hides the overlay, running the onCull hooks
+   * when it goes from shown (or new) to hidden.
+   * @param {boolean} culled
+   * @param {string} reason - Hide reason passed to onCull.
    */
-  setDynamicVar(varName, value) {
-    this.dynamicVars[varName] = value;
-    this.renderDynamicVars();
+  _setCulled(culled, reason) {
+    if (culled === this._culled) return;
+    this._culled = culled;
+    if (culled) this._runPlugins('onCull', reason);
   }
 
   /**
-   * Gets the current value of a dynamic variable.
-   * @param {string} varName - The variable name.
-   * @returns {string} The value.
+   * Computes where and how the overlay would be shown, without touching the DOM or the
+   * overlay's state. Works in Node: only a camera (with up-to-date matrices) and the
+   * viewport size are needed. Overlays whose anchor is outside the camera frustum are
+   * reported as culled, unless they are edge indicators. Decluttering and occlusion
+   * are not part of the layout.
+   * @param {THREE.Camera} camera - The camera to project with.
+   * @param {{x?: number, y?: number, width: number, height: number}} viewport - Viewport in pixels; x and y offset the result.
+   * @returns {Object} Plain layout result (see readme "Headless Layout").
    */
-  getDynamicVar(varName) {
-    return this.dynamicVars[varName];
+  computeLayout(camera, viewport) {
+    const frustum = Sorcherer._frustumOf(camera, Sorcherer._tempFrustum);
+    return this._computeLayout(camera, viewport, null, frustum, {});
   }
 
   /**
-   * Updates the overlay's position, scaling (based on distance), and rotation.
-   * @param {THREE.Camera} camera - The active camera.
-   * @param {THREE.Renderer} renderer - The active renderer.
+   * Fills `layout` with the projection of this overlay (see computeLayout()).
+   * @param {THREE.Camera} camera
+   * @param {{x?: number, y?: number, width: number, height: number}|null} viewport
+   * @param {THREE.Vector3|null} basePosition - Anchor position before the offset (computed when null).
+   * @param {THREE.Frustum|null} frustum - Frustum to cull against (no culling when null).
+   * @param {Object} layout - Object receiving the result.
+   * @returns {Object} `layout`.
    */
-  bufferInstance(camera, renderer) {
-    if (!this.object || !camera || !renderer?.domElement) return;
-    if (!this.object.visible) {
-      Sorcherer._hideOverlay(this);
-      return;
-    }
+  _computeLayout(camera, viewport, basePosition, frustum, layout) {
+    const reset = (reason) => {
+      layout.name = this.object?.name || null;
+      layout.visible = !reason;
+      layout.reason = reason;
+      layout.x = null;
+      layout.y = null;
+      layout.scaleX = 1;
+      layout.scaleY = 1;
+      layout.rotation = 0;
+      layout.matrix = null;
+      layout.zIndex = null;
+      layout.opacity = 0;
+      layout.distance = null;
+      layout.worldX = null;
+      layout.worldY = null;
+      layout.worldZ = null;
+      layout.anchorX = null;
+      layout.anchorY = null;
+      layout.offscreen = false;
+      layout.edgeAngle = null;
+      layout.backface = false;
+      layout.lodIndex = -1;
+      return layout;
+    };
 
-    const domElement = renderer.domElement;
-    const viewportWidth = domElement.clientWidth || domElement.width || 0;
-    const viewportHeight = domElement.clientHeight || domElement.height || 0;
-    if (!viewportWidth || !viewportHeight) {
-      Sorcherer._hideOverlay(this);
-      return;
+    if (!this.object || !camera) return reset('disposed');
+    if (this.hidden) return reset('overlay-hidden');
+    if (!Sorcherer._isVisibleInScene(this.object) || this.manager._isDetached(this)
+      || (this.instanceId !== null && this.object.isInstancedMesh && this.instanceId >= this.object.count)) {
+      return reset('hidden');
+    }
+    if (!this.anchorPoint && camera.layers && this.object.layers && !camera.layers.test(this.object.layers)) {
+      return reset('layers');
     }
 
-    const objectWorldPos = Sorcherer._tempWorldPos;
-    this.object.getWorldPosition(objectWorldPos);
-    if (this.offset) objectWorldPos.add(this.offset);
+    const viewportWidth = viewport?.width || 0;
+    const viewportHeight = viewport?.height || 0;
+    if (!viewportWidth || !viewportHeight) return reset('no-viewport');
+
+    const basePos = basePosition || this._getAnchorBasePosition(Sorcherer._tempBasePos);
+    if (frustum && this.offscreen !== 'edge' && !frustum.containsPoint(basePos)) return reset('culled');
+    const objectWorldPos = this._getAnchorWorldPosition(Sorcherer._tempWorldPos, basePos);
 
     let distance = camera.position.distanceTo(objectWorldPos);
     if (!Number.isFinite(distance) || distance <= 0) distance = 0.0001;
 
+    const opacity = this._computeLodOpacity(distance);
+    if (opacity <= 0) return reset('out-of-range');
+
     const projectedPos = Sorcherer._tempProjectedPos;
     projectedPos.copy(objectWorldPos).project(camera);
 
+    // Anchors behind the camera project mirrored through the centre of the screen.
+    const viewPos = Sorcherer._tempViewPos.copy(objectWorldPos).applyMatrix4(camera.matrixWorldInverse);
+    const behind = viewPos.z >= 0;
+    if (behind && this.offscreen !== 'edge') return reset('behind-camera');
+
+    reset(null);
+    layout.opacity = opacity;
+    layout.distance = distance;
+    layout.worldX = objectWorldPos.x;
+    layout.worldY = objectWorldPos.y;
+    layout.worldZ = objectWorldPos.z;
+    layout.lodIndex = this._selectLodIndex(distance);
+    layout.zIndex = Math.round(1000 / distance);
+
     const widthHalf = viewportWidth / 2;
     const heightHalf = viewportHeight / 2;
-    const x = widthHalf * (projectedPos.x + 1);
-    const y = heightHalf * (1 - projectedPos.y);
+    let x = widthHalf * (projectedPos.x + 1);
+    let y = heightHalf * (1 - projectedPos.y);
 
-    let transform = `translate(${x}px, ${y}px)`;
-    if (this.autoCenter) {
-      //Change To Offset Instead Direct Translate.
-      transform += ' translate(-50%, -50%)';
+    const offscreen = this.offscreen === 'edge'
+      && (behind || Math.abs(projectedPos.x) > 1 || Math.abs(projectedPos.y) > 1);
+    if (offscreen) {
+      // Direction from the screen centre in pixels (y down); flipped back for anchors behind the camera.
+      const flip = (behind && !camera.isOrthographicCamera) ? -1 : 1;
+      let dirX = flip * projectedPos.x * widthHalf;
+      let dirY = -flip * projectedPos.y * heightHalf;
+      if (!Number.isFinite(dirX) || !Number.isFinite(dirY) || (dirX === 0 && dirY === 0)) {
+        dirX = 0;
+        dirY = 1;
+      }
+
+      const margin = Number.isFinite(this.edgeMargin) ? Math.max(0, this.edgeMargin) : 0;
+      const limitX = Math.max(0, widthHalf - margin);
+      const limitY = Math.max(0, heightHalf - margin);
+      const t = Math.min(
+        dirX ? limitX / Math.abs(dirX) : Infinity,
+        dirY ? limitY / Math.abs(dirY) : Infinity
+      );
+      x = widthHalf + dirX * t;
+      y = heightHalf + dirY * t;
+      layout.offscreen = true;
+      layout.edgeAngle = Math.atan2(dirY, dirX) * (180 / Math.PI);
+    } else {
+      // The anchor itself, without the offset (where leader lines start).
+      const anchor = Sorcherer._tempLeaderPos.copy(basePos).project(camera);
+      layout.anchorX = widthHalf * (anchor.x + 1);
+      layout.anchorY = heightHalf * (1 - anchor.y);
     }
 
-    if (this.simulate3D) {
+    layout.x = x;
+    layout.y = y;
+
+    if (this.simulate3D && this.orientation !== 'plane') {
       const safeScaleMultiplier = Number.isFinite(this.scaleMultiplier)
         ? this.scaleMultiplier
         : Sorcherer.defaultScaleMultiplier;
@@ -305,88 +4756,127 @@ class Sorcherer {
       if (!Number.isFinite(scaleX) || scaleX <= 0) scaleX = 1;
       if (!Number.isFinite(scaleY) || scaleY <= 0) scaleY = 1;
 
-      transform += ` scale(${scaleX}, ${scaleY})`;
+      // Clamp on the vertical scale and keep the aspect ratio.
+      const clampedY = Math.min(this.maxScale, Math.max(this.minScale, scaleY));
+      if (clampedY !== scaleY) {
+        scaleX *= clampedY / scaleY;
+        scaleY = clampedY;
+      }
+
+      layout.scaleX = scaleX;
+      layout.scaleY = scaleY;
     }
 
-    if (this.simulateRotation) {
-      const angleDeg = (this.object.rotation?.z || 0) * (180 / Math.PI);
-      transform += ` rotate(${angleDeg}deg)`;
+    if (offscreen || this.orientation === 'screen') {
+      if (this.simulateRotation) {
+        layout.rotation = (this.object.rotation?.z || 0) * (180 / Math.PI);
+      }
+    } else {
+      this._orient(camera, objectWorldPos, widthHalf, heightHalf, layout);
     }
 
-    this._parentSpan.style.transform = transform;
-    this._parentSpan.style.zIndex = Math.round(1000 / distance).toString();
-    this._parentSpan.style.display = 'block';
+    // Shift from the viewport into the container (sub-viewports of a split canvas).
+    const originX = viewport.x || 0;
+    const originY = viewport.y || 0;
+    if (originX || originY) {
+      layout.x += originX;
+      layout.y += originY;
+      if (layout.anchorX !== null) {
+        layout.anchorX += originX;
+        layout.anchorY += originY;
+      }
+      const matrix = layout.matrix;
+      if (matrix) {
+        // Homogeneous columns: the translation is scaled by each column's w.
+        for (const column of [0, 4, 12]) {
+          matrix[column] += originX * matrix[column + 3];
+          matrix[column + 1] += originY * matrix[column + 3];
+        }
+      }
+    }
+
+    // Plugins may adjust the result in place or return the fields to replace.
+    for (const result of this._runPlugins('computeTransform', layout, camera)) {
+      if (result && typeof result === 'object' && result !== layout) Object.assign(layout, result);
+    }
+    return layout;
   }
 
   /**
-   * Updates all overlays based on the active camera and renderer.
-   * Performs frustum culling.
-   * @param {THREE.Camera} camera - The active camera.
-   * @param {THREE.Renderer} renderer - The active renderer.
+   * Applies a layout from _computeLayout() to the overlay element and state.
+   * @param {Object} layout
+   * @returns {boolean} Whether the overlay is positioned (false when it was hidden).
    */
-  static bufferAll(camera, renderer) {
-    if (!camera || !renderer) return;
-    Sorcherer.ensureContainerAttached();
-
-    Sorcherer.matrix.multiplyMatrices(camera.projectionMatrix, camera.matrixWorldInverse);
-    Sorcherer.frustum.setFromProjectionMatrix(Sorcherer.matrix);
+  _applyLayout(layout) {
+    if (!layout.visible) {
+      if (layout.reason === 'behind-camera') this._setOffscreen(false);
+      Sorcherer._hideOverlay(this);
+      return false;
+    }
 
-    for (const element of Sorcherer.allLoadedElements) {
-      if (!element.object) {
-        Sorcherer._hideOverlay(element);
-        continue;
+    if (layout.opacity !== this._opacity) {
+      this._opacity = layout.opacity;
+      const style = this._parentSpan.style;
+      if (typeof style.setProperty === 'function') {
+        if (layout.opacity < 1) {
+          style.setProperty('--sorcherer-opacity', String(layout.opacity));
+        } else {
+          style.removeProperty('--sorcherer-opacity');
+        }
       }
+    }
+    this._applyLodIndex(layout.lodIndex);
 
-      const worldPos = Sorcherer._tempFrustumPos;
-      element.object.getWorldPosition(worldPos);
-      if (Sorcherer.frustum.containsPoint(worldPos)) {
-        element.bufferInstance(camera, renderer);
-      } else {
-        Sorcherer._hideOverlay(element);
-      }
+    this._setOffscreen(layout.offscreen, layout.edgeAngle);
+    if (!layout.offscreen) {
+      this._anchorScreen.x = layout.anchorX;
+      this._anchorScreen.y = layout.anchorY;
     }
+    if (layout.backface !== this.isBackface) this._setBackface(layout.backface);
+    if (this.orientation === 'billboard-roll' && !layout.offscreen) this._rollAngle = layout.rotation;
+
+    const current = this._layout;
+    current.x = layout.x;
+    current.y = layout.y;
+    current.scaleX = layout.scaleX;
+    current.scaleY = layout.scaleY;
+    current.rotation = layout.rotation;
+    current.matrix = layout.matrix;
+
+    this._updateMotion();
+    this._writeTransform();
+    this._updateLiveVars(layout.distance, Sorcherer._tempWorldPos.set(layout.worldX, layout.worldY, layout.worldZ));
+    const zIndex = String(layout.zIndex);
+    if (this._parentSpan.style.zIndex !== zIndex) this._parentSpan.style.zIndex = zIndex;
+    Sorcherer._setDisplay(this, (this.isOccluded && this.occlude === 'hide') ? 'none' : 'block');
+    return true;
+  }
+
+  /**
+   * Updates all overlays of the default manager based on the active camera and renderer.
+   * Performs frustum culling and (for instances with `occlude` set) occlusion testing.
+   * @param {THREE.Camera} camera - The active camera.
+   * @param {THREE.Renderer} renderer - The active renderer.
+   * @param {{x: number, y: number, width: number, height: number}|THREE.Vector4} [viewport] - Part of the canvas
+   *   the camera renders to (see SorchererManager#bufferAll()).
+   */
+  static bufferAll(camera, renderer, viewport) {
+    Sorcherer.defaultManager.bufferAll(camera, renderer, viewport);
   }
 
   /**
-   * Starts the auto-update loop.
+   * Starts the default manager's auto-update loop, or rebinds it when it is
+   * already running with another camera/renderer.
    * @param {THREE.Camera} camera - The active camera.
    * @param {THREE.Renderer} renderer - The active renderer.
    * @param {number} [interval=16] - Minimum milliseconds between updates.
    */
   static autoSetup(camera, renderer, interval = 16) {
-    if (Sorcherer.autoUpdateRunning || !camera || !renderer) return;
-    Sorcherer.autoUpdateRunning = true;
-
-    const tickInterval = Number.isFinite(interval) ? Math.max(0, interval) : 16;
-    const useRaf = (typeof requestAnimationFrame === 'function');
-
-    if (useRaf) {
-      let lastTime = 0;
-      const loop = (time) => {
-        if (!Sorcherer.autoUpdateRunning) return;
-        if (!lastTime || time - lastTime >= tickInterval) {
-          lastTime = time;
-          Sorcherer.bufferAll(camera, renderer);
-        }
-        requestAnimationFrame(loop);
-      };
-      requestAnimationFrame(loop);
-    } else {
-      const loop = () => {
-        if (!Sorcherer.autoUpdateRunning) return;
-        Sorcherer.bufferAll(camera, renderer);
-        Sorcherer._timeoutHandle = setTimeout(loop, tickInterval);
-      };
-      loop();
-    }
+    Sorcherer.defaultManager.autoSetup(camera, renderer, interval);
   }
 
   static stopAutoSetup() {
-    Sorcherer.autoUpdateRunning = false;
-    if (Sorcherer._timeoutHandle) {
-      clearTimeout(Sorcherer._timeoutHandle);
-      Sorcherer._timeoutHandle = null;
-    }
+    Sorcherer.defaultManager.stopAutoSetup();
   }
 
   /**
@@ -395,33 +4885,196 @@ class Sorcherer {
   dispose() {
     if (this._disposed) return;
     this._disposed = true;
+    this._runPlugins('onDispose');
+
+    if (this._pendingVarsHandle !== null && typeof cancelAnimationFrame === 'function') {
+      cancelAnimationFrame(this._pendingVarsHandle);
+    }
+    this._pendingVarsHandle = null;
+    this._pendingVarNames.clear();
+    this._hoverSources.clear();
+    this.isHovered = false;
+
+    const span = this._parentSpan;
+    const fadeOut = this.isVisible && this._animatesTransitions();
+    this._cancelEnter();
+    if (this._leaveTimer !== null) {
+      clearTimeout(this._leaveTimer);
+      this._leaveTimer = null;
+    }
+    if (this.isVisible) {
+      this.isVisible = false;
+      this._emit('leave', { originalEvent: null });
+    }
+    this._motion = null;
 
     const object = this.object;
     if (object && this._removedListener && typeof object.removeEventListener === 'function') {
       object.removeEventListener('removed', this._removedListener);
     }
 
-    if (this._parentSpan.parentElement) {
-      this._parentSpan.parentElement.removeChild(this._parentSpan);
+    // With transitions the element is only removed once its leave transition has finished.
+    const removeSpan = () => {
+      if (span.parentElement) span.parentElement.removeChild(span);
+    };
+    let duration = 0;
+    if (fadeOut) {
+      span.classList.add('sorcherer-leaving');
+      duration = Sorcherer._transitionDuration(span);
     }
-
-    Sorcherer.allLoadedElements.delete(this);
-    if (object && object.name && Sorcherer.instancesById[object.name] === this) {
-      delete Sorcherer.instancesById[object.name];
+    if (duration) {
+      setTimeout(removeSpan, duration);
+    } else {
+      removeSpan();
     }
+    this._removeLeader();
+    this._trimViews(0);
+
+    this.manager.allLoadedElements.delete(this);
+    this.manager._detachedOverlays.delete(this);
+    this.manager._unregisterOverlay(this);
 
     this._removedListener = null;
     this.object = null;
   }
 
   /**
-   * Registers a Three.js Object3D using its name as the key.
+   * Adds a plugin to this overlay (see Sorcherer.registerPlugin()). Its onCreate hook does
+   * not run, as the overlay already exists.
+   * @param {Object|string} plugin - Plugin object, or the name of a registered plugin.
+   * @returns {() => void} Removes the plugin again.
+   */
+  use(plugin) {
+    const [resolved] = Sorcherer._resolvePlugins([plugin]);
+    if (!resolved) return () => {};
+    if (!this.plugins.includes(resolved)) this.plugins.push(resolved);
+    this.invalidate();
+    return () => {
+      this.plugins = this.plugins.filter((candidate) => candidate !== resolved);
+      this.invalidate();
+    };
+  }
+
+  /**
+   * Calls `hook` on the global plugins, then on this overlay's own, with the overlay
+   * followed by `args`.
+   * @param {string} hook - One of Sorcherer.pluginHooks.
+   * @returns {Array} What each implementation returned.
+   */
+  _runPlugins(hook, ...args) {
+    const global = Sorcherer._globalPlugins;
+    if (!global.length && !this.plugins.length) return [];
+    const results = [];
+    for (const plugin of new Set([...global, ...this.plugins])) {
+      if (typeof plugin[hook] === 'function') results.push(plugin[hook](this, ...args));
+    }
+    return results;
+  }
+
+  /**
+   * Registers a plugin under a name, so the `plugins` option, realm attribute and serialized
+   * overlays can refer to it. A plugin is an object implementing any of Sorcherer.pluginHooks;
+   * each hook receives the overlay first:
+   * - onCreate(instance): the overlay was constructed.
+   * - onAttach(instance, template): attach() rendered a template.
+   * - beforeBuffer(instance, camera): an update is about to run; returning false hides the overlay.
+   * - computeTransform(instance, layout, camera): the overlay was positioned; change `layout`
+   *   (x, y, scaleX, scaleY, rotation) in place or return the fields to replace.
+   * - afterBuffer(instance, layout): an update was applied.
+   * - onCull(instance, reason): the overlay became hidden by culling or its layout (see computeLayout()).
+   * - onDispose(instance): the overlay is being disposed.
+   *
+   * The buffering hooks only run for overlays bufferAll() updates, not for those skipped by
+   * dirtyChecking or deferred by updateBudget.
+   * @param {string} name - Plugin name (letters, digits, underscores and dashes).
+   * @param {Object} plugin
+   */
+  static registerPlugin(name, plugin) {
+    if (!/^[a-zA-Z_][a-zA-Z0-9_-]*$/.test(String(name))) {
+      throw new Error(`[Sorcherer] Invalid plugin name "${name}".`);
+    }
+    if (!plugin || typeof plugin !== 'object') {
+      throw new TypeError(`[Sorcherer] Plugin "${name}" must be an object.`);
+    }
+    Sorcherer.plugins[name] = plugin;
+  }
+
+  /**
+   * Installs a plugin for every overlay, existing and future. Its onCreate hook only runs
+   * for overlays created afterwards. Installing and uninstalling make the next bufferAll()
+   * pass of every manager update all of its overlays.
+   * @param {Object|string} plugin - Plugin object, or the name of a registered plugin.
+   * @returns {() => void} Uninstalls the plugin again.
+   */
+  static use(plugin) {
+    const [resolved] = Sorcherer._resolvePlugins([plugin]);
+    if (!resolved) return () => {};
+    if (!Sorcherer._globalPlugins.includes(resolved)) {
+      Sorcherer._globalPlugins.push(resolved);
+      Sorcherer._pluginsVersion++;
+    }
+    return () => {
+      if (!Sorcherer._globalPlugins.includes(resolved)) return;
+      Sorcherer._globalPlugins = Sorcherer._globalPlugins.filter((candidate) => candidate !== resolved);
+      Sorcherer._pluginsVersion++;
+    };
+  }
+
+  /**
+   * Resolves plugin objects and registered names; unknown names are skipped with a warning.
+   * @param {Iterable<Object|string>|string|null} plugins - A list, or a comma- or space-separated string of names.
+   * @returns {Object[]}
+   */
+  static _resolvePlugins(plugins) {
+    const list = (typeof plugins === 'string') ? [...Sorcherer._parseTags(plugins)] : Array.from(plugins ?? []);
+    const resolved = [];
+    for (const plugin of list) {
+      if (plugin && typeof plugin === 'object') {
+        resolved.push(plugin);
+      } else if (Object.prototype.hasOwnProperty.call(Sorcherer.plugins, plugin)) {
+        resolved.push(Sorcherer.plugins[plugin]);
+      } else {
+        console.warn(`[Sorcherer] Unknown plugin "${plugin}".`);
+      }
+    }
+    return [...new Set(resolved)];
+  }
+
+  static _pluginName(plugin) {
+    return Object.keys(Sorcherer.plugins).find((name) => Sorcherer.plugins[name] === plugin) || null;
+  }
+
+  /**
+   * Registers a template formatter usable as `$varName|name:arg1:arg2$`.
+   * The formatter receives the current value followed by the (string) arguments;
+   * its result is HTML-escaped unless the placeholder also uses `raw`.
+   * @param {string} name - Formatter name (letters, digits and underscores).
+   * @param {(value: *, ...args: string[]) => *} formatter
+   */
+  static registerFormatter(name, formatter) {
+    if (!/^[a-zA-Z_][a-zA-Z0-9_]*$/.test(String(name)) || name === 'raw') {
+      throw new Error(`[Sorcherer] Invalid formatter name "${name}".`);
+    }
+    if (typeof formatter !== 'function') {
+      throw new TypeError(`[Sorcherer] Formatter "${name}" must be a function.`);
+    }
+    SorchererTemplate.formatters[name] = formatter;
+  }
+
+  /**
+   * Registers a Three.js Object3D with the default manager using its name as the key.
    * @param {THREE.Object3D} object - The object to register.
    */
   static registerObject3D(object) {
-    if (object && object.name) {
-      Sorcherer.objectRegistry.set(object.name, object);
-    }
+    Sorcherer.defaultManager.registerObject3D(object);
+  }
+
+  /**
+   * Removes an object from the default manager's registry.
+   * @param {THREE.Object3D} object - The object to unregister.
+   */
+  static unregisterObject3D(object) {
+    Sorcherer.defaultManager.unregisterObject3D(object);
   }
 
   /**
@@ -429,12 +5082,61 @@ class Sorcherer {
    * @param {THREE.Object3D} scene - Root to traverse.
    */
   static registerScene(scene) {
-    if (!scene || typeof scene.traverse !== 'function') return;
-    scene.traverse((obj) => {
-      if (obj && obj.name) {
-        Sorcherer.registerObject3D(obj);
-      }
-    });
+    Sorcherer.defaultManager.registerScene(scene);
+  }
+
+  /**
+   * Puts the default manager in live mode (see SorchererManager#watch()).
+   * @param {THREE.Object3D} [scene] - Root whose named descendants are registered and tracked.
+   * @param {Object} [options]
+   * @param {Document|Element} [options.root=document] - Node observed for <realm> changes.
+   * @param {number} [options.sceneSyncInterval=250] - Minimum ms between scene re-scans.
+   */
+  static watch(scene, options) {
+    Sorcherer.defaultManager.watch(scene, options);
+  }
+
+  static unwatch() {
+    Sorcherer.defaultManager.unwatch();
+  }
+
+  /**
+   * Registers a handler for events of every overlay of the default manager (see Sorcherer#on()).
+   * @param {string} type - One of Sorcherer.eventTypes.
+   * @param {(event: Object) => void} handler
+   * @returns {() => void} Function removing the handler again.
+   */
+  static on(type, handler) {
+    return Sorcherer.defaultManager.on(type, handler);
+  }
+
+  /**
+   * Computes the layout of every overlay of the default manager without touching the DOM
+   * (see SorchererManager#computeLayouts()).
+   * @param {THREE.Camera} [camera] - The camera to project with.
+   * @param {{x?: number, y?: number, width: number, height: number}} [viewport] - Viewport in pixels.
+   * @returns {Map<Sorcherer, Object>}
+   */
+  static computeLayouts(camera, viewport) {
+    return Sorcherer.defaultManager.computeLayouts(camera, viewport);
+  }
+
+  static off(type, handler) {
+    Sorcherer.defaultManager.off(type, handler);
+  }
+
+  /**
+   * Starts raycasting canvas pointer events for the default manager (see SorchererManager#enablePointerTracking()).
+   * @param {Object} [options]
+   * @param {HTMLElement} [options.domElement] - Element receiving the pointer events.
+   * @param {THREE.Camera} [options.camera] - Camera to raycast from.
+   */
+  static enablePointerTracking(options) {
+    Sorcherer.defaultManager.enablePointerTracking(options);
+  }
+
+  static disablePointerTracking() {
+    Sorcherer.defaultManager.disablePointerTracking();
   }
 
   /**
@@ -453,28 +5155,10 @@ class Sorcherer {
    * @param {number} [options.interval=16]  Min ms between updates.
    * @param {boolean} [options.autoAttach=true]  Call attachFromRealm().
    * @param {boolean} [options.autoRegister=true]  Call registerScene().
+   * @param {boolean} [options.live=false]  Call watch() instead, keeping realms and registry live.
    */
   static bootstrap(scene, camera, renderer, options = {}) {
-    const {
-      interval = 16,
-      autoAttach = true,
-      autoRegister = true,
-    } = options;
-
-    if (!camera || !renderer) {
-      console.warn('[Sorcherer] bootstrap() requires a camera and renderer.');
-      return;
-    }
-
-    if (autoRegister) {
-      Sorcherer.registerScene(scene);
-    }
-
-    if (autoAttach && typeof document !== 'undefined') {
-      Sorcherer.attachFromRealm();
-    }
-
-    Sorcherer.autoSetup(camera, renderer, interval);
+    Sorcherer.defaultManager.bootstrap(scene, camera, renderer, options);
   }
 
   /**
@@ -485,80 +5169,282 @@ class Sorcherer {
    * - offset: A comma-separated list (e.g., "0,0.5,0") defining a THREE.Vector3 offset.
    * - autoCenter: "true" centers the overlay relative to its computed position.
    * - scaleMultiplier: A number to multiply the computed scale factor.
+   * - occlude: "hide" or "dim" the overlay while its anchor is behind the manager's occluders.
+   * - priority: A number; higher-priority overlays win when decluttering.
+   * - offscreen: "edge" clamps the overlay to the viewport edge while its anchor is off screen.
+   * - edgeMargin: Distance in pixels kept from the viewport edge in "edge" mode.
+   * - bone: Name of a bone (or descendant) to anchor to.
+   * - instanceId: Index of the InstancedMesh instance to anchor to.
+   * - boxAnchor: Point of the object's bounding box to anchor to (e.g. "top-center").
+   * - offsetSpace: "local" rotates the offset with the anchor.
+   * - minDistance / maxDistance / fadeDistance: Visible distance range and its opacity fade band.
+   * - minScale / maxScale: Clamp for the simulate3D scale.
+   * - leader: "line" or "elbow"; leaderSide: "top", "bottom", "left", "right" or "auto".
+   * - orientation: "screen", "billboard-roll" or "plane".
+   * - smoothing: Time constant in ms for easing towards new positions.
+   * - transitions: "true" runs the sorcherer-entering/sorcherer-leaving classes when shown or hidden.
+   * - tags: Comma-separated tags for query(), e.g. "enemy,quest".
+   * - cluster: "false" to never cluster, or a group name to cluster only within that group.
+   * - plugins: Comma-separated names of plugins registered with Sorcherer.registerPlugin().
+   * - slot: Name of the overlay among several on one object, e.g. idm="cube" slot="health"
+   *   (see Sorcherer.get()). Entries replace only the overlay of the same object and slot.
+   * Child <template maxDistance="…"> elements define distance-keyed template variants.
    * The overlay's content may include dynamic variable placeholders.
+   * Realms with a `manager="name"` attribute are left to the SorchererManager of that name.
+   * Entries are removed from the DOM once attached, unless the manager is in live mode (watch()).
    *
    * @param {Document|Element} [root=document] - Optional root node to search within.
    */
   static attachFromRealm(root) {
-    if (typeof document === 'undefined') return;
+    Sorcherer.defaultManager.attachFromRealm(root);
+  }
 
-    const rootNode = root || document;
-    if (!rootNode || typeof rootNode.querySelectorAll !== 'function') return;
+  /**
+   * Registers the <sorcherer-overlay> custom element. This happens on import wherever custom
+   * elements are supported; call it to use another tag name. The element creates its overlay
+   * when connected and disposes it when disconnected. Its attributes are those of realm entries
+   * in kebab-case (`idm`, `manager`, `offset`, `simulate3d`, `auto-center`, `max-distance`…) and
+   * are applied when they change. Its children are the template, and edits to them are followed.
+   * The `overlay` property holds the element's Sorcherer instance (null while its object is not registered).
+   *
+   * @param {string} [tagName='sorcherer-overlay'] - Custom element name to register.
+   * @returns {CustomElementConstructor|null} The element class, or null without custom element support.
+   */
+  static defineElement(tagName = 'sorcherer-overlay') {
+    if (typeof customElements === 'undefined' || typeof HTMLElement === 'undefined') return null;
+    const existing = customElements.get(tagName);
+    if (existing) return existing;
 
-    const realmElements = rootNode.querySelectorAll('realm');
-    if (!realmElements.length) return;
+    const attributes = ['idm', 'manager', 'offset', 'occlude', 'priority', 'offscreen', 'bone', 'leader',
+      'orientation', 'smoothing', 'transitions', 'tags', 'cluster', 'plugins', 'slot'];
+    for (const [name, kebab] of Object.entries(Sorcherer._elementAttributes)) {
+      attributes.push(kebab, name.toLowerCase());
+    }
 
-    realmElements.forEach((realmElement) => {
-      const elements = realmElement.querySelectorAll('[idm]');
-      elements.forEach((el) => {
-        const idm = el.getAttribute('idm');
-        if (!idm) return;
+    class SorchererOverlayElement extends HTMLElement {
+      static get observedAttributes() { return [...new Set(attributes)]; }
 
-        const object = Sorcherer.objectRegistry.get(idm);
-        if (!object) return;
+      constructor() {
+        super();
+        this._overlay = null;
+        this._contentObserver = null;
+      }
 
-        const simulate3D = Sorcherer._readBooleanAttribute(el, 'simulate3D');
-        const simulateRotation = Sorcherer._readBooleanAttribute(el, 'simulateRotation');
-        const autoCenter = Sorcherer._readBooleanAttribute(el, 'autoCenter');
-        const offset = Sorcherer._parseVector3Attribute(el, 'offset');
-        const scaleMultiplier = Sorcherer._parseNumberAttribute(el, 'scaleMultiplier');
+      get overlay() { return this._overlay; }
 
-        if (object.name && Sorcherer.instancesById[object.name]) {
-          Sorcherer.instancesById[object.name].dispose();
+      connectedCallback() {
+        SorchererManager._overlayElements.add(this);
+        SorchererManager._syncElement(this);
+        if (!this._contentObserver && typeof MutationObserver === 'function') {
+          this._contentObserver = new MutationObserver((records) => {
+            if (records.some((record) => record.type !== 'attributes' || record.target !== this)) {
+              SorchererManager._refreshElementTemplate(this);
+            }
+          });
+          this._contentObserver.observe(this, { childList: true, subtree: true, characterData: true, attributes: true });
         }
+      }
 
-        const instance = new Sorcherer(object, offset, simulate3D, simulateRotation, autoCenter, scaleMultiplier);
-        instance.attach(el.innerHTML);
-        el.remove();
-        if (object.name) {
-          Sorcherer.instancesById[object.name] = instance;
-        }
-      });
+      disconnectedCallback() {
+        SorchererManager._overlayElements.delete(this);
+        this._contentObserver?.disconnect();
+        this._contentObserver = null;
+        // Deferred so that moving the element (disconnect + connect in one task) keeps its overlay.
+        queueMicrotask(() => {
+          if (!this.isConnected) SorchererManager._syncElement(this);
+        });
+      }
 
-      if (realmElement.children.length === 0) {
-        realmElement.remove();
+      attributeChangedCallback() {
+        if (this.isConnected) SorchererManager._syncElement(this);
       }
-    });
+    }
+
+    customElements.define(tagName, SorchererOverlayElement);
+    return SorchererOverlayElement;
+  }
+
+  /**
+   * Finds overlays of the default manager (see SorchererManager#query()).
+   * @param {Object} [criteria] - `tag`, `name`, `slot`, `visible`, `hidden` and/or `filter`.
+   * @returns {SorchererQuery}
+   */
+  static query(criteria) {
+    return Sorcherer.defaultManager.query(criteria);
+  }
+
+  /**
+   * Looks up an overlay of the default manager by object name and slot (see SorchererManager#get()).
+   * @param {string} name - Name of the object.
+   * @param {string|null} [slot=null] - Slot of the overlay (null for the default slot).
+   * @returns {Sorcherer|null}
+   */
+  static get(name, slot) {
+    return Sorcherer.defaultManager.get(name, slot);
+  }
+
+  /**
+   * Returns every overlay of an object in the default manager, by slot (see SorchererManager#slotsOf()).
+   * @param {string} name - Name of the object.
+   * @returns {Map<string|null, Sorcherer>}
+   */
+  static slotsOf(name) {
+    return Sorcherer.defaultManager.slotsOf(name);
+  }
+
+  /**
+   * Disposes every overlay of an object in the default manager (see SorchererManager#disposeObject()).
+   * @param {string} name - Name of the object.
+   */
+  static disposeObject(name) {
+    Sorcherer.defaultManager.disposeObject(name);
+  }
+
+  /**
+   * Serializes the overlays of the default manager (see SorchererManager#toJSON()).
+   * @returns {{version: number, overlays: Object[]}}
+   */
+  static toJSON() {
+    return Sorcherer.defaultManager.toJSON();
+  }
+
+  /**
+   * Creates overlays on the default manager from toJSON() data (see SorchererManager#fromJSON()).
+   * @param {Object|Object[]|string} data
+   * @param {Object} [options]
+   * @param {boolean} [options.skipInvalid=false]
+   * @returns {Sorcherer[]} The created overlays.
+   */
+  static fromJSON(data, options) {
+    return Sorcherer.defaultManager.fromJSON(data, options);
+  }
+
+  /**
+   * Serializes the overlay: its target (`idm`, the object name, or `point`), template,
+   * settings and current dynamic variable values, using the names of the realm attributes.
+   * Settings left at their default are omitted. Load it with Sorcherer.fromJSON().
+   * @returns {Object} Plain, JSON-safe data.
+   */
+  toJSON() {
+    const offset = this.offset || { x: 0, y: 0, z: 0 };
+    const data = {
+      ...(this.anchorPoint ? { point: this.anchorPoint.toArray() } : { idm: this.object?.name || null }),
+      template: this.lodTemplates ? this.lodTemplates[0].template : this.template,
+      offset: [offset.x, offset.y, offset.z],
+      simulate3D: Boolean(this.simulate3D),
+      simulateRotation: Boolean(this.simulateRotation),
+      autoCenter: Boolean(this.autoCenter),
+      scaleMultiplier: this.scaleMultiplier
+    };
+
+    const settings = {
+      occlude: this.occlude,
+      priority: this.priority,
+      offscreen: this.offscreen,
+      edgeMargin: this.edgeMargin,
+      bone: this.bone,
+      instanceId: this.instanceId,
+      boxAnchor: this.boxAnchor ? this.boxAnchor.toArray() : null,
+      offsetSpace: this.offsetSpace,
+      minDistance: this.minDistance,
+      maxDistance: this.maxDistance,
+      fadeDistance: this.fadeDistance,
+      minScale: this.minScale,
+      maxScale: this.maxScale,
+      lodTemplates: this.lodTemplates
+        ? this.lodTemplates.map(({ maxDistance, template }) => (
+          Number.isFinite(maxDistance) ? { maxDistance, template } : { template }
+        ))
+        : null,
+      leader: this.leader,
+      leaderSide: this.leaderSide,
+      orientation: this.orientation,
+      smoothing: this.smoothing,
+      transitions: this.transitions,
+      cluster: this.cluster,
+      slot: this.slot
+    };
+    for (const [key, value] of Object.entries(settings)) {
+      if (!Object.is(value, Sorcherer._jsonDefaults[key])) data[key] = value;
+    }
+    if (this.tags.size) data.tags = [...this.tags];
+    // Only registered plugins can be referred to by name.
+    const plugins = this.plugins.map((plugin) => Sorcherer._pluginName(plugin)).filter(Boolean);
+    if (plugins.length) data.plugins = plugins;
+
+    data.dynamicVars = { ...this.dynamicVars };
+    return data;
   }
 
   /**
    * Clones the current overlay instance and attaches the clone to the specified Object3D.
+   * One overlay of each other slot of this overlay's object (see Sorcherer.get()) is cloned
+   * along, so the target gets the same set of overlays.
    * @param {THREE.Object3D} targetObject - The target Object3D to attach the clone.
    * @param {string} newName - The new name for the cloned overlay (and the target Object3D).
    * @returns {Sorcherer} The cloned overlay instance.
    */
   attachClone(targetObject, newName) {
+    // Registering two clones in one slot would dispose the first, so other slots only.
+    const siblings = new Map();
+    for (const instance of this.manager.allLoadedElements) {
+      if (!this.object || instance.object !== this.object || instance.slot === this.slot) continue;
+      if (!siblings.has(instance.slot)) siblings.set(instance.slot, instance);
+    }
+    if (newName) targetObject.name = newName;
+    const clone = this._cloneTo(targetObject);
+    const clones = [...siblings.values()].map((sibling) => sibling._cloneTo(targetObject));
+    if (newName) {
+      for (const instance of [...clones, clone]) this.manager._registerOverlay(instance);
+    }
+    return clone;
+  }
+
+  _cloneTo(targetObject) {
     const clone = new Sorcherer(
       targetObject,
       (this.offset && typeof this.offset.clone === 'function') ? this.offset.clone() : this.offset,
       this.simulate3D,
       this.simulateRotation,
       this.autoCenter,
-      this.scaleMultiplier
+      this.scaleMultiplier,
+      {
+        occlude: this.occlude,
+        occluders: this.occluders,
+        priority: this.priority,
+        offscreen: this.offscreen,
+        edgeMargin: this.edgeMargin,
+        bone: this.bone,
+        instanceId: this.instanceId,
+        boxAnchor: this.boxAnchor,
+        offsetSpace: this.offsetSpace,
+        minDistance: this.minDistance,
+        maxDistance: this.maxDistance,
+        fadeDistance: this.fadeDistance,
+        minScale: this.minScale,
+        maxScale: this.maxScale,
+        lodTemplates: this.lodTemplates,
+        leader: this.leader,
+        leaderSide: this.leaderSide,
+        orientation: this.orientation,
+        smoothing: this.smoothing,
+        transitions: this.transitions,
+        tags: this.tags,
+        cluster: this.cluster,
+        plugins: this.plugins,
+        slot: this.slot,
+        manager: this.manager
+      }
     );
 
     clone.attach(this.template);
     for (const [key, value] of Object.entries(this.dynamicVars)) {
       clone.setDynamicVar(key, value);
     }
-
-    if (newName) {
-      targetObject.name = newName;
-      Sorcherer.instancesById[newName] = clone;
-    }
-
     return clone;
   }
 }
 
-export { Sorcherer };
+Sorcherer.defineElement();
+
+export { Sorcherer, SorchererManager };
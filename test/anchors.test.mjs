@@ -0,0 +1,94 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { BoxGeometry, InstancedMesh, Matrix4, Mesh, MeshBasicMaterial, Object3D, Scene, Vector3 } from 'three';
+import { Sorcherer, SorchererManager, makeCamera } from './helpers.mjs';
+
+const viewport = { width: 200, height: 100 };
+
+function worldOf(layout) {
+  return [layout.worldX, layout.worldY, layout.worldZ].map((value) => Math.round(value * 1000) / 1000);
+}
+
+function create(target, offset, options) {
+  return new Sorcherer(target, offset, false, false, false, undefined, { manager: new SorchererManager(), ...options });
+}
+
+test('pins an overlay to a world point and follows the vector', () => {
+  const point = new Vector3(1, 2, -10);
+  const overlay = create(point);
+  assert.deepEqual(worldOf(overlay.computeLayout(makeCamera(), viewport)), [1, 2, -10]);
+  point.y = 3;
+  assert.deepEqual(worldOf(overlay.computeLayout(makeCamera(), viewport)), [1, 3, -10]);
+  overlay.manager.dispose();
+});
+
+test('anchors to a named bone in the hierarchy', () => {
+  const character = new Object3D();
+  character.position.z = -10;
+  const head = new Object3D();
+  head.name = 'Head';
+  head.position.y = 1.5;
+  character.add(head);
+  character.updateMatrixWorld(true);
+
+  const overlay = create(character, undefined, { bone: 'Head' });
+  assert.deepEqual(worldOf(overlay.computeLayout(makeCamera(), viewport)), [0, 1.5, -10]);
+  overlay.manager.dispose();
+});
+
+test('anchors to one InstancedMesh instance and hides instances past count', () => {
+  const crates = new InstancedMesh(new BoxGeometry(), new MeshBasicMaterial(), 3);
+  for (let i = 0; i < 3; i++) crates.setMatrixAt(i, new Matrix4().makeTranslation(i * 2, 0, -10));
+  crates.updateMatrixWorld();
+
+  const overlay = create(crates, undefined, { instanceId: 2 });
+  assert.deepEqual(worldOf(overlay.computeLayout(makeCamera(), viewport)), [4, 0, -10]);
+  crates.count = 2;
+  assert.equal(overlay.computeLayout(makeCamera(), viewport).reason, 'hidden');
+  overlay.manager.dispose();
+});
+
+test('anchors to a point of the world bounding box', () => {
+  const scene = new Scene();
+  const tree = new Mesh(new BoxGeometry(2, 4, 2), new MeshBasicMaterial());
+  tree.position.set(1, 0, -10);
+  scene.add(tree);
+  scene.updateMatrixWorld(true);
+
+  const top = create(tree, new Vector3(0, 0.5, 0), { boxAnchor: 'top-center' });
+  assert.deepEqual(worldOf(top.computeLayout(makeCamera(), viewport)), [1, 2.5, -10]);
+  const corner = create(tree, undefined, { boxAnchor: '0,0,1' });
+  assert.deepEqual(worldOf(corner.computeLayout(makeCamera(), viewport)), [0, -2, -9]);
+  top.manager.dispose();
+  corner.manager.dispose();
+});
+
+test('uses the instance bounding box with boxAnchor and instanceId', () => {
+  const crates = new InstancedMesh(new BoxGeometry(2, 2, 2), new MeshBasicMaterial(), 2);
+  crates.setMatrixAt(0, new Matrix4().makeTranslation(-3, 0, -10));
+  crates.setMatrixAt(1, new Matrix4().makeTranslation(3, 0, -10));
+  crates.updateMatrixWorld();
+
+  const overlay = create(crates, undefined, { instanceId: 1, boxAnchor: 'top' });
+  assert.deepEqual(worldOf(overlay.computeLayout(makeCamera(), viewport)), [3, 1, -10]);
+  overlay.manager.dispose();
+});
+
+test('ignores boxAnchor with a warning when a bone is set', (t) => {
+  const warn = t.mock.method(console, 'warn', () => {});
+  const character = new Object3D();
+  const overlay = create(character, undefined, { bone: 'Head', boxAnchor: 'top' });
+  assert.equal(warn.mock.callCount(), 1);
+  overlay.manager.dispose();
+});
+
+test('applies a local-space offset in the anchor frame', () => {
+  const turret = new Object3D();
+  turret.position.z = -10;
+  turret.rotation.y = Math.PI / 2;
+  turret.updateMatrixWorld();
+
+  const overlay = create(turret, new Vector3(0, 0, -1), { offsetSpace: 'local' });
+  assert.deepEqual(worldOf(overlay.computeLayout(makeCamera(), viewport)), [-1, 0, -10]);
+  overlay.manager.dispose();
+});
@@ -0,0 +1,94 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { ArrayCamera, Object3D, PerspectiveCamera, Vector4 } from 'three';
+import { Sorcherer, SorchererManager, fakeRenderer } from './helpers.mjs';
+
+function eyes() {
+  const cameras = [0, 1].map((index) => {
+    const eye = new PerspectiveCamera(50, 1, 0.1, 1000);
+    eye.viewport = new Vector4(index * 100, 0, 100, 100);
+    eye.updateMatrixWorld();
+    return eye;
+  });
+  return new ArrayCamera(cameras);
+}
+
+function setup(options = {}) {
+  const manager = new SorchererManager();
+  const object = new Object3D();
+  object.position.z = -10;
+  object.updateMatrixWorld();
+  const overlay = new Sorcherer(object, undefined, false, false, false, undefined, { manager, ...options });
+  overlay.attach('$n=1$');
+  return { manager, overlay, pass: (camera = eyes()) => manager.bufferAll(camera, fakeRenderer(200, 100)) };
+}
+
+function translate(element) {
+  return /translate\(([-\d.]+)px, ([-\d.]+)px\)/.exec(element.style.transform).slice(1).map(Number);
+}
+
+test('duplicates overlays into the other sub-camera viewports', () => {
+  const { manager, overlay, pass } = setup();
+  pass();
+  assert.deepEqual(translate(overlay.element), [50, 50]);
+  const mirrors = manager.container.querySelectorAll('.sorcherer-view');
+  assert.equal(mirrors.length, 1);
+  assert.deepEqual(translate(mirrors[0]), [150, 50]);
+  assert.equal(mirrors[0].textContent, '1');
+
+  overlay.setDynamicVar('n', 2);
+  pass();
+  assert.equal(mirrors[0].textContent, '2');
+  manager.dispose();
+});
+
+test('shows overlays only in the primary view in primary mode', () => {
+  const { manager, overlay, pass } = setup();
+  manager.arrayCameraMode = 'primary';
+  manager.primaryView = 1;
+  pass();
+  assert.deepEqual(translate(overlay.element), [150, 50]);
+  assert.equal(manager.container.querySelectorAll('.sorcherer-view').length, 0);
+  manager.dispose();
+});
+
+test('removes mirror spans when a plain camera is used again', () => {
+  const { manager, overlay, pass } = setup();
+  pass();
+  assert.equal(manager.container.querySelectorAll('.sorcherer-view').length, 1);
+  const camera = new PerspectiveCamera(50, 2, 0.1, 1000);
+  camera.updateMatrixWorld();
+  pass(camera);
+  assert.equal(manager.container.querySelectorAll('.sorcherer-view').length, 0);
+  overlay.dispose();
+  manager.dispose();
+});
+
+test('runs computeTransform per view and the other hooks once per pass', () => {
+  const calls = [];
+  const { manager, pass } = setup({
+    plugins: [{
+      beforeBuffer: () => { calls.push('beforeBuffer'); },
+      computeTransform: (instance, layout, camera) => { calls.push(`computeTransform:${camera.viewport.x}`); },
+      afterBuffer: () => { calls.push('afterBuffer'); }
+    }]
+  });
+  pass();
+  assert.deepEqual(calls, ['beforeBuffer', 'computeTransform:0', 'afterBuffer', 'computeTransform:100']);
+  manager.dispose();
+});
+
+test('hides the mirrors of an overlay vetoed by a plugin', () => {
+  let allow = true;
+  const { manager, overlay, pass } = setup({ plugins: [{ beforeBuffer: () => allow }] });
+  pass();
+  const mirror = manager.container.querySelector('.sorcherer-view');
+  assert.notEqual(mirror.style.display, 'none');
+
+  allow = false;
+  overlay.invalidate();
+  pass();
+  assert.equal(overlay.element.style.display, 'none');
+  assert.equal(mirror.style.display, 'none');
+  manager.dispose();
+});
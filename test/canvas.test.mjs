@@ -0,0 +1,87 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { Object3D, Vector4 } from 'three';
+import { Sorcherer, SorchererManager, fakeRenderer, makeCamera, setSize } from './helpers.mjs';
+
+function canvasAt(left, top, width, height, cssScale = 1) {
+  const canvas = document.createElement('canvas');
+  document.body.appendChild(canvas);
+  setSize(canvas, width, height);
+  Object.defineProperty(canvas, 'clientWidth', { value: width });
+  Object.defineProperty(canvas, 'clientHeight', { value: height });
+  canvas.getBoundingClientRect = () => ({ left, top, width: width * cssScale, height: height * cssScale });
+  return { domElement: canvas };
+}
+
+function setup(options = {}) {
+  const manager = new SorchererManager();
+  const object = new Object3D();
+  object.position.z = -10;
+  object.updateMatrixWorld();
+  const overlay = new Sorcherer(object, undefined, false, false, false, undefined, { manager, ...options });
+  overlay.attach('x');
+  return { manager, overlay };
+}
+
+function translate(element) {
+  return /translate\(([-\d.]+)px, ([-\d.]+)px\)/.exec(element.style.transform).slice(1).map(Number);
+}
+
+test('moves the container over a canvas that is not at the page origin', () => {
+  const { manager, overlay } = setup();
+  const renderer = canvasAt(40, 30, 200, 100);
+  manager.bufferAll(makeCamera(), renderer);
+  const style = manager.container.style;
+  assert.deepEqual([style.left, style.top, style.width, style.height], ['40px', '30px', '200px', '100px']);
+  assert.deepEqual(translate(overlay.element), [100, 50]);
+  renderer.domElement.remove();
+  manager.dispose();
+});
+
+test('scales positions for a canvas under a CSS transform', () => {
+  const { manager, overlay } = setup();
+  const renderer = canvasAt(0, 0, 200, 100, 0.5);
+  manager.bufferAll(makeCamera(), renderer);
+  assert.equal(manager.container.style.width, '100px');
+  assert.deepEqual(translate(overlay.element), [50, 25]);
+  renderer.domElement.remove();
+  manager.dispose();
+});
+
+test('leaves the container to CSS with trackCanvas = false', () => {
+  const { manager } = setup();
+  manager.trackCanvas = false;
+  const renderer = canvasAt(40, 30, 200, 100);
+  manager.bufferAll(makeCamera(), renderer);
+  assert.equal(manager.container.style.left, '');
+  renderer.domElement.remove();
+  manager.dispose();
+});
+
+test('lays out in a sub-viewport given as a rect or a Vector4', () => {
+  const { manager, overlay } = setup();
+  const renderer = fakeRenderer(400, 100);
+  manager.bufferAll(makeCamera(), renderer, { x: 200, y: 0, width: 200, height: 100 });
+  assert.deepEqual(translate(overlay.element), [300, 50]);
+
+  // Vector4 counts y from the bottom, like renderer.setViewport().
+  manager.bufferAll(makeCamera(4), fakeRenderer(400, 200), new Vector4(0, 0, 200, 50));
+  assert.deepEqual(translate(overlay.element), [100, 175]);
+
+  manager.viewport = { x: 0, y: 0, width: 200, height: 100 };
+  manager.bufferAll(makeCamera(), renderer);
+  assert.deepEqual(translate(overlay.element), [100, 50]);
+  manager.dispose();
+});
+
+test('keeps edge indicators inside the viewport', () => {
+  const { manager, overlay } = setup({ offscreen: 'edge', edgeMargin: 10 });
+  overlay.object.position.set(100, 0, -10);
+  overlay.object.updateMatrixWorld();
+  setSize(overlay.element, 20, 10);
+  manager.bufferAll(makeCamera(), fakeRenderer(400, 100), { x: 200, y: 0, width: 200, height: 100 });
+  const [x] = translate(overlay.element);
+  assert.ok(overlay.isOffscreen);
+  assert.ok(x >= 200 && x <= 400, `${x}`);
+  manager.dispose();
+});
@@ -0,0 +1,91 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { Object3D } from 'three';
+import { Sorcherer, SorchererManager, fakeRenderer, makeCamera } from './helpers.mjs';
+
+function setup(positions, options = {}) {
+  const manager = new SorchererManager();
+  manager.cluster = true;
+  manager.clusterRadius = 40;
+  manager.clusterTemplate = '<b>$count$</b>$#each members$<i>$.name$:$.hp$</i>$/each$';
+  const overlays = positions.map(([x, z = -10], i) => {
+    const object = new Object3D();
+    object.name = `unit-${i}`;
+    object.position.set(x, 0, z);
+    object.updateMatrixWorld();
+    const overlay = new Sorcherer(object, undefined, false, false, false, undefined, { manager, ...options[i] });
+    overlay.attach('$hp=1$');
+    return overlay;
+  });
+  const camera = makeCamera();
+  const pass = () => manager.bufferAll(camera, fakeRenderer());
+  return { manager, overlays, pass, camera };
+}
+
+test('merges overlays that project close together into one badge', () => {
+  const { manager, overlays, pass } = setup([[0], [0.1], [0.2], [8]]);
+  pass();
+  assert.equal(manager.clusters.length, 1);
+  const [cluster] = manager.clusters;
+  assert.equal(cluster.isCluster, true);
+  assert.ok(cluster.element.classList.contains('sorcherer-cluster'));
+  assert.deepEqual(cluster.members, overlays.slice(0, 3));
+  assert.equal(cluster.element.innerHTML.replaceAll('<!---->', ''), '<b>3</b><i>unit-0:1</i><i>unit-1:1</i><i>unit-2:1</i>');
+  assert.ok(overlays.slice(0, 3).every((overlay) => overlay.isClustered && overlay.element.classList.contains('sorcherer-clustered')));
+  assert.equal(overlays[3].isClustered, false);
+  manager.dispose();
+});
+
+test('does not re-render a cluster while its members stay the same', () => {
+  const { manager, pass } = setup([[0], [0.1], [0.2]]);
+  pass();
+  const [cluster] = manager.clusters;
+  const version = cluster._contentVersion;
+  pass();
+  pass();
+  assert.equal(manager.clusters[0], cluster);
+  assert.equal(cluster._contentVersion, version);
+  manager.dispose();
+});
+
+test('the members property cannot be overridden by the template variable', () => {
+  const { manager, overlays, pass } = setup([[0], [0.1]]);
+  pass();
+  const [cluster] = manager.clusters;
+  assert.deepEqual(cluster.members, overlays);
+  assert.equal(cluster.getDynamicVar('members').length, 2);
+  assert.equal(overlays[0].members, null);
+  manager.dispose();
+});
+
+test('only clusters overlays of the same group', () => {
+  const { manager, overlays, pass } = setup([[0], [0.1], [0.2], [0.3]], [{ cluster: 'shops' }, { cluster: 'shops' }, { cluster: false }, {}]);
+  pass();
+  assert.equal(manager.clusters.length, 1);
+  assert.deepEqual(manager.clusters[0].members, overlays.slice(0, 2));
+  assert.equal(manager.clusters[0].getDynamicVar('group'), 'shops');
+  assert.equal(overlays[2].isClustered, false);
+  manager.dispose();
+});
+
+test('clusterMinSize keeps smaller groups separate', () => {
+  const { manager, pass } = setup([[0], [0.1]]);
+  manager.clusterMinSize = 3;
+  pass();
+  assert.equal(manager.clusters.length, 0);
+  manager.dispose();
+});
+
+test('expanding a cluster shows its members until collapseClusters()', () => {
+  const { manager, overlays, pass } = setup([[0], [0.1]]);
+  pass();
+  const [cluster] = manager.clusters;
+  cluster.element.dispatchEvent(new window.MouseEvent('click', { bubbles: true }));
+  pass();
+  assert.equal(manager.clusters.length, 0);
+  assert.ok(overlays.every((overlay) => !overlay.isClustered));
+  manager.collapseClusters();
+  pass();
+  assert.equal(manager.clusters.length, 1);
+  manager.dispose();
+});
@@ -0,0 +1,99 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { Object3D, Vector3 } from 'three';
+import { Sorcherer, SorchererManager, tick } from './helpers.mjs';
+
+function register(name, manager = Sorcherer.defaultManager) {
+  const object = new Object3D();
+  object.name = name;
+  manager.registerObject3D(object);
+  return object;
+}
+
+function mount(html) {
+  const holder = document.createElement('div');
+  holder.innerHTML = html;
+  document.body.appendChild(holder);
+  return holder.firstElementChild;
+}
+
+test('creates the overlay when connected and disposes it when disconnected', async () => {
+  const object = register('el-cube');
+  const el = mount('<sorcherer-overlay idm="el-cube" simulate3d auto-center offset="0,1,0" max-distance="40"><b>$label=Magic$</b></sorcherer-overlay>');
+  const overlay = el.overlay;
+  assert.equal(overlay.object, object);
+  assert.equal(overlay.simulate3D, true);
+  assert.equal(overlay.autoCenter, true);
+  assert.ok(overlay.offset.equals(new Vector3(0, 1, 0)));
+  assert.equal(overlay.maxDistance, 40);
+  assert.equal(overlay.element.textContent, 'Magic');
+
+  el.remove();
+  await tick();
+  assert.equal(overlay._disposed, true);
+  assert.equal(el.overlay, null);
+});
+
+test('keeps the overlay when the element is moved within one task', async () => {
+  register('el-moved');
+  const el = mount('<sorcherer-overlay idm="el-moved">x</sorcherer-overlay>');
+  const overlay = el.overlay;
+  document.body.appendChild(el);
+  await tick();
+  assert.equal(el.overlay, overlay);
+  assert.equal(overlay._disposed, false);
+  el.remove();
+});
+
+test('applies attribute changes and re-creates the overlay for a new idm', async () => {
+  register('el-a');
+  const b = register('el-b');
+  const el = mount('<sorcherer-overlay idm="el-a" occlude>x</sorcherer-overlay>');
+  const overlay = el.overlay;
+  assert.equal(overlay.occlude, 'hide');
+
+  el.setAttribute('simulate-rotation', 'false');
+  el.setAttribute('leader', '');
+  await tick();
+  assert.equal(el.overlay, overlay);
+  assert.equal(overlay.simulateRotation, false);
+  assert.equal(overlay.leader, 'line');
+
+  el.setAttribute('idm', 'el-b');
+  await tick();
+  assert.notEqual(el.overlay, overlay);
+  assert.equal(el.overlay.object, b);
+  assert.equal(overlay._disposed, true);
+  el.remove();
+});
+
+test('follows edits to its children', async () => {
+  register('el-content');
+  const el = mount('<sorcherer-overlay idm="el-content">$n=1$</sorcherer-overlay>');
+  const overlay = el.overlay;
+  overlay.setDynamicVar('n', 7);
+  el.innerHTML = '<i>$n=1$</i>';
+  await tick();
+  assert.equal(el.overlay, overlay);
+  assert.equal(overlay.element.innerHTML, '<i>7</i>');
+  el.remove();
+});
+
+test('waits for its object and its named manager', async () => {
+  const el = mount('<sorcherer-overlay idm="el-late" manager="el-editor">x</sorcherer-overlay>');
+  assert.equal(el.overlay, null);
+  const editor = new SorchererManager({ name: 'el-editor' });
+  register('el-late', editor);
+  await tick();
+  assert.equal(el.overlay?.manager, editor);
+  el.remove();
+  editor.dispose();
+});
+
+test('defineElement() registers another tag name', () => {
+  register('el-custom');
+  Sorcherer.defineElement('my-label');
+  const el = mount('<my-label idm="el-custom">custom</my-label>');
+  assert.equal(el.overlay?.template, 'custom');
+  el.remove();
+});
@@ -0,0 +1,88 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { BoxGeometry, Mesh, MeshBasicMaterial, Object3D, Scene } from 'three';
+import { Sorcherer, SorchererManager, fakeRenderer, makeCamera, setSize } from './helpers.mjs';
+
+function overlayAt(manager, x, z, options = {}) {
+  const object = new Object3D();
+  object.position.set(x, 0, z);
+  object.updateMatrixWorld();
+  const overlay = new Sorcherer(object, undefined, false, false, false, undefined, { manager, ...options });
+  overlay.attach('label');
+  setSize(overlay.element, 20, 10);
+  return overlay;
+}
+
+test('draws anchors, boxes and reasons for the last pass', () => {
+  const manager = new SorchererManager({ name: 'inspected' });
+  manager.debug(true);
+  assert.equal(manager.debugging, true);
+
+  const scene = new Scene();
+  const wall = new Mesh(new BoxGeometry(2, 2, 0.1), new MeshBasicMaterial());
+  wall.position.set(-2, 0, -5);
+  scene.add(wall);
+  scene.updateMatrixWorld(true);
+  manager.occluders = [scene];
+
+  overlayAt(manager, 0, -10);
+  overlayAt(manager, -4, -10, { occlude: 'hide' });
+  overlayAt(manager, 0, 10);
+  manager.bufferAll(makeCamera(), fakeRenderer());
+
+  const layer = manager.container.querySelector('.sorcherer-debug');
+  assert.ok(layer);
+  assert.equal(layer.querySelectorAll('.sorcherer-debug-box').length, 1);
+  assert.equal(layer.querySelectorAll('.sorcherer-debug-anchor').length, 2);
+  assert.equal(layer.querySelectorAll('.sorcherer-debug-anchor.sorcherer-debug-hidden').length, 1);
+  assert.equal(layer.querySelector('.sorcherer-debug-reason').textContent, 'occluded');
+
+  const panel = layer.querySelector('.sorcherer-debug-panel').textContent;
+  assert.match(panel, /^Sorcherer "inspected"/);
+  assert.match(panel, /overlays 3 {2}visible 1 {2}hidden 2/);
+  assert.match(panel, /occluded 1/);
+  assert.match(panel, /culled 1/);
+  assert.match(panel, /bufferAll [\d.]+ ms/);
+  manager.dispose();
+});
+
+test('removes the layer when turned off', () => {
+  const manager = new SorchererManager();
+  overlayAt(manager, 0, -10);
+  manager.debug(true);
+  manager.bufferAll(makeCamera(), fakeRenderer());
+  assert.ok(manager.container.querySelector('.sorcherer-debug'));
+  manager.debug(false);
+  manager.bufferAll(makeCamera(), fakeRenderer());
+  assert.equal(manager.container.querySelector('.sorcherer-debug'), null);
+  manager.dispose();
+});
+
+test('warns once about realm entries that do not resolve or parse', (t) => {
+  const warn = t.mock.method(console, 'warn', () => {});
+  const manager = new SorchererManager();
+  const object = new Object3D();
+  object.name = 'known';
+  manager.registerObject3D(object);
+  document.body.innerHTML = '<realm><div idm="missing">x</div><div idm="known" offset="1,2" priority="high">y</div></realm>';
+  manager.debug(true);
+  assert.equal(warn.mock.callCount(), 2);
+  const messages = warn.mock.calls.map((call) => call.arguments[0]);
+  assert.match(messages[0], /idm="missing".*\n- matches no registered object/);
+  assert.match(messages[1], /idm="known"/);
+  assert.match(messages[1], /offset/);
+  assert.match(messages[1], /priority/);
+
+  manager.attachFromRealm();
+  assert.equal(warn.mock.callCount(), 2);
+  manager.dispose();
+});
+
+test('stays quiet while the inspector is off', (t) => {
+  const warn = t.mock.method(console, 'warn', () => {});
+  const manager = new SorchererManager();
+  document.body.innerHTML = '<realm><div idm="missing">x</div></realm>';
+  manager.attachFromRealm();
+  assert.equal(warn.mock.callCount(), 0);
+  manager.dispose();
+});
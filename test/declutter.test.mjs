@@ -0,0 +1,70 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { Object3D } from 'three';
+import { Sorcherer, SorchererManager, fakeRenderer, makeCamera, setSize } from './helpers.mjs';
+
+// Two overlays whose anchors project to the same pixel.
+function overlapping(manager, options = [{}, {}]) {
+  return options.map((extra, index) => {
+    const object = new Object3D();
+    object.position.z = -10;
+    object.updateMatrixWorld();
+    const overlay = new Sorcherer(object, undefined, false, false, false, undefined, { manager, ...extra });
+    overlay.attach(`label ${index}`);
+    setSize(overlay.element, 40, 10);
+    return overlay;
+  });
+}
+
+test('leaves overlapping labels alone while declutter is off', () => {
+  const manager = new SorchererManager();
+  const [a, b] = overlapping(manager);
+  manager.bufferAll(makeCamera(), fakeRenderer());
+  assert.equal(a.isDecluttered, false);
+  assert.equal(b.isDecluttered, false);
+  manager.dispose();
+});
+
+test('hide mode hides the later of two overlapping labels', () => {
+  const manager = new SorchererManager();
+  manager.declutter = 'hide';
+  const [a, b] = overlapping(manager);
+  manager.bufferAll(makeCamera(), fakeRenderer());
+  assert.equal(a.isDecluttered, false);
+  assert.equal(b.isDecluttered, true);
+  assert.ok(b.element.classList.contains('sorcherer-decluttered'));
+  assert.equal(b.element.style.display, 'none');
+  manager.dispose();
+});
+
+test('priority decides which label stays', () => {
+  const manager = new SorchererManager();
+  manager.declutter = 'hide';
+  const [a, b] = overlapping(manager, [{}, { priority: 5 }]);
+  manager.bufferAll(makeCamera(), fakeRenderer());
+  assert.equal(a.isDecluttered, true);
+  assert.equal(b.isDecluttered, false);
+  manager.dispose();
+});
+
+test('nudge mode shifts the colliding label vertically', () => {
+  const manager = new SorchererManager();
+  manager.declutter = 'nudge';
+  manager.declutterSmoothing = 1;
+  const [a, b] = overlapping(manager);
+  manager.bufferAll(makeCamera(), fakeRenderer());
+  assert.equal(a._declutterOffsetY, 0);
+  assert.equal(b.isDecluttered, false);
+  assert.ok(Math.abs(b._declutterOffsetY) >= 10);
+  manager.dispose();
+});
+
+test('nudge mode hides labels that would move beyond declutterMaxShift', () => {
+  const manager = new SorchererManager();
+  manager.declutter = 'nudge';
+  manager.declutterMaxShift = 2;
+  const [, b] = overlapping(manager);
+  manager.bufferAll(makeCamera(), fakeRenderer());
+  assert.equal(b.isDecluttered, true);
+  manager.dispose();
+});
@@ -0,0 +1,62 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { Object3D } from 'three';
+import { Sorcherer, SorchererManager, fakeRenderer, makeCamera } from './helpers.mjs';
+
+function overlayAt(manager, x, z, options = {}) {
+  const object = new Object3D();
+  object.position.set(x, 0, z);
+  object.updateMatrixWorld();
+  const overlay = new Sorcherer(object, undefined, false, false, false, undefined, { manager, ...options });
+  overlay.attach('label');
+  return overlay;
+}
+
+test('hides off-screen overlays by default', () => {
+  const manager = new SorchererManager();
+  const overlay = overlayAt(manager, 100, -10);
+  manager.bufferAll(makeCamera(), fakeRenderer());
+  assert.equal(overlay.element.style.display, 'none');
+  assert.equal(overlay.isOffscreen, false);
+  manager.dispose();
+});
+
+test('clamps edge overlays to the viewport edge and points at the anchor', () => {
+  const manager = new SorchererManager();
+  const overlay = overlayAt(manager, 100, -10, { offscreen: 'edge', edgeMargin: 10 });
+  manager.bufferAll(makeCamera(), fakeRenderer(200, 100));
+  assert.notEqual(overlay.element.style.display, 'none');
+  assert.equal(overlay.isOffscreen, true);
+  assert.ok(overlay.element.classList.contains('sorcherer-offscreen'));
+  assert.equal(Math.abs(Math.round(overlay.edgeAngle)), 0);
+  assert.equal(overlay.element.style.getPropertyValue('--sorcherer-edge-angle'), `${overlay.edgeAngle}deg`);
+
+  const layout = overlay.computeLayout(makeCamera(), { width: 200, height: 100 });
+  assert.equal(layout.offscreen, true);
+  assert.equal(layout.x, 190);
+  manager.dispose();
+});
+
+test('points anchors behind the camera the right way', () => {
+  const manager = new SorchererManager();
+  const overlay = overlayAt(manager, -1, 10, { offscreen: 'edge' });
+  const layout = overlay.computeLayout(makeCamera(), { width: 200, height: 100 });
+  assert.equal(layout.visible, true);
+  assert.equal(layout.offscreen, true);
+  assert.ok(layout.x < 100, 'an anchor behind and to the left stays on the left');
+  manager.dispose();
+});
+
+test('leaves the edge state once the anchor is back on screen', () => {
+  const manager = new SorchererManager();
+  const overlay = overlayAt(manager, 100, -10, { offscreen: 'edge' });
+  const camera = makeCamera();
+  manager.bufferAll(camera, fakeRenderer());
+  overlay.object.position.x = 0;
+  overlay.object.updateMatrixWorld();
+  manager.bufferAll(camera, fakeRenderer());
+  assert.equal(overlay.isOffscreen, false);
+  assert.equal(overlay.edgeAngle, null);
+  assert.ok(!overlay.element.classList.contains('sorcherer-offscreen'));
+  manager.dispose();
+});
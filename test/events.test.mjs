@@ -0,0 +1,110 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { BoxGeometry, Mesh, MeshBasicMaterial, Object3D, Scene } from 'three';
+import { Sorcherer, SorchererManager, fakeRenderer, makeCamera } from './helpers.mjs';
+
+function overlayOn(manager, object = new Object3D()) {
+  const overlay = new Sorcherer(object, undefined, false, false, false, undefined, { manager });
+  overlay.attach('label');
+  return overlay;
+}
+
+function pointer(type, x, y) {
+  return new window.MouseEvent(type, { bubbles: true, clientX: x, clientY: y });
+}
+
+test('emits DOM events of the label to overlay and manager handlers', () => {
+  const manager = new SorchererManager();
+  const overlay = overlayOn(manager);
+  const seen = [];
+  const off = overlay.on('click', (event) => seen.push(['overlay', event.source, event.instance === overlay]));
+  manager.on('click', (event) => seen.push(['manager', event.source]));
+  assert.ok(overlay.element.classList.contains('sorcherer-interactive'));
+
+  overlay.element.dispatchEvent(pointer('click', 0, 0));
+  assert.deepEqual(seen, [['overlay', 'overlay', true], ['manager', 'overlay']]);
+  off();
+  overlay.element.dispatchEvent(pointer('click', 0, 0));
+  assert.equal(seen.length, 3);
+  manager.dispose();
+});
+
+test('rejects unknown event types', () => {
+  const overlay = overlayOn(new SorchererManager());
+  assert.throws(() => overlay.on('wheel', () => {}), /Unknown event type/);
+  assert.throws(() => overlay.on('click'), TypeError);
+  overlay.manager.dispose();
+});
+
+test('lifecycle handlers do not make an overlay interactive', () => {
+  const manager = new SorchererManager();
+  const overlay = overlayOn(manager);
+  overlay.on('enter', () => {});
+  assert.equal(overlay.element.classList.contains('sorcherer-interactive'), false);
+  manager.dispose();
+});
+
+test('lets pointer events through the container once handlers are used', () => {
+  const manager = new SorchererManager();
+  const overlay = overlayOn(manager);
+  manager.bufferAll(makeCamera(), fakeRenderer());
+  assert.equal(manager.container.classList.contains('sorcherer-passthrough'), false);
+
+  overlay.on('enter', () => {});
+  assert.equal(manager.container.classList.contains('sorcherer-passthrough'), false);
+  overlay.on('click', () => {});
+  assert.equal(manager.container.classList.contains('sorcherer-passthrough'), true);
+  manager.dispose();
+
+  const empty = new SorchererManager();
+  empty.on('pointerenter', () => {});
+  assert.equal(empty.container.classList.contains('sorcherer-passthrough'), true);
+  empty.dispose();
+});
+
+test('pointer tracking turns passthrough on unless it is set explicitly', () => {
+  const manager = new SorchererManager();
+  manager.renderer = { domElement: document.createElement('canvas') };
+  manager.enablePointerTracking();
+  assert.equal(manager.container.classList.contains('sorcherer-passthrough'), true);
+
+  manager.pointerPassthrough = false;
+  manager.ensureContainerAttached();
+  assert.equal(manager.container.classList.contains('sorcherer-passthrough'), false);
+  manager.dispose();
+
+  const always = new SorchererManager();
+  always.pointerPassthrough = true;
+  always.ensureContainerAttached();
+  assert.equal(always.container.classList.contains('sorcherer-passthrough'), true);
+  always.dispose();
+});
+
+test('raycasts canvas pointer events against overlay objects', () => {
+  const manager = new SorchererManager();
+  const canvas = document.createElement('canvas');
+  canvas.getBoundingClientRect = () => ({ left: 0, top: 0, width: 200, height: 100 });
+  const scene = new Scene();
+  const mesh = new Mesh(new BoxGeometry(2, 2, 2), new MeshBasicMaterial());
+  mesh.position.z = -10;
+  scene.add(mesh);
+  scene.updateMatrixWorld(true);
+  const overlay = overlayOn(manager, mesh);
+  const events = [];
+  overlay.on('pointerenter', (event) => events.push(`${event.type}:${event.source}`));
+  overlay.on('pointerleave', (event) => events.push(`${event.type}:${event.source}`));
+  overlay.on('click', (event) => events.push(`${event.type}:${event.intersection?.object === mesh}`));
+  manager.enablePointerTracking({ domElement: canvas, camera: makeCamera() });
+
+  canvas.dispatchEvent(pointer('pointermove', 100, 50));
+  assert.equal(overlay.isHovered, true);
+  assert.ok(overlay.element.classList.contains('sorcherer-hovered'));
+  canvas.dispatchEvent(pointer('pointerdown', 100, 50));
+  canvas.dispatchEvent(pointer('click', 100, 50));
+  canvas.dispatchEvent(pointer('pointerdown', 100, 50));
+  canvas.dispatchEvent(pointer('click', 140, 50));
+  canvas.dispatchEvent(pointer('pointermove', 5, 5));
+  assert.equal(overlay.isHovered, false);
+  assert.deepEqual(events, ['pointerenter:object', 'click:true', 'pointerleave:object']);
+  manager.dispose();
+});
@@ -0,0 +1,89 @@
+// Runs without jsdom: the library must load and lay out overlays with no document.
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { Object3D, PerspectiveCamera } from 'three';
+import { Sorcherer, SorchererManager } from '../src/sorcherer.js';
+
+const viewport = { width: 1280, height: 720 };
+
+function camera() {
+  const result = new PerspectiveCamera(50, 16 / 9, 0.1, 1000);
+  result.updateMatrixWorld();
+  return result;
+}
+
+function anchor(x, y, z) {
+  const object = new Object3D();
+  object.position.set(x, y, z);
+  object.updateMatrixWorld();
+  return object;
+}
+
+test('loads and creates overlays without a document', () => {
+  assert.equal(typeof document, 'undefined');
+  const overlay = new Sorcherer(anchor(0, 0, -10));
+  overlay.attach('$label=Mesh$');
+  assert.equal(overlay.element.innerHTML, 'Mesh');
+  overlay.dispose();
+});
+
+test('computeLayout() projects the anchor into the viewport', () => {
+  const overlay = new Sorcherer(anchor(0, 0, -10), undefined, true);
+  const layout = overlay.computeLayout(camera(), viewport);
+  assert.equal(layout.visible, true);
+  assert.equal(layout.reason, null);
+  assert.equal(layout.x, 640);
+  assert.equal(layout.y, 360);
+  assert.equal(layout.distance, 10);
+  assert.deepEqual([layout.worldX, layout.worldY, layout.worldZ], [0, 0, -10]);
+  assert.ok(layout.scaleX > 0 && layout.scaleY > 0);
+  overlay.dispose();
+});
+
+test('viewport x and y offset the result', () => {
+  const overlay = new Sorcherer(anchor(0, 0, -10));
+  const layout = overlay.computeLayout(camera(), { x: 100, y: 50, ...viewport });
+  assert.deepEqual([layout.x, layout.y], [740, 410]);
+  overlay.dispose();
+});
+
+test('reports why an overlay is hidden', () => {
+  const manager = new SorchererManager();
+  const create = (object, options) => new Sorcherer(object, undefined, false, false, false, undefined, { manager, ...options });
+  const hidden = create(anchor(0, 0, -10));
+  hidden.hide();
+  const invisible = create(anchor(0, 0, -10));
+  invisible.object.visible = false;
+  const behind = create(anchor(0, 0, 10));
+  const far = create(anchor(0, 0, -10), { maxDistance: 5 });
+
+  assert.equal(hidden.computeLayout(camera(), viewport).reason, 'overlay-hidden');
+  assert.equal(invisible.computeLayout(camera(), viewport).reason, 'hidden');
+  assert.equal(behind.computeLayout(camera(), viewport).reason, 'culled');
+  assert.equal(far.computeLayout(camera(), viewport).reason, 'out-of-range');
+  assert.equal(far.computeLayout(camera(), { width: 0, height: 0 }).reason, 'no-viewport');
+
+  const layouts = manager.computeLayouts(camera(), viewport);
+  assert.equal(layouts.get(behind).reason, 'culled');
+  assert.equal(layouts.get(far).reason, 'out-of-range');
+  assert.equal(layouts.size, 4);
+  manager.dispose();
+});
+
+test('does not change the overlay state', () => {
+  const overlay = new Sorcherer(anchor(0, 0, -10));
+  overlay.computeLayout(camera(), viewport);
+  assert.equal(overlay.isVisible, false);
+  assert.equal(overlay.element.style.transform, undefined);
+  overlay.dispose();
+});
+
+test('computeLayouts() defaults to the manager camera', () => {
+  const overlay = new Sorcherer(anchor(1, 0, -10));
+  Sorcherer.defaultManager.camera = camera();
+  Sorcherer.defaultManager.renderer = { domElement: { width: 1280, height: 720, clientWidth: 1280, clientHeight: 720 } };
+  const layouts = Sorcherer.computeLayouts();
+  assert.equal(layouts.get(overlay).visible, true);
+  assert.ok(layouts.get(overlay).x > 640);
+  overlay.dispose();
+});
@@ -0,0 +1,51 @@
+// Shared setup for the tests: a jsdom window installed as globals before the library loads.
+import { JSDOM } from 'jsdom';
+import { PerspectiveCamera } from 'three';
+
+const dom = new JSDOM('<!doctype html><html><head></head><body></body></html>', { pretendToBeVisual: true });
+for (const key of [
+  'window', 'document', 'Node', 'NodeFilter', 'HTMLElement', 'MutationObserver',
+  'customElements', 'getComputedStyle', 'requestAnimationFrame', 'cancelAnimationFrame'
+]) {
+  globalThis[key] = dom.window[key];
+}
+
+export const { Sorcherer, SorchererManager } = await import('../src/sorcherer.js');
+
+/**
+ * A renderer stand-in: bufferAll() only reads the canvas size.
+ * @param {number} [width=200]
+ * @param {number} [height=100]
+ */
+export function fakeRenderer(width = 200, height = 100) {
+  return { domElement: { width, height, clientWidth: width, clientHeight: height } };
+}
+
+/**
+ * A camera at the origin looking down -Z, with up-to-date matrices.
+ * @param {number} [aspect=2]
+ */
+export function makeCamera(aspect = 2) {
+  const camera = new PerspectiveCamera(50, aspect, 0.1, 1000);
+  camera.updateMatrixWorld();
+  return camera;
+}
+
+/**
+ * Resolves after pending microtasks, mutation records and zero-delay timers have run.
+ * @param {number} [ms=0]
+ */
+export function tick(ms = 0) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+/**
+ * Gives an element a layout size; jsdom does not lay out, so offsetWidth/offsetHeight are 0.
+ * @param {HTMLElement} element
+ * @param {number} width
+ * @param {number} height
+ */
+export function setSize(element, width, height) {
+  Object.defineProperty(element, 'offsetWidth', { configurable: true, get: () => width });
+  Object.defineProperty(element, 'offsetHeight', { configurable: true, get: () => height });
+}
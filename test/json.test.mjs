@@ -0,0 +1,128 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { Object3D, Vector3 } from 'three';
+import { Sorcherer, SorchererManager } from './helpers.mjs';
+
+function setup(...names) {
+  const manager = new SorchererManager();
+  for (const name of names) {
+    const object = new Object3D();
+    object.name = name;
+    manager.registerObject3D(object);
+  }
+  return manager;
+}
+
+test('round-trips overlays through JSON text', () => {
+  const manager = setup('cube');
+  const [overlay] = manager.fromJSON([{ idm: 'cube', template: '$label$', offset: [0, 1, 0], simulate3D: true, occlude: 'dim', tags: 'a b' }]);
+  overlay.setDynamicVar('label', 'Crate');
+  const point = new Sorcherer(new Vector3(1, 2, 3), undefined, false, false, false, undefined, { manager });
+  point.attach('here');
+
+  const saved = JSON.stringify(manager.toJSON());
+  const data = JSON.parse(saved);
+  assert.equal(data.version, 1);
+  assert.deepEqual(data.overlays[0], {
+    idm: 'cube', template: '$label$', offset: [0, 1, 0], simulate3D: true, simulateRotation: false,
+    autoCenter: false, scaleMultiplier: 1, occlude: 'dim', tags: ['a', 'b'], dynamicVars: { label: 'Crate' }
+  });
+  assert.deepEqual(data.overlays[1].point, [1, 2, 3]);
+
+  const copy = setup('cube');
+  const [loaded, pinned] = copy.fromJSON(saved);
+  assert.equal(loaded.element.textContent, 'Crate');
+  assert.equal(loaded.occlude, 'dim');
+  assert.ok(loaded.offset.equals(new Vector3(0, 1, 0)));
+  assert.equal(copy.get('cube'), loaded);
+  assert.ok(pinned.anchorPoint.equals(new Vector3(1, 2, 3)));
+  manager.dispose();
+  copy.dispose();
+});
+
+test('accepts realm attribute strings', () => {
+  const manager = setup('cube');
+  const [overlay] = manager.fromJSON({ overlays: [{ idm: 'cube', template: 'x', offset: '0,1,0', simulate3D: 'true', priority: '12' }] });
+  assert.ok(overlay.offset.equals(new Vector3(0, 1, 0)));
+  assert.equal(overlay.simulate3D, true);
+  assert.equal(overlay.priority, 12);
+  manager.dispose();
+});
+
+test('validates everything before creating anything', () => {
+  const manager = setup('cube');
+  assert.throws(() => manager.fromJSON([
+    { idm: 'cube', template: 'ok' },
+    { idm: 'crate', template: 'x' },
+    { idm: 'cube', offset: '1,2', colour: 'red' }
+  ]), (error) => {
+    assert.deepEqual(error.errors, [
+      'overlays[1].idm: no registered object named "crate".',
+      'overlays[2].offset: expected an "x,y,z" list, [x, y, z] or { x, y, z }, got "1,2".',
+      'overlays[2].colour: unknown field.'
+    ]);
+    return true;
+  });
+  assert.equal(manager.allLoadedElements.size, 0);
+  assert.throws(() => manager.fromJSON('{'), /Invalid overlay data/);
+  assert.throws(() => manager.fromJSON({ version: 2, overlays: [] }), /unsupported version/);
+  manager.dispose();
+});
+
+test('skipInvalid creates the valid entries and warns about the others', (t) => {
+  const warn = t.mock.method(console, 'warn', () => {});
+  const manager = setup('cube');
+  const created = manager.fromJSON([{ idm: 'cube', template: 'ok' }, { idm: 'crate' }], { skipInvalid: true });
+  assert.equal(created.length, 1);
+  assert.equal(warn.mock.callCount(), 1);
+  manager.dispose();
+});
+
+test('rejects two entries for the same idm and slot', (t) => {
+  const manager = setup('cube');
+  assert.throws(() => manager.fromJSON([
+    { idm: 'cube', template: 'first' },
+    { idm: 'cube', template: 'second' },
+    { idm: 'cube', template: 'badge', slot: 'badge' }
+  ]), (error) => {
+    assert.deepEqual(error.errors, ['overlays[1]: same idm and slot as overlays[0]; only one overlay can use a slot.']);
+    return true;
+  });
+
+  t.mock.method(console, 'warn', () => {});
+  const created = manager.fromJSON([
+    { idm: 'cube', template: 'first' },
+    { idm: 'cube', template: 'second' }
+  ], { skipInvalid: true });
+  assert.deepEqual(created.map((overlay) => overlay.template), ['first']);
+  assert.equal(created[0]._disposed, false);
+  manager.dispose();
+});
+
+test('toJSON() saves one entry per object name and slot', (t) => {
+  const warn = t.mock.method(console, 'warn', () => {});
+  const manager = setup('cube');
+  const object = manager.objectRegistry.get('cube');
+  const loose = new Sorcherer(object, undefined, false, false, false, undefined, { manager });
+  loose.attach('unregistered');
+  manager.fromJSON([{ idm: 'cube', template: 'registered' }, { idm: 'cube', template: 'badge', slot: 'badge' }]);
+
+  const { overlays } = manager.toJSON();
+  assert.deepEqual(overlays.map((entry) => [entry.template, entry.slot]), [['registered', undefined], ['badge', 'badge']]);
+  assert.equal(warn.mock.callCount(), 1);
+
+  const copy = setup('cube');
+  assert.equal(copy.fromJSON(overlays).length, 2);
+  manager.dispose();
+  copy.dispose();
+});
+
+test('attachClone() overlays serialize without duplicates', (t) => {
+  t.mock.method(console, 'warn', () => {});
+  const manager = setup('cube');
+  const [overlay] = manager.fromJSON([{ idm: 'cube', template: 'x' }]);
+  overlay.attachClone(new Object3D(), 'cube2');
+  const { overlays } = manager.toJSON();
+  assert.deepEqual(overlays.map((entry) => entry.idm).sort(), ['cube', 'cube2']);
+  manager.dispose();
+});
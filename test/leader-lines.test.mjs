@@ -0,0 +1,66 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { Object3D, Vector3 } from 'three';
+import { Sorcherer, SorchererManager, fakeRenderer, makeCamera, setSize } from './helpers.mjs';
+
+function setup(offset, options) {
+  const manager = new SorchererManager();
+  const object = new Object3D();
+  object.position.z = -10;
+  object.updateMatrixWorld();
+  const overlay = new Sorcherer(object, offset, false, false, false, undefined, { manager, ...options });
+  overlay.attach('label');
+  setSize(overlay.element, 20, 10);
+  const pass = () => manager.bufferAll(makeCamera(), fakeRenderer());
+  const path = () => manager.container.querySelector('svg.sorcherer-leaders path');
+  return { manager, overlay, pass, path };
+}
+
+test('draws a straight line from the anchor to the nearest label side', () => {
+  const { manager, pass, path } = setup(new Vector3(3, 2, 0), { leader: 'line' });
+  pass();
+  const line = path();
+  assert.ok(line.classList.contains('sorcherer-leader'));
+  assert.ok(line.classList.contains('sorcherer-leader-left'));
+  assert.match(line.getAttribute('d'), /^M100,50 L[\d.]+,[\d.]+$/);
+  manager.dispose();
+});
+
+test('draws an elbow on the requested side', () => {
+  const { manager, pass, path } = setup(new Vector3(3, 2, 0), { leader: 'elbow', leaderSide: 'bottom' });
+  pass();
+  const line = path();
+  assert.ok(line.classList.contains('sorcherer-leader-elbow'));
+  assert.ok(line.classList.contains('sorcherer-leader-bottom'));
+  assert.equal(line.getAttribute('d').split(' L').length, 3);
+  manager.dispose();
+});
+
+test('hides the line while the anchor is inside the label or the label is hidden', () => {
+  const { manager, overlay, pass, path } = setup(new Vector3(3, 2, 0), { leader: 'line' });
+  pass();
+  assert.notEqual(path().style.display, 'none');
+
+  overlay.offset.set(0, 0, 0);
+  pass();
+  assert.equal(path().style.display, 'none');
+
+  overlay.offset.set(3, 2, 0);
+  pass();
+  assert.notEqual(path().style.display, 'none');
+  overlay.hide();
+  pass();
+  assert.equal(path().style.display, 'none');
+  manager.dispose();
+});
+
+test('removes the line with the overlay and draws none without leader', () => {
+  const { manager, overlay, pass, path } = setup(new Vector3(3, 2, 0), { leader: 'line' });
+  const plain = new Sorcherer(overlay.object, new Vector3(-3, 2, 0), false, false, false, undefined, { manager });
+  plain.attach('plain');
+  pass();
+  assert.equal(manager.container.querySelectorAll('path').length, 1);
+  overlay.dispose();
+  assert.equal(path(), null);
+  manager.dispose();
+});
@@ -0,0 +1,144 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { Group, Object3D, Scene } from 'three';
+import { SorchererManager, fakeRenderer, makeCamera, tick } from './helpers.mjs';
+
+function named(name) {
+  const object = new Object3D();
+  object.name = name;
+  object.position.z = -10;
+  return object;
+}
+
+function setup(markup) {
+  const scene = new Scene();
+  const manager = new SorchererManager();
+  document.body.innerHTML = markup;
+  manager.watch(scene, { sceneSyncInterval: 0 });
+  const pass = () => {
+    scene.updateMatrixWorld(true);
+    manager.bufferAll(makeCamera(), fakeRenderer());
+  };
+  return { scene, manager, pass };
+}
+
+test('attaches entries added to the realm and disposes removed ones', async () => {
+  const { scene, manager, pass } = setup('<realm></realm>');
+  scene.add(named('a'));
+  pass();
+  const realm = document.querySelector('realm');
+  realm.innerHTML = '<div idm="a">A</div>';
+  await tick();
+  const overlay = manager.get('a');
+  assert.equal(overlay?.template, 'A');
+
+  realm.firstElementChild.remove();
+  await tick();
+  assert.equal(overlay._disposed, true);
+  assert.equal(manager.get('a'), null);
+  manager.dispose();
+});
+
+test('applies attribute and content edits to the existing overlay', async () => {
+  const { scene, manager, pass } = setup('<realm><div idm="a">$n=1$</div></realm>');
+  scene.add(named('a'));
+  pass();
+  const overlay = manager.get('a');
+  overlay.setDynamicVar('n', 5);
+  const entry = document.querySelector('[idm="a"]');
+
+  entry.setAttribute('occlude', 'dim');
+  await tick();
+  assert.equal(manager.get('a'), overlay);
+  assert.equal(overlay.occlude, 'dim');
+
+  entry.innerHTML = 'n = $n=1$';
+  await tick();
+  assert.equal(manager.get('a'), overlay);
+  assert.equal(overlay.element.textContent, 'n = 5');
+  manager.dispose();
+});
+
+test('entries wait for their object to appear under the scene', () => {
+  const { scene, manager, pass } = setup('<realm><div idm="late">Late</div></realm>');
+  assert.equal(manager.get('late'), null);
+  scene.add(named('late'));
+  pass();
+  assert.equal(manager.get('late')?.template, 'Late');
+
+  scene.remove(scene.getObjectByName('late'));
+  pass();
+  assert.equal(manager.get('late'), null);
+  assert.equal(manager.objectRegistry.has('late'), false);
+  manager.dispose();
+});
+
+test('keeps the overlay when its object is moved within the scene', () => {
+  const { scene, manager, pass } = setup('<realm><div idm="a">A</div></realm>');
+  const a = named('a');
+  const group = new Group();
+  scene.add(a, group);
+  pass();
+  const overlay = manager.get('a');
+  assert.ok(overlay);
+
+  group.add(a);
+  pass();
+  pass();
+  pass();
+  assert.equal(manager.get('a'), overlay);
+  assert.equal(overlay._disposed, false);
+  assert.equal(overlay.isVisible, true);
+  manager.dispose();
+});
+
+test('keeps the overlay when its object is removed and re-added before the next sync', () => {
+  const { scene, manager, pass } = setup('<realm><div idm="a">A</div></realm>');
+  manager.sceneSyncInterval = Infinity;
+  const a = named('a');
+  scene.add(a);
+  manager._syncWatchedScene();
+  const overlay = manager.get('a');
+  assert.ok(overlay);
+
+  scene.remove(a);
+  pass();
+  assert.equal(overlay.isVisible, false);
+  scene.add(a);
+  manager._syncWatchedScene();
+  pass();
+  assert.equal(manager.get('a'), overlay);
+  assert.equal(overlay.isVisible, true);
+  manager.dispose();
+});
+
+test('re-creates the overlay when its object comes back after a sync', () => {
+  const { scene, manager, pass } = setup('<realm><div idm="a">A</div></realm>');
+  const a = named('a');
+  scene.add(a);
+  pass();
+  const first = manager.get('a');
+
+  scene.remove(a);
+  pass();
+  assert.equal(first._disposed, true);
+
+  scene.add(a);
+  pass();
+  const second = manager.get('a');
+  assert.ok(second && second !== first);
+  assert.equal(second.isVisible, true);
+  manager.dispose();
+});
+
+test('overlays outside live mode are disposed when their object is removed', () => {
+  const manager = new SorchererManager();
+  const scene = new Scene();
+  const a = named('a');
+  scene.add(a);
+  manager.registerObject3D(a);
+  const overlay = manager._createOverlay(a, {}, 'A');
+  scene.remove(a);
+  assert.equal(overlay._disposed, true);
+  manager.dispose();
+});
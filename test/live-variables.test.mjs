@@ -0,0 +1,59 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { Object3D } from 'three';
+import { Sorcherer, SorchererManager, fakeRenderer, makeCamera } from './helpers.mjs';
+
+function setup(template, z = -10) {
+  const manager = new SorchererManager();
+  const object = new Object3D();
+  object.name = 'crate';
+  object.position.z = z;
+  object.updateMatrixWorld();
+  const overlay = new Sorcherer(object, undefined, false, false, false, undefined, { manager });
+  overlay.attach(template);
+  return { manager, object, overlay, camera: makeCamera(), renderer: fakeRenderer() };
+}
+
+test('fills live values on each buffering pass', () => {
+  const { manager, overlay, camera, renderer } = setup('$@name$ $@distance|fixed:1$ $@screenX$,$@screenY$ $@worldZ$');
+  manager.bufferAll(camera, renderer);
+  assert.equal(overlay.element.textContent, 'crate 10.0 100,50 -10');
+  manager.dispose();
+});
+
+test('shows defaults until the first pass and reads userData paths', () => {
+  const { manager, object, overlay, camera, renderer } = setup('HP: $@userData.stats.hp=?$');
+  assert.equal(overlay.element.textContent, 'HP: ?');
+  object.userData.stats = { hp: 12 };
+  manager.bufferAll(camera, renderer);
+  assert.equal(overlay.element.textContent, 'HP: 12');
+  object.userData.stats.hp = 11;
+  manager.bufferAll(camera, renderer);
+  assert.equal(overlay.element.textContent, 'HP: 11');
+  manager.dispose();
+});
+
+test('only re-renders when a live value changes', () => {
+  const { manager, object, overlay, camera, renderer } = setup('$@distance$');
+  manager.bufferAll(camera, renderer);
+  const version = overlay._contentVersion;
+  manager.bufferAll(camera, renderer);
+  manager.bufferAll(camera, renderer);
+  assert.equal(overlay._contentVersion, version);
+
+  object.position.z = -20;
+  object.updateMatrixWorld();
+  manager.bufferAll(camera, renderer);
+  assert.equal(overlay._contentVersion, version + 1);
+  assert.equal(overlay.element.textContent, '20');
+  manager.dispose();
+});
+
+test('live values cannot be set as dynamic variables', () => {
+  const { manager, overlay, camera, renderer } = setup('$@name$');
+  assert.equal(overlay.dynamicVars['@name'], undefined);
+  manager.bufferAll(camera, renderer);
+  assert.equal(overlay.element.textContent, 'crate');
+  assert.ok(Sorcherer.liveVariables.includes('distance'));
+  manager.dispose();
+});
@@ -0,0 +1,97 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { Object3D } from 'three';
+import { Sorcherer, SorchererManager, fakeRenderer, makeCamera } from './helpers.mjs';
+
+const viewport = { width: 200, height: 100 };
+
+function setup(z, options, simulate3D = false) {
+  const manager = new SorchererManager();
+  const object = new Object3D();
+  object.position.z = z;
+  object.updateMatrixWorld();
+  const overlay = new Sorcherer(object, undefined, simulate3D, false, false, undefined, { manager, ...options });
+  const moveTo = (distance) => {
+    object.position.z = -distance;
+    object.updateMatrixWorld();
+  };
+  return { manager, object, overlay, moveTo };
+}
+
+test('hides the overlay outside minDistance/maxDistance', () => {
+  const { manager, overlay, moveTo } = setup(-10, { minDistance: 5, maxDistance: 20 });
+  overlay.attach('x');
+  assert.equal(overlay.computeLayout(makeCamera(), viewport).visible, true);
+  moveTo(3);
+  assert.equal(overlay.computeLayout(makeCamera(), viewport).reason, 'out-of-range');
+  moveTo(25);
+  assert.equal(overlay.computeLayout(makeCamera(), viewport).reason, 'out-of-range');
+  manager.dispose();
+});
+
+test('fades out over fadeDistance inside each limit', () => {
+  const { manager, overlay, moveTo } = setup(-10, { minDistance: 5, maxDistance: 20, fadeDistance: 4 });
+  overlay.attach('x');
+  assert.equal(overlay.computeLayout(makeCamera(), viewport).opacity, 1);
+  moveTo(18);
+  assert.equal(overlay.computeLayout(makeCamera(), viewport).opacity, 0.5);
+  moveTo(6);
+  assert.equal(overlay.computeLayout(makeCamera(), viewport).opacity, 0.25);
+
+  manager.bufferAll(makeCamera(), fakeRenderer());
+  assert.equal(overlay.element.style.getPropertyValue('--sorcherer-opacity'), '0.25');
+  manager.dispose();
+});
+
+test('clamps the simulate3D scale with minScale/maxScale', () => {
+  const { manager, overlay, moveTo } = setup(-1, { minScale: 0.5, maxScale: 1.5 }, true);
+  overlay.attach('x');
+  assert.equal(overlay.computeLayout(makeCamera(), viewport).scaleY, 1.5);
+  moveTo(900);
+  assert.equal(overlay.computeLayout(makeCamera(), viewport).scaleY, 0.5);
+  manager.dispose();
+});
+
+test('swaps template variants by distance with hysteresis', () => {
+  const { manager, overlay, moveTo } = setup(-10, {
+    lodTemplates: [{ template: 'far $name=?$' }, { maxDistance: 30, template: 'near $name=?$' }]
+  });
+  overlay.attach('unused');
+  overlay.setDynamicVar('name', 'Ship');
+  const camera = makeCamera();
+  const renderer = fakeRenderer();
+
+  manager.bufferAll(camera, renderer);
+  assert.equal(overlay.element.textContent, 'near Ship');
+  assert.equal(overlay.computeLayout(camera, viewport).lodIndex, 0);
+
+  moveTo(31);
+  manager.bufferAll(camera, renderer);
+  assert.equal(overlay.element.textContent, 'near Ship');
+  moveTo(32);
+  manager.bufferAll(camera, renderer);
+  assert.equal(overlay.element.textContent, 'far Ship');
+  moveTo(29);
+  manager.bufferAll(camera, renderer);
+  assert.equal(overlay.element.textContent, 'far Ship');
+  moveTo(28);
+  manager.bufferAll(camera, renderer);
+  assert.equal(overlay.element.textContent, 'near Ship');
+  manager.dispose();
+});
+
+test('reads LOD variants from realm <template> children', () => {
+  const manager = new SorchererManager();
+  const object = new Object3D();
+  object.name = 'ship';
+  manager.registerObject3D(object);
+  document.body.innerHTML = '<realm><div idm="ship" maxDistance="200" fadeDistance="20">'
+    + '<template maxDistance="30"><b>$name$</b> close</template><template><b>$name$</b></template></div></realm>';
+  manager.attachFromRealm();
+  const overlay = manager.get('ship');
+  assert.equal(overlay.maxDistance, 200);
+  assert.equal(overlay.fadeDistance, 20);
+  assert.deepEqual(overlay.lodTemplates.map((variant) => variant.maxDistance), [30, Infinity]);
+  assert.equal(overlay.lodTemplates[0].template, '<b>$name$</b> close');
+  manager.dispose();
+});
@@ -0,0 +1,103 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { Object3D } from 'three';
+import { Sorcherer, SorchererManager, fakeRenderer, makeCamera } from './helpers.mjs';
+
+function namedObject(name, z = -10) {
+  const object = new Object3D();
+  object.name = name;
+  object.position.z = z;
+  object.updateMatrixWorld();
+  return object;
+}
+
+test('managers own separate containers, registries and overlays', () => {
+  const main = new SorchererManager();
+  const minimap = new SorchererManager();
+  const object = namedObject('cube');
+  main.registerObject3D(object);
+
+  const overlay = new Sorcherer(object, undefined, false, false, false, undefined, { manager: main });
+  overlay.attach('main');
+  main.bufferAll(makeCamera(), fakeRenderer());
+
+  assert.notEqual(main.container, minimap.container);
+  assert.ok(main.container.contains(overlay.element));
+  assert.equal(minimap.container.children.length, 0);
+  assert.equal(main.objectRegistry.get('cube'), object);
+  assert.equal(minimap.objectRegistry.size, 0);
+  assert.ok(main.allLoadedElements.has(overlay));
+  assert.equal(minimap.allLoadedElements.size, 0);
+  main.dispose();
+  minimap.dispose();
+});
+
+test('the static API is the default manager', () => {
+  const object = namedObject('static-cube');
+  Sorcherer.registerObject3D(object);
+  const overlay = new Sorcherer(object);
+  assert.equal(overlay.manager, Sorcherer.defaultManager);
+  assert.equal(Sorcherer.objectRegistry, Sorcherer.defaultManager.objectRegistry);
+  assert.ok(Sorcherer.allLoadedElements.has(overlay));
+  overlay.dispose();
+  assert.ok(!Sorcherer.allLoadedElements.has(overlay));
+});
+
+test('static fields can be assigned and forward to the default manager', () => {
+  const registry = new Map();
+  const previous = Sorcherer.objectRegistry;
+  Sorcherer.objectRegistry = registry;
+  assert.equal(Sorcherer.defaultManager.objectRegistry, registry);
+  Sorcherer.objectRegistry = previous;
+
+  const instances = {};
+  Sorcherer.instancesById = instances;
+  assert.equal(Sorcherer.defaultManager.instancesById, instances);
+  assert.equal(Sorcherer.elements, instances);
+});
+
+test('realms with a manager attribute are only attached by that manager', () => {
+  const editor = new SorchererManager({ name: 'editor' });
+  const other = new SorchererManager();
+  const object = namedObject('gizmo');
+  editor.registerObject3D(object);
+  other.registerObject3D(object);
+
+  document.body.innerHTML = '<realm manager="editor"><div idm="gizmo">Gizmo</div></realm>';
+  other.attachFromRealm();
+  assert.equal(other.allLoadedElements.size, 0);
+  editor.attachFromRealm();
+  assert.equal(editor.get('gizmo')?.template, 'Gizmo');
+  assert.equal(SorchererManager._named.get('editor'), editor);
+  editor.dispose();
+  other.dispose();
+  assert.equal(SorchererManager._named.has('editor'), false);
+});
+
+test('autoSetup() warns when rebinding a running manager to another camera', (t) => {
+  const warn = t.mock.method(console, 'warn', () => {});
+  const manager = new SorchererManager();
+  const renderer = fakeRenderer();
+  manager.autoSetup(makeCamera(), renderer);
+  assert.equal(manager.autoUpdateRunning, true);
+
+  const second = makeCamera();
+  manager.autoSetup(second, renderer);
+  assert.equal(warn.mock.callCount(), 1);
+  assert.equal(manager.camera, second);
+  manager.dispose();
+  assert.equal(manager.autoUpdateRunning, false);
+});
+
+test('dispose() removes the container and clears the registry', () => {
+  const manager = new SorchererManager();
+  const object = namedObject('temp');
+  manager.registerObject3D(object);
+  new Sorcherer(object, undefined, false, false, false, undefined, { manager }).attach('x');
+  manager.bufferAll(makeCamera(), fakeRenderer());
+  assert.ok(manager.container.isConnected);
+  manager.dispose();
+  assert.equal(manager.container.isConnected, false);
+  assert.equal(manager.allLoadedElements.size, 0);
+  assert.equal(manager.objectRegistry.size, 0);
+});
@@ -0,0 +1,110 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { Object3D } from 'three';
+import { Sorcherer, SorchererManager, fakeRenderer, makeCamera, tick } from './helpers.mjs';
+
+function setup(options) {
+  const manager = new SorchererManager();
+  const object = new Object3D();
+  object.position.z = -10;
+  object.updateMatrixWorld();
+  const overlay = new Sorcherer(object, undefined, false, false, false, undefined, { manager, ...options });
+  overlay.attach('label');
+  const pass = () => manager.bufferAll(makeCamera(), fakeRenderer());
+  const moveTo = (x, z = -10) => {
+    object.position.set(x, 0, z);
+    object.updateMatrixWorld();
+  };
+  return { manager, overlay, pass, moveTo };
+}
+
+function translateX(element) {
+  return parseFloat(/translate\(([-\d.]+)px/.exec(element.style.transform)[1]);
+}
+
+test('snaps to each pass without smoothing', () => {
+  const { manager, overlay, pass, moveTo } = setup({});
+  pass();
+  moveTo(3);
+  pass();
+  assert.ok(Math.abs(translateX(overlay.element) - 132.17) < 0.01);
+  manager.dispose();
+});
+
+test('eases towards the buffered position with smoothing', async () => {
+  const { manager, overlay, pass, moveTo } = setup({ smoothing: 50 });
+  pass();
+  assert.equal(translateX(overlay.element), 100);
+  moveTo(3);
+  pass();
+  assert.equal(translateX(overlay.element), 100);
+
+  await tick(40);
+  const halfway = translateX(overlay.element);
+  assert.ok(halfway > 100 && halfway < 132.17, `${halfway}`);
+  await tick(500);
+  assert.ok(Math.abs(translateX(overlay.element) - 132.17) < 0.01);
+  manager.dispose();
+});
+
+test('emits enter and leave when a pass shows or hides the overlay', () => {
+  const { manager, overlay, pass, moveTo } = setup({});
+  const events = [];
+  overlay.on('enter', () => events.push('enter'));
+  overlay.on('leave', () => events.push('leave'));
+  pass();
+  pass();
+  assert.equal(overlay.isVisible, true);
+  moveTo(0, 10);
+  pass();
+  assert.equal(overlay.isVisible, false);
+  assert.deepEqual(events, ['enter', 'leave']);
+  manager.dispose();
+});
+
+test('adds sorcherer-entering for one frame', async () => {
+  const { manager, overlay, pass } = setup({ transitions: true });
+  pass();
+  assert.ok(overlay.element.classList.contains('sorcherer-entering'));
+  await tick(40);
+  assert.equal(overlay.element.classList.contains('sorcherer-entering'), false);
+  manager.dispose();
+});
+
+test('keeps a leaving overlay displayed until its transition has finished', async (t) => {
+  const { manager, overlay, pass, moveTo } = setup({ transitions: true });
+  pass();
+  t.mock.method(globalThis, 'getComputedStyle', () => ({ transitionDuration: '30ms', transitionDelay: '0s' }));
+  moveTo(0, 10);
+  pass();
+  assert.ok(overlay.element.classList.contains('sorcherer-leaving'));
+  assert.equal(overlay.element.style.display, 'block');
+  await tick(60);
+  assert.equal(overlay.element.style.display, 'none');
+  assert.equal(overlay.element.classList.contains('sorcherer-leaving'), false);
+  manager.dispose();
+});
+
+test('dispose() waits for the leave transition before removing the element', async (t) => {
+  const { manager, overlay, pass } = setup({ transitions: true });
+  pass();
+  t.mock.method(globalThis, 'getComputedStyle', () => ({ transitionDuration: '30ms', transitionDelay: '0s' }));
+  const element = overlay.element;
+  overlay.dispose();
+  assert.ok(element.isConnected);
+  assert.ok(element.classList.contains('sorcherer-leaving'));
+  await tick(60);
+  assert.equal(element.isConnected, false);
+  manager.dispose();
+});
+
+test('skips the transition classes with prefers-reduced-motion', (t) => {
+  t.mock.method(Sorcherer, '_prefersReducedMotion', () => true);
+  const { manager, overlay, pass } = setup({ transitions: true });
+  const events = [];
+  overlay.on('enter', () => events.push('enter'));
+  pass();
+  assert.equal(overlay.element.classList.contains('sorcherer-entering'), false);
+  assert.deepEqual(events, ['enter']);
+  manager.dispose();
+});
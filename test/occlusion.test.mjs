@@ -0,0 +1,93 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { BoxGeometry, Mesh, MeshBasicMaterial, Object3D, Scene } from 'three';
+import { Sorcherer, SorchererManager, fakeRenderer, makeCamera } from './helpers.mjs';
+
+function setup() {
+  const scene = new Scene();
+  const wall = new Mesh(new BoxGeometry(10, 10, 1), new MeshBasicMaterial());
+  wall.position.z = -5;
+  const target = new Object3D();
+  target.position.z = -10;
+  scene.add(wall, target);
+  scene.updateMatrixWorld(true);
+  return { scene, wall, target, manager: new SorchererManager(), camera: makeCamera(), renderer: fakeRenderer() };
+}
+
+test('accepts null options', () => {
+  const overlay = new Sorcherer(new Object3D(), undefined, false, false, false, undefined, null);
+  assert.equal(overlay.occlude, null);
+  assert.equal(overlay.occluders, null);
+  overlay.dispose();
+});
+
+test('hides an overlay behind an occluder in hide mode', () => {
+  const { scene, target, manager, camera, renderer } = setup();
+  const overlay = new Sorcherer(target, undefined, false, false, false, undefined, { manager, occlude: 'hide' });
+  overlay.attach('label');
+  manager.occluders = [scene];
+  manager.bufferAll(camera, renderer);
+  assert.equal(overlay.isOccluded, true);
+  assert.ok(overlay.element.classList.contains('sorcherer-occluded'));
+  assert.equal(overlay.element.style.display, 'none');
+  manager.dispose();
+});
+
+test('dims instead of hiding in dim mode', () => {
+  const { scene, target, manager, camera, renderer } = setup();
+  const overlay = new Sorcherer(target, undefined, false, false, false, undefined, { manager, occlude: 'dim' });
+  overlay.attach('label');
+  manager.occluders = [scene];
+  manager.bufferAll(camera, renderer);
+  assert.ok(overlay.element.classList.contains('sorcherer-dimmed'));
+  assert.notEqual(overlay.element.style.display, 'none');
+  manager.dispose();
+});
+
+test('ignores the anchor object itself and overlays without occlude', () => {
+  const { scene, wall, manager, camera, renderer } = setup();
+  const onWall = new Sorcherer(wall, undefined, false, false, false, undefined, { manager, occlude: 'hide' });
+  const plain = new Sorcherer(scene.children[1], undefined, false, false, false, undefined, { manager });
+  onWall.attach('wall');
+  plain.attach('plain');
+  manager.occluders = [scene];
+  manager.bufferAll(camera, renderer);
+  assert.equal(onWall.isOccluded, false);
+  assert.equal(plain.isOccluded, false);
+  manager.dispose();
+});
+
+test('per-overlay occluders replace the manager list', () => {
+  const { wall, target, manager, camera, renderer } = setup();
+  const own = new Sorcherer(target, undefined, false, false, false, undefined, { manager, occlude: 'hide', occluders: [wall] });
+  const shared = new Sorcherer(target, undefined, false, false, false, undefined, { manager, occlude: 'hide' });
+  own.attach('own');
+  shared.attach('shared');
+  manager.bufferAll(camera, renderer);
+  assert.equal(own.isOccluded, true);
+  assert.equal(shared.isOccluded, false);
+
+  own.occluders = [];
+  manager.occluders = [wall];
+  manager.bufferAll(camera, renderer);
+  assert.equal(own.isOccluded, false);
+  assert.equal(shared.isOccluded, true);
+  manager.dispose();
+});
+
+test('spends at most occlusionBudget raycasts per pass, round-robin', () => {
+  const { scene, target, manager, camera, renderer } = setup();
+  const overlays = [0, 1, 2].map((i) => {
+    const overlay = new Sorcherer(target, undefined, false, false, false, undefined, { manager, occlude: 'hide' });
+    overlay.attach(`label ${i}`);
+    return overlay;
+  });
+  manager.occluders = [scene];
+  manager.occlusionBudget = 1;
+  manager.bufferAll(camera, renderer);
+  assert.equal(overlays.filter((overlay) => overlay.isOccluded).length, 1);
+  manager.bufferAll(camera, renderer);
+  manager.bufferAll(camera, renderer);
+  assert.ok(overlays.every((overlay) => overlay.isOccluded));
+  manager.dispose();
+});
@@ -0,0 +1,96 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { OrthographicCamera, Object3D } from 'three';
+import { Sorcherer, SorchererManager, fakeRenderer, makeCamera } from './helpers.mjs';
+
+const viewport = { width: 200, height: 100 };
+
+function setup(orientation, { simulateRotation = false } = {}) {
+  const manager = new SorchererManager();
+  const object = new Object3D();
+  object.position.z = -10;
+  const overlay = new Sorcherer(object, undefined, false, simulateRotation, false, undefined, { manager, orientation });
+  overlay.attach('label');
+  const rotate = (x, y, z) => {
+    object.rotation.set(x, y, z);
+    object.updateMatrixWorld(true);
+  };
+  rotate(0, 0, 0);
+  return { manager, object, overlay, rotate };
+}
+
+test('screen orientation keeps labels upright unless simulateRotation is set', () => {
+  const upright = setup('screen');
+  upright.rotate(0, 0, Math.PI / 2);
+  assert.equal(upright.overlay.computeLayout(makeCamera(), viewport).rotation, 0);
+  upright.manager.dispose();
+
+  const rolled = setup('screen', { simulateRotation: true });
+  rolled.rotate(0, 0, Math.PI / 2);
+  assert.notEqual(rolled.overlay.computeLayout(makeCamera(), viewport).rotation, 0);
+  rolled.manager.dispose();
+});
+
+test('billboard-roll follows the world up axis of nested objects', () => {
+  const { manager, object, overlay } = setup('billboard-roll');
+  const parent = new Object3D();
+  parent.rotation.z = Math.PI / 2;
+  parent.add(object);
+  parent.updateMatrixWorld(true);
+  assert.equal(Math.round(overlay.computeLayout(makeCamera(), viewport).rotation), -90);
+
+  const camera = makeCamera();
+  camera.rotation.z = -Math.PI / 2;
+  camera.updateMatrixWorld();
+  object.position.set(0, 0, 0);
+  parent.position.z = -10;
+  parent.updateMatrixWorld(true);
+  assert.equal(Math.abs(Math.round(overlay.computeLayout(camera, viewport).rotation)), 180);
+  manager.dispose();
+});
+
+test('plane orientation writes a matrix3d and flags the back face', () => {
+  const { manager, overlay, rotate } = setup('plane');
+  const layout = overlay.computeLayout(makeCamera(), viewport);
+  assert.equal(layout.matrix.length, 16);
+  assert.equal(layout.backface, false);
+
+  manager.bufferAll(makeCamera(), fakeRenderer());
+  assert.match(overlay.element.style.transform, /matrix3d\(/);
+  assert.equal(overlay.isBackface, false);
+
+  rotate(0, Math.PI, 0);
+  manager.bufferAll(makeCamera(), fakeRenderer());
+  assert.equal(overlay.isBackface, true);
+  assert.ok(overlay.element.classList.contains('sorcherer-backface'));
+  manager.dispose();
+});
+
+test('plane orientation works with orthographic cameras', () => {
+  const { manager, overlay } = setup('plane');
+  const camera = new OrthographicCamera(-10, 10, 5, -5, 0.1, 100);
+  camera.updateMatrixWorld();
+  const layout = overlay.computeLayout(camera, viewport);
+  assert.equal(layout.visible, true);
+  assert.equal(layout.matrix.length, 16);
+  manager.dispose();
+});
+
+test('edge indicators fall back to the screen orientation', () => {
+  const manager = new SorchererManager();
+  const object = new Object3D();
+  object.position.set(0, 0, 10);
+  object.rotation.z = Math.PI / 2;
+  object.updateMatrixWorld();
+  const overlay = new Sorcherer(object, undefined, false, false, false, undefined, { manager, orientation: 'plane', offscreen: 'edge' });
+  const layout = overlay.computeLayout(makeCamera(), viewport);
+  assert.equal(layout.offscreen, true);
+  assert.equal(layout.matrix, null);
+  manager.dispose();
+});
+
+test('unknown orientations fall back to screen', () => {
+  const overlay = new Sorcherer(new Object3D(), undefined, false, false, false, undefined, { orientation: 'sideways' });
+  assert.equal(overlay.orientation, 'screen');
+  overlay.dispose();
+});
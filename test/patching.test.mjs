@@ -0,0 +1,89 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { Object3D } from 'three';
+import { Sorcherer, SorchererManager, fakeRenderer, makeCamera } from './helpers.mjs';
+
+function anchorAt(z) {
+  const object = new Object3D();
+  object.position.z = z;
+  object.updateMatrixWorld();
+  return object;
+}
+
+test('patches changed text nodes and attributes in place', () => {
+  const overlay = new Sorcherer(new Object3D());
+  overlay.attach('<div class="hp $state=ok$"><b>$hp=100$</b> / <i>$max=100$</i></div>');
+  const div = overlay.element.firstElementChild;
+  const hpText = div.querySelector('b').firstChild;
+  const maxText = div.querySelector('i').firstChild;
+
+  overlay.setDynamicVar('hp', 42);
+  assert.equal(overlay.element.firstElementChild, div);
+  assert.equal(div.querySelector('b').firstChild, hpText);
+  assert.equal(hpText.data, '42');
+  assert.equal(div.querySelector('i').firstChild, maxText);
+
+  overlay.state = 'low';
+  assert.equal(div.getAttribute('class'), 'hp low');
+  overlay.dispose();
+});
+
+test('keeps focus and input state across updates', () => {
+  const overlay = new Sorcherer(new Object3D());
+  overlay.attach('<input value="x"><span>$n=0$</span>');
+  const input = overlay.element.querySelector('input');
+  input.value = 'typed';
+  overlay.setDynamicVar('n', 1);
+  assert.equal(overlay.element.querySelector('input'), input);
+  assert.equal(input.value, 'typed');
+  overlay.dispose();
+});
+
+test('batches setDynamicVars() into one render per flush', () => {
+  const overlay = new Sorcherer(new Object3D());
+  overlay.attach('$a=0$ $b=0$');
+  const version = overlay._contentVersion;
+  overlay.setDynamicVars({ a: 1, b: 2 });
+  assert.equal(overlay.element.textContent, '0 0');
+  overlay.flushDynamicVars();
+  assert.equal(overlay.element.textContent, '1 2');
+  assert.equal(overlay._contentVersion, version + 1);
+  overlay.dispose();
+});
+
+test('re-renders unbindable templates as a string', () => {
+  const overlay = new Sorcherer(new Object3D());
+  overlay.attach('<div $flag=hidden$>$n=0$</div>');
+  assert.equal(overlay._templateView, null);
+  overlay.setDynamicVar('n', 3);
+  assert.equal(overlay.element.innerHTML, '<div hidden="">3</div>');
+  overlay.dispose();
+});
+
+test('swapping to a LOD variant keeps values and does not re-run onAttach', () => {
+  const manager = new SorchererManager();
+  const camera = makeCamera();
+  const object = anchorAt(-2);
+  const onAttach = [];
+  const overlay = new Sorcherer(object, undefined, false, false, false, undefined, {
+    manager,
+    plugins: [{ onAttach: (instance, template) => onAttach.push(template) }],
+    lodTemplates: [{ template: 'near $name=?$ $@distance|fixed:0$', maxDistance: 5 }, { template: 'far $name=?$' }]
+  });
+  overlay.attach('unused');
+  overlay.setDynamicVar('name', 'Ada');
+  onAttach.length = 0;
+
+  manager.bufferAll(camera, fakeRenderer());
+  assert.equal(overlay.element.textContent, 'near Ada 2');
+
+  const version = overlay._contentVersion;
+  object.position.z = -50;
+  object.updateMatrixWorld();
+  manager.bufferAll(camera, fakeRenderer());
+  assert.equal(overlay.element.textContent, 'far Ada');
+  assert.equal(overlay._contentVersion, version + 1);
+  assert.equal(overlay.name, 'Ada');
+  assert.deepEqual(onAttach, []);
+  manager.dispose();
+});
@@ -0,0 +1,107 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { Object3D } from 'three';
+import { Sorcherer, SorchererManager, fakeRenderer, makeCamera } from './helpers.mjs';
+
+function setup(count = 1, options = {}) {
+  const manager = new SorchererManager();
+  manager.dirtyChecking = true;
+  const camera = makeCamera();
+  const renderer = fakeRenderer();
+  const overlays = [];
+  for (let i = 0; i < count; i++) {
+    const object = new Object3D();
+    object.position.set(i * 0.1, 0, -10);
+    object.updateMatrixWorld();
+    const overlay = new Sorcherer(object, undefined, false, false, false, undefined, { manager, ...options });
+    overlay.attach(`label ${i}`);
+    overlays.push(overlay);
+  }
+  return { manager, overlays, pass: () => manager.bufferAll(camera, renderer), camera };
+}
+
+test('skips overlays whose inputs did not change', () => {
+  const { manager, overlays, pass, camera } = setup(3);
+  pass();
+  assert.equal(manager.stats.updated, 3);
+  pass();
+  assert.deepEqual([manager.stats.updated, manager.stats.skipped], [0, 3]);
+
+  overlays[1].object.position.y = 1;
+  overlays[1].object.updateMatrixWorld();
+  pass();
+  assert.deepEqual([manager.stats.updated, manager.stats.skipped], [1, 2]);
+
+  camera.position.x = 0.5;
+  camera.updateMatrixWorld();
+  pass();
+  assert.equal(manager.stats.updated, 3);
+  manager.dispose();
+});
+
+test('counts settings, invalidate() and hide() as changes', () => {
+  const { manager, overlays: [overlay], pass } = setup();
+  pass();
+  overlay.scaleMultiplier = 2;
+  pass();
+  assert.equal(manager.stats.updated, 1);
+  pass();
+  overlay.invalidate();
+  pass();
+  assert.equal(manager.stats.updated, 1);
+  overlay.hide();
+  pass();
+  assert.equal(manager.stats.updated, 1);
+  assert.equal(overlay.element.style.display, 'none');
+  manager.dispose();
+});
+
+test('counts occlude and plugin list changes as changes', () => {
+  const { manager, overlays: [overlay], pass } = setup();
+  pass();
+  pass();
+  assert.equal(manager.stats.skipped, 1);
+
+  overlay.occlude = 'dim';
+  pass();
+  assert.equal(manager.stats.updated, 1);
+  pass();
+  assert.equal(manager.stats.skipped, 1);
+
+  overlay.plugins.push({ beforeBuffer: () => false });
+  pass();
+  assert.equal(manager.stats.updated, 1);
+  assert.equal(overlay.element.style.display, 'none');
+  overlay.plugins.pop();
+  pass();
+  assert.equal(manager.stats.updated, 1);
+  assert.notEqual(overlay.element.style.display, 'none');
+  manager.dispose();
+});
+
+test('always updates templates reading $@name$ or $@userData$', () => {
+  const { manager, overlays: [overlay], pass } = setup();
+  overlay.attach('$@userData.hp=?$');
+  pass();
+  overlay.object.userData.hp = 3;
+  pass();
+  assert.equal(manager.stats.updated, 1);
+  assert.equal(overlay.element.textContent, '3');
+  manager.dispose();
+});
+
+test('defers low-priority overlays once the update budget is spent', (t) => {
+  const { manager, overlays, pass } = setup(3);
+  overlays[2].priority = 1;
+  manager.dirtyChecking = false;
+  manager.updateBudget = 1;
+  pass();
+  let now = 0;
+  t.mock.method(Sorcherer, '_now', () => (now += 5));
+  pass();
+  assert.deepEqual([manager.stats.updated, manager.stats.deferred], [2, 1]);
+  const deferred = overlays.find((overlay) => overlay._bufferedPass !== overlays[2]._bufferedPass);
+  pass();
+  assert.equal(deferred._bufferedPass, overlays[2]._bufferedPass);
+  manager.dispose();
+});
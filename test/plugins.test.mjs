@@ -0,0 +1,112 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { Object3D } from 'three';
+import { Sorcherer, SorchererManager, fakeRenderer, makeCamera } from './helpers.mjs';
+
+function anchorAt(z) {
+  const object = new Object3D();
+  object.name = 'plugged';
+  object.position.z = z;
+  object.updateMatrixWorld();
+  return object;
+}
+
+function recorder(calls) {
+  const hooks = {};
+  for (const hook of Sorcherer.pluginHooks) {
+    hooks[hook] = (instance, arg) => { calls.push(hook === 'onCull' ? `${hook}:${arg}` : hook); };
+  }
+  return hooks;
+}
+
+test('runs the lifecycle hooks in order', () => {
+  const calls = [];
+  const manager = new SorchererManager();
+  const object = anchorAt(-10);
+  const overlay = new Sorcherer(object, undefined, false, false, false, undefined, { manager, plugins: [recorder(calls)] });
+  overlay.attach('x');
+  manager.bufferAll(makeCamera(), fakeRenderer());
+  object.position.z = 10;
+  object.updateMatrixWorld();
+  manager.bufferAll(makeCamera(), fakeRenderer());
+  manager.bufferAll(makeCamera(), fakeRenderer());
+  overlay.dispose();
+  assert.deepEqual(calls, [
+    'onCreate', 'onAttach', 'beforeBuffer', 'computeTransform', 'afterBuffer', 'onCull:culled', 'onDispose'
+  ]);
+  manager.dispose();
+});
+
+test('beforeBuffer can veto and computeTransform can move the overlay', () => {
+  const manager = new SorchererManager();
+  let allow = false;
+  const overlay = new Sorcherer(anchorAt(-10), undefined, false, false, false, undefined, {
+    manager,
+    plugins: [{
+      beforeBuffer: () => allow,
+      computeTransform: (instance, layout) => ({ x: Math.round(layout.x / 8) * 8 + 1 })
+    }]
+  });
+  overlay.attach('x');
+  manager.bufferAll(makeCamera(), fakeRenderer());
+  assert.equal(overlay.element.style.display, 'none');
+
+  allow = true;
+  overlay.invalidate();
+  manager.bufferAll(makeCamera(), fakeRenderer());
+  assert.match(overlay.element.style.transform, /^translate\(105px, 50px\)/);
+  assert.equal(overlay.computeLayout(makeCamera(), { width: 200, height: 100 }).x, 105);
+  manager.dispose();
+});
+
+test('resolves registered plugins by name and rejects bad registrations', (t) => {
+  const warn = t.mock.method(console, 'warn', () => {});
+  Sorcherer.registerPlugin('theme', { onCreate: (instance) => instance.element.classList.add('theme-dark') });
+  const overlay = new Sorcherer(anchorAt(-10), undefined, false, false, false, undefined, { plugins: 'theme, nope' });
+  assert.ok(overlay.element.classList.contains('theme-dark'));
+  assert.equal(overlay.plugins.length, 1);
+  assert.equal(warn.mock.callCount(), 1);
+  assert.equal(overlay.toJSON().plugins[0], 'theme');
+  overlay.dispose();
+
+  assert.throws(() => Sorcherer.registerPlugin('bad name', {}), /Invalid plugin name/);
+  assert.throws(() => Sorcherer.registerPlugin('empty', null), TypeError);
+});
+
+test('global plugins run before an overlay\'s own and update every overlay', () => {
+  const calls = [];
+  const manager = new SorchererManager();
+  manager.dirtyChecking = true;
+  const overlay = new Sorcherer(anchorAt(-10), undefined, false, false, false, undefined, {
+    manager,
+    plugins: [{ afterBuffer: () => calls.push('own') }]
+  });
+  overlay.attach('x');
+  const camera = makeCamera();
+  manager.bufferAll(camera, fakeRenderer());
+  manager.bufferAll(camera, fakeRenderer());
+  assert.equal(manager.stats.skipped, 1);
+
+  calls.length = 0;
+  const uninstall = Sorcherer.use({ afterBuffer: () => calls.push('global') });
+  manager.bufferAll(camera, fakeRenderer());
+  assert.deepEqual(calls, ['global', 'own']);
+  uninstall();
+  calls.length = 0;
+  manager.bufferAll(camera, fakeRenderer());
+  assert.deepEqual(calls, ['own']);
+  manager.dispose();
+});
+
+test('use() adds a plugin to one overlay and returns a remover', () => {
+  const calls = [];
+  const manager = new SorchererManager();
+  const overlay = new Sorcherer(anchorAt(-10), undefined, false, false, false, undefined, { manager });
+  overlay.attach('x');
+  const remove = overlay.use({ onCreate: () => calls.push('create'), afterBuffer: () => calls.push('after') });
+  manager.bufferAll(makeCamera(), fakeRenderer());
+  remove();
+  manager.bufferAll(makeCamera(), fakeRenderer());
+  assert.deepEqual(calls, ['after']);
+  manager.dispose();
+});
@@ -0,0 +1,90 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { Object3D, Scene } from 'three';
+import { Sorcherer, SorchererManager } from './helpers.mjs';
+
+function setup() {
+  const manager = new SorchererManager();
+  const scene = new Scene();
+  const cube = new Object3D();
+  cube.name = 'cube';
+  scene.add(cube);
+  manager.registerObject3D(cube);
+  document.body.innerHTML = `<realm>
+    <div idm="cube" offset="0,1.2,0">$label=Cube$</div>
+    <div idm="cube" slot="health" offset="0,1.6,0">HP $hp=100$</div>
+    <div idm="cube" slot="status">$status=idle$</div>
+  </realm>`;
+  manager.attachFromRealm();
+  return { manager, scene, cube };
+}
+
+test('keeps one overlay per slot of an object', () => {
+  const { manager } = setup();
+  assert.equal(manager.get('cube').template, '$label=Cube$');
+  assert.equal(manager.instancesById.cube, manager.get('cube'));
+  const health = manager.get('cube', 'health');
+  health.hp = 42;
+  assert.equal(health.element.textContent, 'HP 42');
+  assert.deepEqual([...manager.slotsOf('cube').keys()], [null, 'health', 'status']);
+  assert.equal(manager.query({ slot: 'health' }).size, 1);
+  manager.dispose();
+});
+
+test('a new entry only replaces the overlay of its own slot', () => {
+  const { manager } = setup();
+  const label = manager.get('cube');
+  const health = manager.get('cube', 'health');
+  const [replacement] = manager.fromJSON([{ idm: 'cube', slot: 'health', template: 'new' }]);
+  assert.equal(health._disposed, true);
+  assert.equal(manager.get('cube', 'health'), replacement);
+  assert.equal(manager.get('cube'), label);
+  manager.dispose();
+});
+
+test('finds overlays created with the slot option', () => {
+  const manager = new SorchererManager();
+  const object = new Object3D();
+  object.name = 'loose';
+  const overlay = new Sorcherer(object, undefined, false, false, false, undefined, { manager, slot: 'tag' });
+  assert.equal(manager.get('loose', 'tag'), overlay);
+  assert.equal(manager.get('loose'), null);
+  manager.dispose();
+});
+
+test('dispose() frees one slot and disposeObject() all of them', () => {
+  const { manager } = setup();
+  manager.get('cube', 'status').dispose();
+  assert.equal(manager.get('cube', 'status'), null);
+  assert.equal(manager.slotsOf('cube').size, 2);
+  manager.disposeObject('cube');
+  assert.equal(manager.slotsOf('cube').size, 0);
+  assert.equal(manager.allLoadedElements.size, 0);
+  manager.dispose();
+});
+
+test('removing the object disposes every slot', () => {
+  const { manager, scene, cube } = setup();
+  scene.remove(cube);
+  assert.equal(manager.allLoadedElements.size, 0);
+  manager.dispose();
+});
+
+test('attachClone() clones one overlay per slot onto the target', () => {
+  const { manager } = setup();
+  const target = new Object3D();
+  const clone = manager.get('cube').attachClone(target, 'cube2');
+  assert.equal(target.name, 'cube2');
+  assert.equal(manager.get('cube2'), clone);
+  assert.deepEqual([...manager.slotsOf('cube2').keys()], [null, 'health', 'status']);
+  assert.equal(manager.get('cube2', 'health').object, target);
+  assert.equal(manager.slotsOf('cube').size, 3);
+  manager.dispose();
+});
+
+test('serialized overlays keep their slot', () => {
+  const { manager } = setup();
+  const { overlays } = manager.toJSON();
+  assert.deepEqual(overlays.map((entry) => entry.slot ?? null), [null, 'health', 'status']);
+  manager.dispose();
+});
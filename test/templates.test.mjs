@@ -0,0 +1,90 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { Object3D } from 'three';
+import { Sorcherer } from './helpers.mjs';
+
+function render(template, vars = {}) {
+  const overlay = new Sorcherer(new Object3D());
+  overlay.attach(template);
+  overlay.setDynamicVars(vars);
+  overlay.flushDynamicVars();
+  // Block placeholders leave empty comment markers in the bound DOM.
+  const html = overlay.element.innerHTML.replaceAll('<!---->', '');
+  overlay.dispose();
+  return html;
+}
+
+test('escapes values and keeps defaults until a variable is set', () => {
+  assert.equal(render('<b>$name=Unknown$</b>'), '<b>Unknown</b>');
+  assert.equal(render('<b>$name$</b>', { name: '<img src=x onerror=alert(1)>' }), '<b>&lt;img src=x onerror=alert(1)&gt;</b>');
+  assert.equal(render('<b>$bio|raw$</b>', { bio: '<i>trusted</i>' }), '<b><i>trusted</i></b>');
+});
+
+test('applies formatter pipelines and registered formatters', () => {
+  assert.equal(render('$v|fixed:2$ $v|percent$ $s|upper$ $s|lower|upper$', { v: 0.5, s: 'Ab' }), '0.50 50% AB AB');
+  Sorcherer.registerFormatter('meters', (value, digits = 1) => `${Number(value).toFixed(Number(digits))} m`);
+  assert.equal(render('$d|meters:2$', { d: 3 }), '3.00 m');
+  assert.throws(() => Sorcherer.registerFormatter('raw', () => ''));
+  assert.throws(() => Sorcherer.registerFormatter('bad name', () => ''));
+});
+
+test('does not take formatters from Object.prototype', (t) => {
+  const warn = t.mock.method(console, 'warn', () => {});
+  assert.equal(render('$x|toString$ $x|constructor$', { x: 2 }), '2 2');
+  assert.equal(warn.mock.callCount(), 2);
+});
+
+test('warns about an unknown formatter once per template', (t) => {
+  const warn = t.mock.method(console, 'warn', () => {});
+  const overlay = new Sorcherer(new Object3D());
+  overlay.attach('$x|typo$');
+  for (let i = 0; i < 5; i++) {
+    overlay.setDynamicVar('x', i);
+    overlay.flushDynamicVars();
+  }
+  assert.equal(overlay.element.innerHTML, '4');
+  assert.equal(warn.mock.callCount(), 1);
+  overlay.dispose();
+});
+
+test('renders conditionals and loops', () => {
+  const template = '$#if hostile$Hostile$else$Friendly$/if$ $#if !hostile$calm$/if$<ul>$#each quests$<li>$@index$. $.title$</li>$/each$</ul>';
+  assert.equal(render(template, { hostile: true, quests: [{ title: 'A' }, { title: '<B>' }] }),
+    'Hostile <ul><li>0. A</li><li>1. &lt;B&gt;</li></ul>');
+  assert.equal(render(template, { hostile: 'false', quests: [] }), 'Friendly calm<ul></ul>');
+});
+
+test('escapes attribute values when the template is bound to the DOM', () => {
+  const html = render('<div title="$t$" class=$c$>x</div>', { t: '"><script>', c: 'a onclick=x' });
+  assert.equal(html, '<div title="&quot;><script>" class="a onclick=x">x</div>');
+});
+
+test('cannot inject attributes through placeholders in tag positions', (t) => {
+  const warn = t.mock.method(console, 'warn', () => {});
+  const injected = render('<div $attr$>x</div>', { attr: 'data-q="1" onclick="alert(1)"' });
+  assert.equal(injected, '<div>x</div>');
+  assert.equal(warn.mock.callCount(), 1);
+
+  assert.equal(render('<div $attr$>x</div>', { attr: 'hidden' }), '<div hidden="">x</div>');
+
+  // The attribute-name placeholder makes the template unbindable, so the unquoted value is rendered as a string.
+  const unquoted = render('<div $attr$ title=$c$>y</div>', { attr: 'hidden', c: 'a onclick=alert(1)' });
+  const holder = document.createElement('div');
+  holder.innerHTML = unquoted;
+  const element = holder.firstElementChild;
+  assert.deepEqual(element.getAttributeNames(), ['hidden', 'title']);
+  assert.equal(element.getAttribute('title'), 'a onclick=alert(1)');
+});
+
+test('updates only the bound nodes whose variables changed', () => {
+  const overlay = new Sorcherer(new Object3D());
+  overlay.attach('<b>$a=1$</b><i>$b=2$</i>');
+  const bold = overlay.element.querySelector('b').firstChild;
+  const italic = overlay.element.querySelector('i');
+  overlay.setDynamicVar('a', 5);
+  overlay.flushDynamicVars();
+  assert.equal(overlay.element.querySelector('b').firstChild, bold);
+  assert.equal(overlay.element.querySelector('i'), italic);
+  assert.equal(overlay.element.textContent, '52');
+  overlay.dispose();
+});
@@ -0,0 +1,103 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { Object3D, Vector3 } from 'three';
+import { Sorcherer, SorchererManager, fakeRenderer, makeCamera } from './helpers.mjs';
+
+function setup(count = 1, options = {}) {
+  const manager = new SorchererManager();
+  const parent = new Object3D();
+  const overlays = [];
+  for (let i = 0; i < count; i++) {
+    const object = new Object3D();
+    object.name = `object-${i}`;
+    object.position.set(i * 0.5, 0, -10);
+    parent.add(object);
+    const overlay = new Sorcherer(object, undefined, false, false, false, undefined, { manager, ...options });
+    overlay.attach(`label ${i}`);
+    overlays.push(overlay);
+  }
+  parent.updateMatrixWorld(true);
+  const pass = (camera = makeCamera()) => manager.bufferAll(camera, fakeRenderer());
+  return { manager, parent, overlays, pass };
+}
+
+test('hides overlays of invisible objects and ancestors', () => {
+  const { manager, parent, overlays: [overlay], pass } = setup();
+  pass();
+  assert.equal(overlay.isVisible, true);
+  parent.visible = false;
+  pass();
+  assert.equal(overlay.isVisible, false);
+  parent.visible = true;
+  overlay.object.visible = false;
+  pass();
+  assert.equal(overlay.isVisible, false);
+  manager.dispose();
+});
+
+test('honours camera layers, except for world points', () => {
+  const { manager, overlays: [overlay], pass } = setup();
+  const point = new Sorcherer(new Vector3(0, 0, -10), undefined, false, false, false, undefined, { manager });
+  point.attach('point');
+  overlay.object.layers.set(2);
+  pass();
+  assert.equal(overlay.isVisible, false);
+  assert.equal(point.isVisible, true);
+
+  const camera = makeCamera();
+  camera.layers.enable(2);
+  pass(camera);
+  assert.equal(overlay.isVisible, true);
+  manager.dispose();
+});
+
+test('hide() and show() override the object visibility', () => {
+  const { manager, overlays: [overlay], pass } = setup();
+  overlay.hide();
+  pass();
+  assert.equal(overlay.isVisible, false);
+  assert.equal(overlay.hidden, true);
+  overlay.show();
+  pass();
+  assert.equal(overlay.isVisible, true);
+  manager.dispose();
+});
+
+test('parses tags from options, realm attributes and addTag()', () => {
+  const { manager, overlays: [overlay] } = setup(1, { tags: 'enemy, quest' });
+  assert.deepEqual([...overlay.tags], ['enemy', 'quest']);
+  overlay.addTag('boss');
+  overlay.removeTag('quest');
+  assert.ok(overlay.hasTag('boss'));
+  assert.equal(overlay.hasTag('quest'), false);
+
+  manager.registerObject3D(overlay.object);
+  document.body.innerHTML = '<realm><div idm="object-0" slot="badge" tags="a,b">x</div></realm>';
+  manager.attachFromRealm();
+  assert.deepEqual([...manager.get('object-0', 'badge').tags], ['a', 'b']);
+  manager.dispose();
+});
+
+test('query() combines criteria and runs bulk operations', () => {
+  const { manager, overlays, pass } = setup(4);
+  overlays[0].addTag('enemy');
+  overlays[1].addTag(['enemy', 'boss']);
+  overlays[2].addTag('quest');
+  overlays[3].hide();
+  pass();
+
+  assert.equal(manager.query({ tag: 'enemy' }).size, 2);
+  assert.deepEqual(manager.query({ tag: ['enemy', 'boss'] }).toArray(), [overlays[1]]);
+  assert.deepEqual(manager.query({ name: 'object-2' }).toArray(), [overlays[2]]);
+  assert.deepEqual(manager.query({ hidden: true }).toArray(), [overlays[3]]);
+  assert.equal(manager.query({ visible: true }).size, 3);
+  assert.deepEqual(manager.query({ filter: (label) => label === overlays[0] }).toArray(), [overlays[0]]);
+
+  const enemies = manager.query({ tag: 'enemy' });
+  assert.equal(enemies.hide().setDynamicVar('threat', 'high'), enemies);
+  assert.ok(overlays[0].hidden && overlays[1].hidden);
+  assert.equal(overlays[1].getDynamicVar('threat'), 'high');
+  enemies.dispose();
+  assert.equal(manager.allLoadedElements.size, 2);
+  manager.dispose();
+});